@@ -0,0 +1,326 @@
+// Fetch, check and resize the textures listed in textures/manifest.json.
+//
+//   npm run assets                       fetch missing or corrupt textures, then build the tiers
+//   npm run assets -- --mirror /mnt/tex  take textures from a local copy before the network
+//   npm run assets -- --verify           report missing or corrupt textures, exit 1 if any
+//
+// Each asset is checked against its recorded SHA-256 (or, without one, against its file type).
+// Downloads go to a `.part` file that later attempts resume with HTTP range requests, and are
+// only moved into place once they check out. The tiers are copies shrunk to 1k, 2k and 4k
+// pixels wide in textures/<tier>/, made only where the original is wider, and listed in
+// textures/tiers.json so the app only asks for copies that exist.
+// Run with --help for the options.
+
+import { createHash } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { copyFile, mkdir, readFile, readdir, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { dirname, extname, join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+import { readImage, writeImage } from './imageCodecs.mjs';
+import { resizeImage } from './imageResize.mjs';
+
+const TEXTURES = 'textures';
+const MANIFEST = join(TEXTURES, 'manifest.json');
+const TIER_INDEX = join(TEXTURES, 'tiers.json'); // Read by src/assetLoader.js
+const SYSTEMS = join('public', 'systems');
+const ENVIRONMENTS = '/src/environment.js'; // Exports the default backgrounds
+const REQUEST_TIMEOUT = 120000; // Milliseconds per attempt; the next attempt resumes
+const TIER_QUALITY = 90;
+
+const USAGE = `Usage: npm run assets -- [options]
+
+Fetches the textures in ${MANIFEST} that are missing or corrupt, then builds the resolution tiers.
+
+Options:
+  --verify            Only check the installed textures against the manifest, the system files and
+                      the default backgrounds
+  --mirror <dir>      Local directory laid out like textures/ to copy from before downloading
+  --tiers <list>      Comma-separated tiers to build, or "none" (default: every tier in the manifest)
+  --retries <n>       Download attempts after the first (default: 3)
+  --record            Write the checksums of textures that have none into the manifest
+  --help              Show this message`;
+
+// File signatures by extension, to catch error pages and truncated files saved as images
+const SIGNATURES = {
+    '.jpg': [0xff, 0xd8, 0xff],
+    '.png': [0x89, 0x50, 0x4e, 0x47],
+    '.hdr': [0x23, 0x3f],
+    '.exr': [0x76, 0x2f, 0x31, 0x01]
+};
+
+const texturePath = path => join(TEXTURES, path);
+const tierPath = (tier, path) => join(TEXTURES, tier, path);
+const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+async function fileSize(path) {
+    try {
+        return (await stat(path)).size;
+    } catch {
+        return null;
+    }
+}
+
+function sha256(path) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        createReadStream(path).on('data', chunk => hash.update(chunk)).on('end', () => resolve(hash.digest('hex'))).on('error', reject);
+    });
+}
+
+// What is wrong with the file at `path` as a copy of `asset`, or null if nothing
+async function checkFile(path, asset) {
+    const size = await fileSize(path);
+    if (!size) return 'missing';
+    if (asset.bytes !== undefined && size !== asset.bytes) return `corrupt (${size} bytes, expected ${asset.bytes})`;
+    if (asset.sha256) {
+        return (await sha256(path)) === asset.sha256 ? null : 'corrupt (checksum mismatch)';
+    }
+    const signature = SIGNATURES[extname(path).toLowerCase()];
+    if (signature) {
+        const head = (await readFile(path)).subarray(0, signature.length);
+        if (!signature.every((byte, i) => head[i] === byte)) return `corrupt (not a ${extname(path).slice(1).toUpperCase()} file)`;
+    }
+    return null;
+}
+
+// Download `url` into `partPath`, resuming from what an earlier attempt left there
+async function download(url, partPath, retries) {
+    for (let attempt = 0; ; attempt++) {
+        const offset = (await fileSize(partPath)) || 0;
+        try {
+            const response = await fetch(url, {
+                headers: offset ? { Range: `bytes=${offset}-` } : {},
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+            });
+            if (response.status === 416) return; // Nothing left to fetch
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            // A server that ignores the range sends the whole file again
+            const append = response.status === 206;
+            await pipeline(Readable.fromWeb(response.body), createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+            return;
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            const delay = 1000 * 2 ** attempt;
+            console.warn(`    ${error.message}; retrying in ${delay / 1000}s`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Put a good copy of `asset` in place from the mirror or its URL. Returns where it came from.
+async function fetchAsset(asset, { mirror, retries }) {
+    const destination = texturePath(asset.path);
+    const partPath = `${destination}.part`;
+    await mkdir(dirname(destination), { recursive: true });
+
+    const sources = [];
+    if (mirror) sources.push({ name: `mirror ${mirror}`, fetch: () => copyFile(join(mirror, asset.path), partPath) });
+    if (asset.url) sources.push({ name: asset.url, fetch: () => download(asset.url, partPath, retries) });
+    if (!sources.length) throw new Error('no source: it has no URL, so it has to come from a mirror');
+
+    const failures = [];
+    for (const source of sources) {
+        try {
+            await source.fetch();
+        } catch (error) {
+            // An interrupted download stays in the .part file for the next run to resume
+            failures.push(`${source.name}: ${error.code === 'ENOENT' ? 'not found' : error.message}`);
+            continue;
+        }
+        const problem = await checkFile(partPath, asset);
+        if (!problem) {
+            await rename(partPath, destination);
+            return source.name;
+        }
+        // A bad file can't be resumed into a good one
+        await rm(partPath, { force: true });
+        failures.push(`${source.name}: ${problem}`);
+    }
+    throw new Error(failures.join('; '));
+}
+
+// Shrunk copies of `asset` for each of `tiers` narrower than the original
+async function buildTiers(asset, tiers, widths) {
+    const source = texturePath(asset.path);
+    if (!SIGNATURES[extname(source).toLowerCase()] || extname(source) === '.exr') return [];
+    const sourceTime = (await stat(source)).mtimeMs;
+
+    let image = null;
+    const built = [];
+    for (const tier of tiers) {
+        if (asset.tiers && !asset.tiers.includes(tier)) continue;
+        const destination = tierPath(tier, asset.path);
+        const existing = await stat(destination).catch(() => null);
+        if (existing && existing.mtimeMs >= sourceTime) continue;
+
+        image = image || await readImage(source, { linear: asset.linear });
+        const width = widths[tier];
+        if (width >= image.width) continue;
+        const height = Math.max(1, Math.round(image.height * width / image.width));
+        await mkdir(dirname(destination), { recursive: true });
+        await writeImage(destination, resizeImage(image, width, height), { quality: TIER_QUALITY, linear: asset.linear });
+        built.push(`${tier} (${width}x${height})`);
+    }
+    return built;
+}
+
+// List the tier copies that are in place, whether built now or earlier, by tier
+async function writeTierIndex(manifest) {
+    const index = {};
+    for (const tier of Object.keys(manifest.tiers)) {
+        const paths = [];
+        for (const asset of manifest.assets) {
+            if (await fileSize(tierPath(tier, asset.path))) paths.push(asset.path);
+        }
+        if (paths.length) index[tier] = paths;
+    }
+    await writeFile(TIER_INDEX, `${JSON.stringify(index, null, 4)}\n`);
+}
+
+// Texture paths the system files and the default backgrounds refer to, with the files that use them
+async function expectedTextures() {
+    const expected = new Map();
+    const collect = (value, file) => {
+        if (typeof value === 'string' && value.startsWith(`${TEXTURES}/`)) {
+            if (!expected.has(value)) expected.set(value, new Set());
+            expected.get(value).add(file);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => collect(item, file));
+        }
+    };
+    for (const name of (await readdir(SYSTEMS)).filter(file => file.endsWith('.json'))) {
+        const file = join(SYSTEMS, name);
+        collect(JSON.parse(await readFile(file, 'utf8')), file);
+    }
+    // The backgrounds are in a browser module (it imports shaders as text), so load it through Vite
+    const server = await createServer({ logLevel: 'error', server: { middlewareMode: true } });
+    try {
+        const { DEFAULT_ENVIRONMENTS } = await server.ssrLoadModule(ENVIRONMENTS);
+        DEFAULT_ENVIRONMENTS.forEach(({ url, urls }) => collect([url, ...(urls || [])], ENVIRONMENTS.slice(1)));
+    } finally {
+        await server.close();
+    }
+    return expected;
+}
+
+async function verify(manifest) {
+    const expected = await expectedTextures();
+    const listed = new Set(manifest.assets.map(asset => texturePath(asset.path)));
+    let problems = 0;
+
+    for (const asset of manifest.assets) {
+        const path = texturePath(asset.path);
+        const problem = await checkFile(path, asset);
+        const users = expected.has(path) ? ` (used by ${[...expected.get(path)].join(', ')})` : '';
+        if (problem) {
+            problems++;
+            console.log(`  ${problem.padEnd(10)} ${path}${users}`);
+        } else if (!asset.sha256) {
+            console.log(`  unpinned   ${path}: no checksum recorded`);
+        }
+    }
+    for (const [path, users] of expected) {
+        if (listed.has(path)) continue;
+        const problem = await checkFile(path, {});
+        if (problem) problems++;
+        console.log(`  ${(problem || 'unlisted').padEnd(10)} ${path} (used by ${[...users].join(', ')}; not in the manifest)`);
+    }
+
+    console.log(problems
+        ? `\n${problems} texture(s) missing or corrupt. Run \`npm run assets\` to fetch them.`
+        : `\nAll ${manifest.assets.length} textures are in place.`);
+    return problems === 0;
+}
+
+// Fill in the checksums of good files that have none
+async function record(manifest) {
+    let recorded = 0;
+    for (const asset of manifest.assets) {
+        const path = texturePath(asset.path);
+        if (asset.sha256 || await checkFile(path, asset)) continue;
+        asset.sha256 = await sha256(path);
+        asset.bytes = await fileSize(path);
+        recorded++;
+        console.log(`  Recorded ${path}`);
+    }
+    if (!recorded) return;
+
+    // The tiers and each asset on one line, as the manifest is written by hand
+    const oneLine = value => JSON.stringify(value).replace(/^\{/, '{ ').replace(/\}$/, ' }').replace(/,"/g, ', "').replace(/":/g, '": ');
+    const assets = manifest.assets.map(asset => `        ${oneLine(asset)}`);
+    const text = JSON.stringify({ ...manifest, tiers: 0, assets: [] }, null, 4)
+        .replace('"tiers": 0', `"tiers": ${oneLine(manifest.tiers)}`)
+        .replace('"assets": []', `"assets": [\n${assets.join(',\n')}\n    ]`);
+    await writeFile(MANIFEST, `${text}\n`);
+}
+
+async function main(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            verify: { type: 'boolean', default: false },
+            mirror: { type: 'string' },
+            tiers: { type: 'string' },
+            retries: { type: 'string', default: '3' },
+            record: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return true;
+    }
+
+    const manifest = JSON.parse(await readFile(MANIFEST, 'utf8'));
+    const tiers = values.tiers === undefined ? Object.keys(manifest.tiers)
+        : values.tiers === 'none' ? [] : values.tiers.split(',').map(tier => tier.trim());
+    tiers.forEach(tier => {
+        if (!manifest.tiers[tier]) throw new Error(`Unknown tier "${tier}"; the manifest has ${Object.keys(manifest.tiers).join(', ')}`);
+    });
+    const retries = Number(values.retries);
+    if (!Number.isInteger(retries) || retries < 0) throw new Error('--retries must be a whole number');
+
+    if (values.verify) return verify(manifest);
+    if (values.record) {
+        await record(manifest);
+        return true;
+    }
+
+    let failed = 0;
+    for (const asset of manifest.assets) {
+        const path = texturePath(asset.path);
+        const problem = await checkFile(path, asset);
+        if (problem) {
+            console.log(`${path}: ${problem}, fetching`);
+            try {
+                console.log(`  Fetched from ${await fetchAsset(asset, { mirror: values.mirror, retries })}`);
+            } catch (error) {
+                failed++;
+                console.error(`  Failed: ${error.message}`);
+                continue;
+            }
+        }
+
+        try {
+            const built = await buildTiers(asset, tiers, manifest.tiers);
+            if (built.length) console.log(`${path}: built ${built.join(', ')}`);
+        } catch (error) {
+            failed++;
+            console.error(`${path}: could not build tiers: ${error.message}`);
+        }
+    }
+    await writeTierIndex(manifest);
+
+    console.log(failed ? `\n${failed} texture(s) failed.` : `\nAll textures in ${TEXTURES}/ are in place.`);
+    return failed === 0;
+}
+
+main(process.argv.slice(2)).then(ok => {
+    process.exitCode = ok ? 0 : 1;
+}, error => {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,148 @@
+// Bake an equirectangular panorama into environment assets, in plain Node (no browser or GPU):
+//
+//   npm run bake-env -- textures/skybox/milkyway_panorama.jpg
+//   npm run bake-env -- sky.hdr --format faces,ktx2,prefiltered --out textures/env
+//
+// Formats:
+//   faces        px, nx, py, ny, pz and nz images for a cube map environment (PNG, JPEG or HDR)
+//   ktx2         one KTX2 cube map with a full mip chain
+//   prefiltered  a KTX2 cube map prefiltered for GGX reflections, roughness rising with the mip level
+//
+// Run with --help for the options.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { readImage, writeImage, IMAGE_TYPES } from './imageCodecs.mjs';
+import { FACES, panoramaToCube, mipChain, prefilterCube } from './cubeMap.mjs';
+import { encodeKtx2Cube } from './ktx2.mjs';
+
+const FORMATS = ['faces', 'ktx2', 'prefiltered'];
+const PREFILTERED_SIZE = 256;
+const PREFILTERED_LEVELS = 6;
+
+const USAGE = `Usage: npm run bake-env -- <panorama> [options]
+
+Converts an equirectangular panorama (PNG, JPEG, Radiance HDR or OpenEXR) into cube map assets.
+
+Options:
+  --format <list>     Comma-separated outputs: ${FORMATS.join(', ')} (default: faces)
+  --out <dir>         Output directory (default: the panorama's directory)
+  --name <name>       Base name of the KTX2 files (default: the panorama's file name)
+  --size <pixels>     Face size, a power of two (default: a quarter of the panorama's width;
+                      ${PREFILTERED_SIZE} for prefiltered maps)
+  --image <type>      Face image type: ${IMAGE_TYPES.join(', ')} (default: png, or hdr for HDR panoramas)
+  --samples <n>       Samples per pixel edge when resampling the panorama (default: 2)
+  --quality <n>       JPEG quality, 1-100 (default: 92)
+  --help              Show this message`;
+
+function parseOptions(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'faces' },
+            out: { type: 'string' },
+            name: { type: 'string' },
+            size: { type: 'string' },
+            image: { type: 'string' },
+            samples: { type: 'string', default: '2' },
+            quality: { type: 'string', default: '92' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) return null;
+    if (positionals.length !== 1) throw new Error('Expected one panorama file');
+
+    const input = positionals[0];
+    const formats = values.format.split(',').map(format => format.trim());
+    formats.forEach(format => {
+        if (!FORMATS.includes(format)) throw new Error(`Unknown format "${format}"`);
+    });
+    const positiveInteger = (name, value) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) throw new Error(`--${name} must be a positive integer`);
+        return number;
+    };
+    const size = values.size === undefined ? null : positiveInteger('size', values.size);
+    if (size !== null && (size & (size - 1)) !== 0) throw new Error('--size must be a power of two');
+    if (values.image !== undefined && !IMAGE_TYPES.includes(values.image)) {
+        throw new Error(`--image must be one of ${IMAGE_TYPES.join(', ')}`);
+    }
+
+    return {
+        input,
+        formats,
+        out: values.out || dirname(input),
+        name: values.name || basename(input, extname(input)),
+        size,
+        image: values.image || null,
+        samples: positiveInteger('samples', values.samples),
+        quality: Math.min(positiveInteger('quality', values.quality), 100)
+    };
+}
+
+// Largest power of two no bigger than `value`
+const floorPowerOfTwo = value => 2 ** Math.floor(Math.log2(Math.max(value, 1)));
+
+async function bake(options) {
+    const started = Date.now();
+    const log = message => console.log(`${message} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+
+    const panorama = await readImage(options.input);
+    log(`Read ${options.input}: ${panorama.width}x${panorama.height}${panorama.hdr ? ', HDR' : ''}`);
+    await mkdir(options.out, { recursive: true });
+
+    const size = options.size || floorPowerOfTwo(panorama.width / 4);
+    let faces = null;
+    if (options.formats.includes('faces') || options.formats.includes('ktx2')) {
+        faces = panoramaToCube(panorama, size, options.samples);
+        log(`Resampled to ${size}x${size} faces`);
+    }
+
+    if (options.formats.includes('faces')) {
+        const type = options.image || (panorama.hdr ? 'hdr' : 'png');
+        for (let i = 0; i < FACES.length; i++) {
+            const path = join(options.out, `${FACES[i]}.${type}`);
+            await writeImage(path, { width: size, height: size, data: faces[i].data }, { quality: options.quality });
+            log(`Wrote ${path}`);
+        }
+    }
+
+    if (options.formats.includes('ktx2')) {
+        const path = join(options.out, `${options.name}.ktx2`);
+        await writeFile(path, encodeKtx2Cube(mipChain(faces), { hdr: panorama.hdr }));
+        log(`Wrote ${path}`);
+    }
+
+    if (options.formats.includes('prefiltered')) {
+        // Prefiltered from a cube at its own base size, sampled more finely since it shrinks further
+        const prefilteredSize = options.size || PREFILTERED_SIZE;
+        const radiance = mipChain(panoramaToCube(panorama, prefilteredSize, Math.max(options.samples, 4)));
+        const levels = Math.min(PREFILTERED_LEVELS, Math.log2(prefilteredSize) + 1);
+        const prefiltered = prefilterCube(radiance, prefilteredSize, { levels });
+        const path = join(options.out, `${options.name}.env.ktx2`);
+        await writeFile(path, encodeKtx2Cube(prefiltered, {
+            hdr: true,
+            metadata: { roughness: prefiltered.map((_, level) => (level / (levels - 1)).toFixed(3)).join(' ') }
+        }));
+        log(`Wrote ${path}`);
+    }
+}
+
+let options;
+try {
+    options = parseOptions(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (!options) {
+    console.log(USAGE);
+} else {
+    bake(options).catch(error => {
+        console.error(`bake-env failed: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,53 @@
+// Check the eclipse finder against known eclipses, in plain Node:
+//
+//   npm run check-eclipses
+//
+// Searches from a few days before each eclipse below and compares the kind and the time of
+// greatest eclipse with the published ones (NASA's Five Millennium Canons, in UT). Exits with a
+// non-zero status if any differ by more than TOLERANCE_MINUTES or come out as another kind.
+
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'vite';
+
+const SYSTEM_FILE = new URL('../public/systems/solar-system.json', import.meta.url);
+const TOLERANCE_MINUTES = 5;
+
+const KNOWN_ECLIPSES = [
+    { type: 'solar', kind: 'total', date: '2024-04-08T18:17Z' },
+    { type: 'solar', kind: 'annular', date: '2024-10-02T18:45Z' },
+    { type: 'solar', kind: 'partial', date: '2025-03-29T10:47Z' },
+    { type: 'solar', kind: 'total', date: '2026-08-12T17:46Z' },
+    { type: 'lunar', kind: 'penumbral', date: '2024-03-25T07:13Z' },
+    { type: 'lunar', kind: 'partial', date: '2024-09-18T02:44Z' },
+    { type: 'lunar', kind: 'total', date: '2025-03-14T06:58Z' },
+    { type: 'lunar', kind: 'total', date: '2025-09-07T18:11Z' },
+    { type: 'lunar', kind: 'partial', date: '2026-08-28T04:12Z' }
+];
+
+// The finder and the system loader are browser modules (they import shaders as text), so load
+// them through Vite
+const server = await createServer({ logLevel: 'error', server: { middlewareMode: true } });
+let failures = 0;
+try {
+    const { findEclipse } = await server.ssrLoadModule('/src/eclipseFinder.js');
+    const { parseSystem } = await server.ssrLoadModule('/src/systemLoader.js');
+    const system = parseSystem(JSON.parse(await readFile(SYSTEM_FILE, 'utf8')), 'systems/solar-system.json');
+
+    KNOWN_ECLIPSES.forEach(known => {
+        const expected = new Date(known.date);
+        const eclipse = findEclipse(system, new Date(expected.getTime() - 5 * 86400000), { type: known.type, searchDays: 10 });
+        const error = eclipse ? (eclipse.date - expected) / 60000 : Infinity;
+        const ok = eclipse && eclipse.kind === known.kind && Math.abs(error) <= TOLERANCE_MINUTES;
+        if (!ok) failures++;
+
+        const found = eclipse ? `${eclipse.kind} at ${eclipse.date.toISOString()} (${error >= 0 ? '+' : ''}${error.toFixed(1)} min)` : 'nothing';
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${known.type} ${known.kind} ${known.date}: found ${found}`);
+    });
+} finally {
+    await server.close();
+}
+
+if (failures > 0) {
+    console.error(`${failures} of ${KNOWN_ECLIPSES.length} eclipses did not match`);
+    process.exitCode = 1;
+}
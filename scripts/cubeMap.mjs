@@ -0,0 +1,203 @@
+// Cube maps from equirectangular panoramas, resampled on the CPU.
+//
+// A face is { size, data }: a Float32Array of linear RGB triples, rows from the top, laid out
+// as WebGL expects cube map faces (+X, -X, +Y, -Y, +Z, -Z). The panorama is read as it is laid
+// out on a THREE.SphereGeometry, the way src/environment.js reads it, so a cube baked from it
+// takes the same `frame` as the panorama did.
+
+export const FACES = ['px', 'nx', 'py', 'ny', 'pz', 'nz'];
+
+// Unit direction through (s, t) on face `face`, both in -1..1 from the face's top left corner
+function faceDirection(face, s, t, out) {
+    let x, y, z;
+    switch (face) {
+        case 0: x = 1; y = -t; z = -s; break;
+        case 1: x = -1; y = -t; z = s; break;
+        case 2: x = s; y = 1; z = t; break;
+        case 3: x = s; y = -1; z = -t; break;
+        case 4: x = s; y = -t; z = 1; break;
+        default: x = -s; y = -t; z = -1; break;
+    }
+    const length = Math.hypot(x, y, z);
+    out[0] = x / length;
+    out[1] = y / length;
+    out[2] = z / length;
+    return out;
+}
+
+// Bilinear lookup in `image` at pixel coordinates (x, y), wrapping around in x
+function sampleImage({ width, height, data }, x, y, out, offset) {
+    x -= 0.5;
+    y = Math.min(Math.max(y - 0.5, 0), height - 1);
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const left = ((x0 % width) + width) % width;
+    const right = (left + 1) % width;
+    const top = y0 * width;
+    const bottom = Math.min(y0 + 1, height - 1) * width;
+    for (let c = 0; c < 3; c++) {
+        const upper = data[(top + left) * 3 + c] * (1 - fx) + data[(top + right) * 3 + c] * fx;
+        const lower = data[(bottom + left) * 3 + c] * (1 - fx) + data[(bottom + right) * 3 + c] * fx;
+        out[offset + c] += upper * (1 - fy) + lower * fy;
+    }
+}
+
+// Resample `image` onto six faces of `size` pixels, averaging `samples` x `samples` points per
+// pixel so that large panoramas shrink without aliasing
+export function panoramaToCube(image, size, samples = 2) {
+    const direction = [0, 0, 0];
+    const weight = 1 / (samples * samples);
+    return FACES.map((_, face) => {
+        const data = new Float32Array(size * size * 3);
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const offset = (row * size + column) * 3;
+                for (let j = 0; j < samples; j++) {
+                    for (let i = 0; i < samples; i++) {
+                        const s = 2 * (column + (i + 0.5) / samples) / size - 1;
+                        const t = 2 * (row + (j + 0.5) / samples) / size - 1;
+                        const [x, y, z] = faceDirection(face, s, t, direction);
+                        // three mirrors cube maps in x, so the face looks up the panorama at (-x, y, z)
+                        const u = Math.atan2(z, x) / (2 * Math.PI);
+                        const v = Math.asin(Math.min(Math.max(y, -1), 1)) / Math.PI + 0.5;
+                        sampleImage(image, (u - Math.floor(u)) * image.width, (1 - v) * image.height, data, offset);
+                    }
+                }
+                for (let c = 0; c < 3; c++) data[offset + c] *= weight;
+            }
+        }
+        return { size, data };
+    });
+}
+
+// Half-size copy of a face, each pixel the average of four
+function downsample({ size, data }) {
+    const half = size / 2;
+    const result = new Float32Array(half * half * 3);
+    for (let row = 0; row < half; row++) {
+        for (let column = 0; column < half; column++) {
+            for (let c = 0; c < 3; c++) {
+                const at = (y, x) => data[(y * size + x) * 3 + c];
+                result[(row * half + column) * 3 + c] = 0.25 * (at(2 * row, 2 * column) + at(2 * row, 2 * column + 1) + at(2 * row + 1, 2 * column) + at(2 * row + 1, 2 * column + 1));
+            }
+        }
+    }
+    return { size: half, data: result };
+}
+
+// Mip levels of a cube, from `faces` down to 1x1 (or to `minSize`); each level is six faces
+export function mipChain(faces, minSize = 1) {
+    const levels = [faces];
+    while (levels[levels.length - 1][0].size > minSize) {
+        levels.push(levels[levels.length - 1].map(downsample));
+    }
+    return levels;
+}
+
+// Bilinear lookup in the cube `faces` along the unit direction (x, y, z)
+function sampleCube(faces, x, y, z, out, offset, scale) {
+    const ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+    let face, s, t, major;
+    if (ax >= ay && ax >= az) {
+        face = x > 0 ? 0 : 1; major = ax; s = x > 0 ? -z : z; t = -y;
+    } else if (ay >= az) {
+        face = y > 0 ? 2 : 3; major = ay; s = x; t = y > 0 ? z : -z;
+    } else {
+        face = z > 0 ? 4 : 5; major = az; s = z > 0 ? x : -x; t = -y;
+    }
+    const { size, data } = faces[face];
+    const px = Math.min(Math.max((s / major + 1) * 0.5 * size - 0.5, 0), size - 1);
+    const py = Math.min(Math.max((t / major + 1) * 0.5 * size - 0.5, 0), size - 1);
+    const x0 = Math.floor(px), y0 = Math.floor(py);
+    const x1 = Math.min(x0 + 1, size - 1), y1 = Math.min(y0 + 1, size - 1);
+    const fx = px - x0, fy = py - y0;
+    for (let c = 0; c < 3; c++) {
+        const upper = data[(y0 * size + x0) * 3 + c] * (1 - fx) + data[(y0 * size + x1) * 3 + c] * fx;
+        const lower = data[(y1 * size + x0) * 3 + c] * (1 - fx) + data[(y1 * size + x1) * 3 + c] * fx;
+        out[offset + c] += scale * (upper * (1 - fy) + lower * fy);
+    }
+}
+
+// Low-discrepancy point `i` of `count` in the unit square
+function hammersley(i, count) {
+    let bits = i;
+    bits = ((bits << 16) | (bits >>> 16)) >>> 0;
+    bits = (((bits & 0x55555555) << 1) | ((bits & 0xaaaaaaaa) >>> 1)) >>> 0;
+    bits = (((bits & 0x33333333) << 2) | ((bits & 0xcccccccc) >>> 2)) >>> 0;
+    bits = (((bits & 0x0f0f0f0f) << 4) | ((bits & 0xf0f0f0f0) >>> 4)) >>> 0;
+    bits = (((bits & 0x00ff00ff) << 8) | ((bits & 0xff00ff00) >>> 8)) >>> 0;
+    return [i / count, bits / 4294967296];
+}
+
+// Radiance prefiltered for GGX reflections: level m of the result is blurred for roughness
+// m / (levels - 1), from mirror-sharp at level 0 to fully rough at the smallest level. Each
+// texel importance-samples the lobe around its own direction (taken as both the normal and the
+// view direction), reading lower mips of `radiance` for the wider samples to keep noise down.
+export function prefilterCube(radiance, size, { levels = 6, samples = 128 } = {}) {
+    const sourceSize = radiance[0][0].size;
+    const texelSolidAngle = 4 * Math.PI / (6 * sourceSize * sourceSize);
+    const direction = [0, 0, 0];
+    const result = [];
+
+    for (let level = 0; level < levels; level++) {
+        const roughness = level / (levels - 1);
+        const levelSize = Math.max(size >> level, 1);
+        const alpha = roughness * roughness;
+        const sampleCount = level === 0 ? 1 : samples;
+
+        result.push(FACES.map((_, face) => {
+            const data = new Float32Array(levelSize * levelSize * 3);
+            for (let row = 0; row < levelSize; row++) {
+                for (let column = 0; column < levelSize; column++) {
+                    const [nx, ny, nz] = faceDirection(face, 2 * (column + 0.5) / levelSize - 1, 2 * (row + 0.5) / levelSize - 1, direction);
+                    const offset = (row * levelSize + column) * 3;
+
+                    // Tangent frame around the normal
+                    const up = Math.abs(ny) < 0.999 ? [0, 1, 0] : [1, 0, 0];
+                    let tx = up[1] * nz - up[2] * ny, ty = up[2] * nx - up[0] * nz, tz = up[0] * ny - up[1] * nx;
+                    const tangentLength = Math.hypot(tx, ty, tz);
+                    tx /= tangentLength; ty /= tangentLength; tz /= tangentLength;
+                    const bx = ny * tz - nz * ty, by = nz * tx - nx * tz, bz = nx * ty - ny * tx;
+
+                    let totalWeight = 0;
+                    for (let i = 0; i < sampleCount; i++) {
+                        // Half vector from the GGX distribution
+                        const [e1, e2] = level === 0 ? [0, 0] : hammersley(i, sampleCount);
+                        const phi = 2 * Math.PI * e1;
+                        const cosTheta = Math.sqrt((1 - e2) / (1 + (alpha * alpha - 1) * e2));
+                        const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+                        const hx = sinTheta * Math.cos(phi), hy = sinTheta * Math.sin(phi);
+                        const wx = tx * hx + bx * hy + nx * cosTheta;
+                        const wy = ty * hx + by * hy + ny * cosTheta;
+                        const wz = tz * hx + bz * hy + nz * cosTheta;
+
+                        // Reflect the view (= normal) direction about it
+                        const lx = 2 * cosTheta * wx - nx, ly = 2 * cosTheta * wy - ny, lz = 2 * cosTheta * wz - nz;
+                        const cosLight = 2 * cosTheta * cosTheta - 1;
+                        if (cosLight <= 0) continue;
+
+                        // Read the mip whose texels cover about the solid angle this sample stands for
+                        let mip = 0;
+                        if (level > 0) {
+                            const denominator = cosTheta * cosTheta * (alpha * alpha - 1) + 1;
+                            const distribution = alpha * alpha / (Math.PI * denominator * denominator);
+                            const sampleSolidAngle = 1 / (sampleCount * distribution / 4 + 1e-6);
+                            mip = Math.min(Math.max(0.5 * Math.log2(sampleSolidAngle / texelSolidAngle) + 1, 0), radiance.length - 1);
+                        }
+                        const lower = Math.floor(mip);
+                        const upper = Math.min(lower + 1, radiance.length - 1);
+                        const blend = mip - lower;
+                        sampleCube(radiance[lower], lx, ly, lz, data, offset, cosLight * (1 - blend));
+                        if (blend > 0) sampleCube(radiance[upper], lx, ly, lz, data, offset, cosLight * blend);
+                        totalWeight += cosLight;
+                    }
+                    for (let c = 0; c < 3; c++) data[offset + c] /= totalWeight;
+                }
+            }
+            return { size: levelSize, data };
+        }));
+    }
+    return result;
+}
@@ -0,0 +1,257 @@
+// Image files for the asset scripts, read into and written from linear float RGB pixels.
+//
+// An image is { width, height, data, alpha, hdr }: `data` is a Float32Array of RGB triples, rows
+// from the top, in linear light. `alpha` (0..1 per pixel) is only there for PNGs with an alpha
+// channel. `hdr` is set for Radiance HDR and OpenEXR sources, whose values can go above 1.
+// Maps that hold data rather than colors (normal, bump, specular and alpha maps) are read and
+// written with `linear: true`, which skips the sRGB conversion.
+// PNG is handled here with zlib, JPEG with jpeg-js, and HDR and EXR with three's loaders, so
+// none of it needs a browser or a GPU.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { FloatType } from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+
+export const IMAGE_TYPES = ['png', 'jpg', 'hdr'];
+
+// sRGB transfer function, both ways
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+    const value = i / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+});
+
+const BYTE_TO_UNIT = Float32Array.from({ length: 256 }, (_, i) => i / 255);
+
+export function linearToSrgb(value) {
+    const clamped = Math.min(Math.max(value, 0), 1);
+    const encoded = clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * clamped ** (1 / 2.4) - 0.055;
+    return Math.round(encoded * 255);
+}
+
+const unitToByte = value => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+
+const extensionOf = path => extname(path).slice(1).toLowerCase().replace('jpeg', 'jpg');
+
+export async function readImage(path, { linear = false } = {}) {
+    const buffer = await readFile(path);
+    const table = linear ? BYTE_TO_UNIT : SRGB_TO_LINEAR;
+    switch (extensionOf(path)) {
+        case 'png': return decodePng(buffer, table);
+        case 'jpg': return decodeJpeg(buffer, table);
+        case 'hdr': return decodeWithLoader(new RGBELoader(), buffer, true);
+        case 'exr': return decodeWithLoader(new EXRLoader(), buffer, false);
+        default: throw new Error(`${path}: unsupported image type, expected PNG, JPEG, HDR or EXR`);
+    }
+}
+
+// Write `image` as PNG, JPEG or Radiance HDR, picked by the file extension
+export async function writeImage(path, image, { quality = 92, linear = false } = {}) {
+    const encode = linear ? unitToByte : linearToSrgb;
+    switch (extensionOf(path)) {
+        case 'png': return writeFile(path, encodePng(image, encode));
+        case 'jpg': return writeFile(path, await encodeJpeg(image, quality, encode));
+        case 'hdr': return writeFile(path, encodeHdr(image));
+        default: throw new Error(`${path}: unsupported image type, expected PNG, JPEG or HDR`);
+    }
+}
+
+// 8-bit RGBA pixels of `image`, as used by the PNG and JPEG encoders
+function toRgba8({ width, height, data, alpha }, encode) {
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels[i * 4] = encode(data[i * 3]);
+        pixels[i * 4 + 1] = encode(data[i * 3 + 1]);
+        pixels[i * 4 + 2] = encode(data[i * 3 + 2]);
+        pixels[i * 4 + 3] = alpha ? unitToByte(alpha[i]) : 255;
+    }
+    return pixels;
+}
+
+// Radiance HDR and OpenEXR, through three's loaders
+function decodeWithLoader(loader, buffer, topDown) {
+    const { width, height, data } = loader.setDataType(FloatType).parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    const channels = data.length / (width * height);
+    const image = { width, height, data: new Float32Array(width * height * 3), hdr: true };
+    for (let y = 0; y < height; y++) {
+        const row = topDown ? y : height - 1 - y; // EXRLoader returns rows from the bottom
+        for (let x = 0; x < width; x++) {
+            const from = (row * width + x) * channels;
+            const to = (y * width + x) * 3;
+            image.data[to] = data[from];
+            image.data[to + 1] = data[from + (channels > 1 ? 1 : 0)];
+            image.data[to + 2] = data[from + (channels > 2 ? 2 : 0)];
+        }
+    }
+    return image;
+}
+
+// Flat (not run-length encoded) RGBE scanlines, which every Radiance reader accepts
+function encodeHdr({ width, height, data }) {
+    const header = Buffer.from(`#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`, 'ascii');
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const brightest = Math.max(data[i * 3], data[i * 3 + 1], data[i * 3 + 2]);
+        if (brightest < 1e-32) continue;
+        const exponent = Math.ceil(Math.log2(brightest) + 1e-9);
+        const scale = 256 / 2 ** exponent;
+        pixels[i * 4] = Math.min(255, Math.max(0, data[i * 3] * scale));
+        pixels[i * 4 + 1] = Math.min(255, Math.max(0, data[i * 3 + 1] * scale));
+        pixels[i * 4 + 2] = Math.min(255, Math.max(0, data[i * 3 + 2] * scale));
+        pixels[i * 4 + 3] = exponent + 128;
+    }
+    return Buffer.concat([header, pixels]);
+}
+
+// JPEG goes through jpeg-js, loaded only when a JPEG is read or written
+async function decodeJpeg(buffer, table) {
+    const { default: jpeg } = await import('jpeg-js');
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxMemoryUsageInMB: 2048 });
+    return { width, height, data: Float32Array.from(data, value => table[value]), hdr: false };
+}
+
+async function encodeJpeg(image, quality, encode) {
+    const { default: jpeg } = await import('jpeg-js');
+    return jpeg.encode({ width: image.width, height: image.height, data: toRgba8(image, encode) }, quality).data;
+}
+
+// PNG: 8- or 16-bit grayscale, RGB, palette and alpha images without interlacing
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = -1;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function decodePng(buffer, table) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+
+    let header = null;
+    let palette = null;
+    const chunks = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'IDAT') {
+            chunks.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (interlace || !channels || (bitDepth !== 8 && bitDepth !== 16)) {
+        throw new Error(`Unsupported PNG: color type ${colorType}, ${bitDepth}-bit${interlace ? ', interlaced' : ''}`);
+    }
+
+    // Undo the per-row filters
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const raw = inflateSync(Buffer.concat(chunks));
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = pixels.subarray(y * stride, (y + 1) * stride);
+        const above = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+            const up = above[x];
+            const upLeft = x >= bytesPerPixel ? above[x - bytesPerPixel] : 0;
+            let predicted = 0;
+            if (filter === 1) predicted = left;
+            else if (filter === 2) predicted = up;
+            else if (filter === 3) predicted = (left + up) >> 1;
+            else if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const distanceLeft = Math.abs(estimate - left);
+                const distanceUp = Math.abs(estimate - up);
+                const distanceUpLeft = Math.abs(estimate - upLeft);
+                predicted = distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left : distanceUp <= distanceUpLeft ? up : upLeft;
+            }
+            row[x] = (line[x] + predicted) & 0xff;
+        }
+    }
+
+    // Channel `c` of pixel `i` as an 8-bit value (16-bit samples keep their high byte)
+    const sample = (i, c) => pixels[(i * channels + c) * bitDepth / 8];
+    const hasAlpha = channels === 2 || channels === 4;
+    const image = { width, height, data: new Float32Array(width * height * 3), hdr: false };
+    if (hasAlpha) image.alpha = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        for (let c = 0; c < 3; c++) {
+            let value;
+            if (colorType === 3) value = palette[sample(i, 0) * 3 + c];
+            else if (channels < 3) value = sample(i, 0);
+            else value = sample(i, c);
+            image.data[i * 3 + c] = table[value];
+        }
+        if (hasAlpha) image.alpha[i] = sample(i, channels - 1) / 255;
+    }
+    return image;
+}
+
+function pngChunk(type, body) {
+    const chunk = Buffer.alloc(12 + body.length);
+    chunk.writeUInt32BE(body.length, 0);
+    chunk.write(type, 4, 'ascii');
+    body.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + body.length)), 8 + body.length);
+    return chunk;
+}
+
+// 8-bit RGB, or RGBA for images with alpha, each row filtered by its left neighbour
+function encodePng(image, encode) {
+    const { width, height } = image;
+    const rgba = toRgba8(image, encode);
+    const channels = image.alpha ? 4 : 3;
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const start = y * (stride + 1);
+        raw[start] = 1; // Sub filter
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                const value = rgba[(y * width + x) * 4 + c];
+                const left = x > 0 ? rgba[(y * width + x - 1) * 4 + c] : 0;
+                raw[start + 1 + x * channels + c] = (value - left) & 0xff;
+            }
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = channels === 4 ? 6 : 2; // RGBA or RGB
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
@@ -0,0 +1,54 @@
+// Shrinking images (see imageCodecs.mjs for the layout) by area averaging: each output pixel
+// is the mean of the source pixels it covers, weighted by how much of each it covers.
+
+// Source pixels covered by each of `to` output pixels along an axis of `from` pixels:
+// [first index, weights...] per output pixel
+function coverage(from, to) {
+    const scale = from / to;
+    return Array.from({ length: to }, (_, i) => {
+        const start = i * scale;
+        const end = start + scale;
+        const first = Math.floor(start);
+        const weights = [];
+        for (let j = first; j < Math.min(Math.ceil(end), from); j++) {
+            weights.push((Math.min(end, j + 1) - Math.max(start, j)) / scale);
+        }
+        return [first, weights];
+    });
+}
+
+// Resample `channels`-channel rows of `values` (width x height) to `width` x `newHeight`
+function resizeColumns(values, channels, width, height, newHeight) {
+    const result = new Float32Array(width * newHeight * channels);
+    coverage(height, newHeight).forEach(([first, weights], y) => {
+        weights.forEach((weight, k) => {
+            const from = (first + k) * width * channels;
+            const to = y * width * channels;
+            for (let i = 0; i < width * channels; i++) result[to + i] += values[from + i] * weight;
+        });
+    });
+    return result;
+}
+
+function resizeRows(values, channels, width, height, newWidth) {
+    const result = new Float32Array(newWidth * height * channels);
+    const spans = coverage(width, newWidth);
+    for (let y = 0; y < height; y++) {
+        spans.forEach(([first, weights], x) => {
+            const to = (y * newWidth + x) * channels;
+            weights.forEach((weight, k) => {
+                const from = (y * width + first + k) * channels;
+                for (let c = 0; c < channels; c++) result[to + c] += values[from + c] * weight;
+            });
+        });
+    }
+    return result;
+}
+
+// `image` shrunk to `width` x `height`; neither may be larger than the original
+export function resizeImage(image, width, height) {
+    const resize = (values, channels) => resizeColumns(resizeRows(values, channels, image.width, image.height, width), channels, width, image.height, height);
+    const result = { ...image, width, height, data: resize(image.data, 3) };
+    if (image.alpha) result.alpha = resize(image.alpha, 1);
+    return result;
+}
@@ -0,0 +1,133 @@
+// KTX2 cube map files with full mip chains, uncompressed: 8-bit sRGB for ordinary images and
+// half floats for HDR. Basis Universal supercompression needs the native encoder from
+// KTX-Software (`ktx encode`), which can be run on these files afterwards.
+
+import { linearToSrgb } from './imageCodecs.mjs';
+
+const IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const VK_FORMAT_R8G8B8A8_SRGB = 43;
+const VK_FORMAT_R16G16B16A16_SFLOAT = 97;
+
+// Data format descriptor sample flags and channels
+const CHANNEL_IDS = [0, 1, 2, 15]; // Red, green, blue, alpha
+const QUALIFIER_LINEAR = 0x10;
+const QUALIFIER_SIGNED = 0x40;
+const QUALIFIER_FLOAT = 0x80;
+
+// Nearest IEEE half-precision bits for `value`, clamped to the largest finite half
+const floatView = new Float32Array(1);
+const intView = new Uint32Array(floatView.buffer);
+export function toHalf(value) {
+    floatView[0] = Math.min(Math.max(value, -65504), 65504);
+    const bits = intView[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xff) - 112;
+    const mantissa = bits & 0x7fffff;
+    if (exponent <= 0) {
+        // Subnormal or zero
+        if (exponent < -10) return sign;
+        return sign | (((mantissa | 0x800000) >> (1 - exponent)) + 0x1000) >> 13;
+    }
+    return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+// Basic data format descriptor for four 8-bit sRGB or 16-bit float channels
+function dataFormatDescriptor(hdr) {
+    const bytesPerChannel = hdr ? 2 : 1;
+    const view = new DataView(new ArrayBuffer(4 + 24 + 16 * 4));
+    view.setUint32(0, view.byteLength, true);
+    view.setUint32(4, 0, true); // Khronos vendor, basic descriptor type
+    view.setUint16(8, 2, true); // Version
+    view.setUint16(10, 24 + 16 * 4, true);
+    view.setUint8(12, 1); // RGBSDA color model
+    view.setUint8(13, 1); // BT.709 primaries
+    view.setUint8(14, hdr ? 1 : 2); // Linear or sRGB transfer
+    view.setUint8(15, 0); // Straight alpha
+    view.setUint8(20, 4 * bytesPerChannel); // Bytes per texel in plane 0
+    CHANNEL_IDS.forEach((channel, i) => {
+        const offset = 28 + 16 * i;
+        let qualifiers = hdr ? QUALIFIER_FLOAT | QUALIFIER_SIGNED : 0;
+        if (!hdr && channel === 15) qualifiers |= QUALIFIER_LINEAR; // Alpha is never sRGB-encoded
+        view.setUint16(offset, i * 8 * bytesPerChannel, true); // Bit offset
+        view.setUint8(offset + 2, 8 * bytesPerChannel - 1); // Bit length - 1
+        view.setUint8(offset + 3, channel | qualifiers);
+        view.setUint32(offset + 8, hdr ? 0xbf800000 : 0, true); // Lower: -1.0 or 0
+        view.setUint32(offset + 12, hdr ? 0x3f800000 : 255, true); // Upper: 1.0 or 255
+    });
+    return new Uint8Array(view.buffer);
+}
+
+// Key/value pairs, sorted by key, each padded to four bytes
+function keyValueData(entries) {
+    const parts = Object.keys(entries).sort().map(key => {
+        const text = Buffer.from(`${key}\0${entries[key]}\0`, 'utf8');
+        const part = Buffer.alloc(4 + Math.ceil(text.length / 4) * 4);
+        part.writeUInt32LE(text.length, 0);
+        text.copy(part, 4);
+        return part;
+    });
+    return Buffer.concat(parts);
+}
+
+// Pixels of one mip level: the six faces one after the other, RGBA
+function levelData(faces, hdr) {
+    const texels = faces.reduce((count, { size }) => count + size * size, 0);
+    const data = hdr ? new Uint16Array(texels * 4) : new Uint8Array(texels * 4);
+    const one = hdr ? toHalf(1) : 255;
+    let texel = 0;
+    faces.forEach(face => {
+        for (let i = 0; i < face.size * face.size; i++, texel++) {
+            for (let c = 0; c < 3; c++) {
+                const value = face.data[i * 3 + c];
+                data[texel * 4 + c] = hdr ? toHalf(value) : linearToSrgb(value);
+            }
+            data[texel * 4 + 3] = one;
+        }
+    });
+    return new Uint8Array(data.buffer);
+}
+
+// A KTX2 cube map from `levels` (each six faces, largest first). `metadata` adds key/value
+// entries to the file.
+export function encodeKtx2Cube(levels, { hdr = false, metadata = {} } = {}) {
+    const size = levels[0][0].size;
+    const texelSize = hdr ? 8 : 4;
+    const dfd = dataFormatDescriptor(hdr);
+    const kvd = keyValueData({ KTXorientation: 'rd', KTXwriter: 'sun-simulation bake-env', ...metadata });
+    const images = levels.map(faces => levelData(faces, hdr));
+
+    // Header, level index, descriptor and key/values, then the mip levels from the smallest up,
+    // each aligned to the texel size
+    const levelIndexOffset = 80;
+    const dfdOffset = levelIndexOffset + 24 * levels.length;
+    const kvdOffset = dfdOffset + dfd.length;
+    const offsets = [];
+    let end = kvdOffset + kvd.length;
+    for (let level = levels.length - 1; level >= 0; level--) {
+        end = Math.ceil(end / texelSize) * texelSize;
+        offsets[level] = end;
+        end += images[level].length;
+    }
+
+    const file = Buffer.alloc(end);
+    file.set(IDENTIFIER, 0);
+    [hdr ? VK_FORMAT_R16G16B16A16_SFLOAT : VK_FORMAT_R8G8B8A8_SRGB, hdr ? 2 : 1, size, size, 0, 0, 6, levels.length, 0]
+        .forEach((value, i) => file.writeUInt32LE(value, 12 + 4 * i));
+    file.writeUInt32LE(dfdOffset, 48);
+    file.writeUInt32LE(dfd.length, 52);
+    file.writeUInt32LE(kvdOffset, 56);
+    file.writeUInt32LE(kvd.length, 60);
+    // No supercompression global data: bytes 64-79 stay zero
+
+    images.forEach((image, level) => {
+        const entry = levelIndexOffset + 24 * level;
+        file.writeBigUInt64LE(BigInt(offsets[level]), entry);
+        file.writeBigUInt64LE(BigInt(image.length), entry + 8);
+        file.writeBigUInt64LE(BigInt(image.length), entry + 16);
+        file.set(image, offsets[level]);
+    });
+    file.set(dfd, dfdOffset);
+    file.set(kvd, kvdOffset);
+    return file;
+}
@@ -0,0 +1,171 @@
+// Texture loading for the scene, through one THREE.LoadingManager so the page can show progress
+// and list what failed.
+//
+// Textures under textures/ can be loaded progressively: a placeholder from a smaller resolution
+// tier (textures/1k/..., made by `npm run assets`) comes first, and upgrade() swaps in the full
+// file once its body is big enough on screen. The swap happens inside the same THREE.Texture, so
+// materials and uniforms that hold it need no changes. Tier copies are only requested when
+// textures/tiers.json (written by `npm run assets`) lists them; where there is none (tiers aren't
+// built, or the file is no wider than the tier) the full file is loaded straight away.
+
+import * as THREE from 'three';
+
+const TEXTURE_ROOT = 'textures/';
+const TIER_INDEX = `${TEXTURE_ROOT}tiers.json`;
+
+export class AssetLoader {
+    // `tier` is the placeholder tier, or null to always load full textures. `onProgress` gets
+    // { url, loaded, total } as each file arrives or fails.
+    constructor({ tier = '1k', onProgress = null } = {}) {
+        this.tier = tier;
+        this.failures = []; // { url, subject, fallback } for each texture that didn't load
+        this._placeholders = new Map(); // Owner name to [{ texture, url, subject }] still at tier resolution
+        this._loading = false;
+        this._idleCallbacks = [];
+        this.disposed = false;
+        this._abortController = new AbortController(); // Cancels the tier index request on dispose()
+
+        this.manager = new THREE.LoadingManager();
+        this.manager.onStart = () => {
+            this._loading = true;
+        };
+        this.manager.onProgress = (url, loaded, total) => {
+            if (onProgress) onProgress({ url, loaded, total });
+        };
+        this.manager.onLoad = () => {
+            this._loading = false;
+            const callbacks = this._idleCallbacks;
+            this._idleCallbacks = [];
+            callbacks.forEach(callback => callback());
+        };
+        this._imageLoader = new THREE.ImageLoader(this.manager);
+
+        // Paths under textures/ with a copy in the tier; loads with an owner wait for the index
+        this._tierPaths = null;
+        this._waitingForTiers = [];
+        if (tier) this._loadTierIndex();
+    }
+
+    // Read the tier index through the manager, so idle() and the progress count include it.
+    // Without one (tiers not built) there are no tier copies to ask for.
+    _loadTierIndex() {
+        this.manager.itemStart(TIER_INDEX);
+        fetch(TIER_INDEX, { signal: this._abortController.signal })
+            .then(response => (response.ok ? response.json() : {}))
+            .catch(() => ({}))
+            .then(index => {
+                if (this.disposed) {
+                    this.manager.itemEnd(TIER_INDEX);
+                    return;
+                }
+                const paths = index && Array.isArray(index[this.tier]) ? index[this.tier] : [];
+                this._tierPaths = new Set(paths);
+                // Start the waiting loads before the index counts as done, so the manager stays busy
+                this._waitingForTiers.forEach(start => start());
+                this._waitingForTiers = [];
+                this.manager.itemEnd(TIER_INDEX);
+            });
+    }
+
+    // Resolves once nothing is loading, e.g. after the textures requested so far have arrived or failed
+    // (or straight away once disposed)
+    idle() {
+        return new Promise(resolve => {
+            if (this._loading && !this.disposed) this._idleCallbacks.push(resolve);
+            else resolve();
+        });
+    }
+
+    // Texture for `url`, filled in as it loads. `subject` and `fallback` describe it for the failure
+    // list ("texture for Mars", "using fallback color"); `onError` puts the fallback in place.
+    // With an `owner`, a placeholder tier is loaded first and upgrade(owner) brings in the full file.
+    load(url, { subject = url, fallback = 'leaving it out', owner = null, onLoad = null, onError = null } = {}) {
+        const texture = new THREE.Texture();
+        if (this.disposed) return texture;
+        const show = image => {
+            if (this.disposed) return;
+            texture.image = image;
+            texture.needsUpdate = true;
+            if (onLoad) onLoad(texture);
+        };
+        const loadFull = () => this._imageLoader.load(url, show, undefined, () => {
+            if (this.disposed) return;
+            this.fail(url, subject, fallback);
+            if (onError) onError(texture);
+        });
+
+        if (!owner || !this.tier || !url.startsWith(TEXTURE_ROOT)) {
+            loadFull();
+            return texture;
+        }
+
+        const start = () => {
+            const path = url.slice(TEXTURE_ROOT.length);
+            if (!this._tierPaths.has(path)) {
+                loadFull();
+                return;
+            }
+            // A tier copy that fails anyway isn't a failure: the full file is used instead
+            this._imageLoader.load(`${TEXTURE_ROOT}${this.tier}/${path}`, image => {
+                if (this.disposed) return;
+                if (!this._placeholders.has(owner)) this._placeholders.set(owner, []);
+                this._placeholders.get(owner).push({ texture, url, subject });
+                show(image);
+            }, undefined, () => {
+                if (!this.disposed) loadFull();
+            });
+        };
+        if (this._tierPaths) start();
+        else this._waitingForTiers.push(start);
+        return texture;
+    }
+
+    // Record a texture that couldn't be loaded and what was used instead
+    fail(url, subject, fallback) {
+        console.warn(`Could not load ${subject}, ${fallback}`);
+        this.failures.push({ url, subject, fallback });
+    }
+
+    hasPlaceholders(owner) {
+        return this._placeholders.has(owner);
+    }
+
+    // Load the full files for `owner`'s placeholders that would be magnified at `screenSize`, the
+    // owner's diameter on screen in pixels. A map wrapped around a sphere shows half its width
+    // across the disk, so at the center a texel covers pi * screenSize / width pixels.
+    upgrade(owner, screenSize) {
+        const placeholders = this._placeholders.get(owner);
+        if (!placeholders) return;
+
+        const remaining = placeholders.filter(entry => {
+            if (entry.texture.image.width >= Math.PI * screenSize) return true;
+            this._imageLoader.load(entry.url, image => {
+                if (this.disposed) return;
+                // The tier's GPU storage has the wrong size, so release it before the new image goes up
+                entry.texture.dispose();
+                entry.texture.image = image;
+                entry.texture.needsUpdate = true;
+            }, undefined, () => {
+                if (!this.disposed) this.fail(entry.url, entry.subject, 'keeping the low-resolution copy');
+            });
+            return false;
+        });
+        if (remaining.length) this._placeholders.set(owner, remaining);
+        else this._placeholders.delete(owner);
+    }
+
+    // Stop loading for a scene that is going away. Images already requested can't be cancelled,
+    // so what arrives later is dropped instead of being put into the (disposed) textures, and
+    // nothing more is requested. The textures themselves belong to the materials and are
+    // disposed with them.
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        this._abortController.abort();
+        this._placeholders.clear();
+        this._waitingForTiers = [];
+        const callbacks = this._idleCallbacks;
+        this._idleCallbacks = [];
+        callbacks.forEach(callback => callback());
+    }
+}
@@ -0,0 +1,377 @@
+// Scripted camera tours: keyframed fly-throughs with captions and sim-time changes
+//
+// A tour file looks like
+//   {
+//     "name": "Inner Planets",
+//     "loop": true,
+//     "keyframes": [
+//       { "time": 0, "camera": { "position": [0, 6, 14], "target": [0, 0, 0], "fov": 60 },
+//         "date": "2024-01-01T00:00:00Z", "timeRate": 86400, "caption": "The inner Solar System" },
+//       { "time": 6, "focus": "Earth", "camera": { "position": [0.4, 0.2, 0.6], "target": [0, 0, 0], "fov": 50 },
+//         "easing": "easeInOutCubic", "caption": "Earth and the Moon" }
+//     ]
+//   }
+// `time` is seconds from the start of the tour. With `focus`, the camera position and target
+// are offsets from that body, so the camera travels with it. `easing` shapes the move into
+// the keyframe. `date`, `timeRate` and `caption` take effect when the keyframe is reached.
+
+import * as THREE from 'three';
+import { easeInOutCubic } from './selection.js';
+
+export const EASINGS = {
+    linear: t => t,
+    easeInOutCubic,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t)
+};
+
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Raised when a tour file is malformed; `errors` lists each problem
+export class TourError extends Error {
+    constructor(errors) {
+        super(`Invalid tour (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+        this.name = 'TourError';
+        this.errors = errors;
+    }
+}
+
+// Check a tour definition and return a copy with keyframes sorted by time
+export function parseTour(tour) {
+    const errors = [];
+
+    if (!tour || typeof tour !== 'object' || !Array.isArray(tour.keyframes)) {
+        throw new TourError(['tour: expected an object with a "keyframes" array']);
+    }
+    if (tour.keyframes.length === 0) {
+        errors.push('tour.keyframes: expected at least 1 keyframe');
+    }
+
+    tour.keyframes.forEach((keyframe, index) => {
+        const path = `tour.keyframes[${index}]`;
+        if (!Number.isFinite(keyframe.time) || keyframe.time < 0) {
+            errors.push(`${path}.time: expected a number of seconds, at least 0`);
+        }
+        const camera = keyframe.camera;
+        if (!camera || !isVector(camera.position) || !isVector(camera.target)) {
+            errors.push(`${path}.camera: expected { position: [x, y, z], target: [x, y, z] }`);
+        } else if (camera.fov !== undefined && !(camera.fov > 0 && camera.fov < 180)) {
+            errors.push(`${path}.camera.fov: expected degrees between 0 and 180`);
+        }
+        if (keyframe.focus !== undefined && typeof keyframe.focus !== 'string') {
+            errors.push(`${path}.focus: expected a body name`);
+        }
+        if (keyframe.date !== undefined && isNaN(new Date(keyframe.date).getTime())) {
+            errors.push(`${path}.date: expected an ISO date`);
+        }
+        if (keyframe.timeRate !== undefined && !Number.isFinite(keyframe.timeRate)) {
+            errors.push(`${path}.timeRate: expected simulated seconds per second`);
+        }
+        if (keyframe.caption !== undefined && typeof keyframe.caption !== 'string') {
+            errors.push(`${path}.caption: expected a string`);
+        }
+        if (keyframe.easing !== undefined && !EASINGS[keyframe.easing]) {
+            errors.push(`${path}.easing: expected one of ${Object.keys(EASINGS).join(', ')}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new TourError(errors);
+    }
+
+    return {
+        name: tour.name || 'Untitled Tour',
+        loop: !!tour.loop,
+        keyframes: tour.keyframes
+            .map(keyframe => JSON.parse(JSON.stringify(keyframe)))
+            .sort((a, b) => a.time - b.time)
+    };
+}
+
+// Fetch and check a tour file
+export async function loadTour(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new TourError([`could not load "${url}" (${response.status} ${response.statusText})`]);
+    }
+    // Static hosts answer a missing file with the app's index.html, so check what came back
+    const type = response.headers.get('Content-Type') || '';
+    if (!type.includes('json')) {
+        throw new TourError([`"${url}" is not a JSON file (got ${type || 'no content type'})`]);
+    }
+    return parseTour(await response.json());
+}
+
+// Caption strip shown at the bottom of the view while a tour plays
+function createCaption(container) {
+    const caption = document.createElement('div');
+    caption.className = 'tour-caption';
+    caption.style.cssText = 'position: absolute; left: 50%; bottom: 40px; transform: translateX(-50%); max-width: 70%; ' +
+        'padding: 10px 20px; background: rgba(0, 0, 0, 0.6); color: white; border-radius: 8px; ' +
+        'font-family: Arial, sans-serif; font-size: 20px; text-align: center; z-index: 950; ' +
+        'pointer-events: none; opacity: 0; transition: opacity 0.6s;';
+    container.appendChild(caption);
+    return caption;
+}
+
+// Plays a tour on a SolarSystem. While playing or paused the tour drives the camera;
+// stop() hands it back to OrbitControls where the tour left it.
+export class CameraTour {
+    constructor(solarSystem, tour = { keyframes: [] }) {
+        this.solarSystem = solarSystem;
+        this.time = 0;
+        this.playing = false;
+        this.active = false; // Driving the camera (playing or paused)
+
+        this.caption = createCaption(solarSystem.container);
+        this._keyframeIndex = -1; // Last keyframe whose events were applied
+        this._startState = null; // Date and rate when the tour was started, for seeking
+        this._poseA = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 75 };
+        this._poseB = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 75 };
+        this._bodyPosition = new THREE.Vector3();
+
+        this._removeDisposeListener = solarSystem.on('dispose', () => this.dispose());
+
+        if (tour.keyframes.length) {
+            this.tour = parseTour(tour);
+        } else {
+            this.clear(tour.name);
+        }
+    }
+
+    get duration() {
+        const { keyframes } = this.tour;
+        return keyframes.length ? keyframes[keyframes.length - 1].time : 0;
+    }
+
+    // Replace the tour being played
+    load(tour) {
+        this.stop();
+        this.tour = parseTour(tour);
+        this.time = 0;
+    }
+
+    // Start again with an empty tour
+    clear(name = 'Untitled Tour') {
+        this.stop();
+        this.tour = { name, loop: false, keyframes: [] };
+        this.time = 0;
+    }
+
+    toJSON() {
+        return this.tour;
+    }
+
+    play() {
+        if (this.tour.keyframes.length === 0) {
+            console.warn('Tour has no keyframes');
+            return;
+        }
+        if (!this.active) {
+            this.active = true;
+            this._startState = { date: this.solarSystem.getTime(), timeRate: this.solarSystem.getParam('timeRate') };
+            if (this.time >= this.duration) this.time = 0;
+            this.solarSystem.setCameraDriver(this);
+            this._applyEvents(this.time, true);
+        }
+        this.playing = true;
+        this.solarSystem.setParam('playing', true);
+    }
+
+    // Hold the current frame; the camera stays under tour control until stop()
+    pause() {
+        this.playing = false;
+        if (this.active) this.solarSystem.setParam('playing', false);
+    }
+
+    // Give the camera back to OrbitControls
+    stop() {
+        if (!this.active) return;
+        this.playing = false;
+        this.active = false;
+        this._keyframeIndex = -1;
+        this.caption.style.opacity = '0';
+        this.solarSystem.setCameraDriver(null);
+    }
+
+    // Jump to `time` seconds, applying the date, rate, focus and caption in effect there
+    seek(time) {
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        if (!this.active) return;
+        this._applyEvents(this.time, true);
+        this._applyCamera(this.time);
+    }
+
+    // Called every frame by SolarSystem while this tour is the camera driver
+    update(deltaTime) {
+        if (this.playing) {
+            this.time += deltaTime;
+
+            if (this.time >= this.duration) {
+                if (this.tour.loop) {
+                    this.seek(0);
+                } else {
+                    this.time = this.duration;
+                    this._applyEvents(this.time, false);
+                    this._applyCamera(this.time);
+                    this.stop();
+                    return;
+                }
+            }
+
+            this._applyEvents(this.time, false);
+        }
+
+        this._applyCamera(this.time);
+    }
+
+    // Keyframe snapshot of the current view, relative to the selected body if there is one
+    captureKeyframe(time, { recordDate = false, recordTimeRate = false } = {}) {
+        const { camera, controls, selectedBody } = this.solarSystem;
+        const position = camera.position.clone();
+        const target = controls.target.clone();
+        const keyframe = { time };
+
+        if (selectedBody) {
+            selectedBody.object.getWorldPosition(this._bodyPosition);
+            position.sub(this._bodyPosition);
+            target.sub(this._bodyPosition);
+            keyframe.focus = selectedBody.data.name;
+        }
+
+        const round = value => Number(value.toFixed(4));
+        keyframe.camera = { position: position.toArray().map(round), target: target.toArray().map(round), fov: camera.fov };
+        if (recordDate) keyframe.date = this.solarSystem.getTime().toISOString();
+        if (recordTimeRate) keyframe.timeRate = this.solarSystem.getParam('timeRate');
+        return keyframe;
+    }
+
+    // Insert or replace (same time) a keyframe, keeping the list sorted
+    setKeyframe(keyframe) {
+        const keyframes = this.tour.keyframes.filter(existing => existing.time !== keyframe.time);
+        keyframes.push(keyframe);
+        this.tour = parseTour({ ...this.tour, keyframes });
+    }
+
+    removeKeyframe(index) {
+        this.tour.keyframes.splice(index, 1);
+        if (this.tour.keyframes.length === 0) this.stop();
+    }
+
+    dispose() {
+        this.stop();
+        this.caption.remove();
+        this._removeDisposeListener();
+    }
+
+    // Index of the last keyframe at or before `time`
+    _indexAt(time) {
+        const { keyframes } = this.tour;
+        let index = -1;
+        while (index + 1 < keyframes.length && keyframes[index + 1].time <= time) index++;
+        return index;
+    }
+
+    // Fire keyframe events (date, rate, focus, caption) reached by `time`.
+    // When seeking, the simulation date is rebuilt from the start of the tour so it matches
+    // what continuous playback would show.
+    _applyEvents(time, seeking) {
+        const index = this._indexAt(time);
+        if (!seeking && index === this._keyframeIndex) return;
+
+        const { keyframes } = this.tour;
+        const solarSystem = this.solarSystem;
+        const from = seeking ? 0 : this._keyframeIndex + 1;
+
+        if (seeking) {
+            // Simulated time elapsed since the start, following each rate change
+            let dateMs = this._startState.date.getTime();
+            let rate = this._startState.timeRate;
+            let lastTime = 0;
+            for (let i = 0; i <= index; i++) {
+                const keyframe = keyframes[i];
+                dateMs += (keyframe.time - lastTime) * rate * 1000;
+                if (keyframe.date) dateMs = new Date(keyframe.date).getTime();
+                if (keyframe.timeRate !== undefined) rate = keyframe.timeRate;
+                lastTime = keyframe.time;
+            }
+            dateMs += (time - lastTime) * rate * 1000;
+            solarSystem.setParam('timeRate', rate);
+            solarSystem.setTime(new Date(dateMs));
+        } else {
+            for (let i = from; i <= index; i++) {
+                if (keyframes[i].date) solarSystem.setTime(new Date(keyframes[i].date));
+                if (keyframes[i].timeRate !== undefined) solarSystem.setParam('timeRate', keyframes[i].timeRate);
+            }
+        }
+
+        // Focus and caption come from the latest keyframe that sets them
+        if (index >= 0) {
+            const focus = keyframes[index].focus || null;
+            const selected = solarSystem.selectedBody ? solarSystem.selectedBody.data.name : null;
+            if (focus !== selected) {
+                try {
+                    solarSystem.focusBody(focus, { camera: 'none' });
+                } catch (e) {
+                    console.warn(`Tour: ${e.message}`);
+                }
+            }
+        }
+
+        let caption = '';
+        for (let i = index; i >= 0; i--) {
+            if (keyframes[i].caption !== undefined) {
+                caption = keyframes[i].caption;
+                break;
+            }
+        }
+        if (caption) this.caption.textContent = caption;
+        this.caption.style.opacity = caption ? '1' : '0';
+
+        this._keyframeIndex = index;
+    }
+
+    // World-space camera pose of a keyframe, following its focus body
+    _resolvePose(keyframe, pose) {
+        pose.position.fromArray(keyframe.camera.position);
+        pose.target.fromArray(keyframe.camera.target);
+        pose.fov = keyframe.camera.fov || 75;
+
+        if (keyframe.focus) {
+            const body = this.solarSystem.selectableBodies.find(entry => entry.data.name === keyframe.focus);
+            if (body) {
+                body.object.getWorldPosition(this._bodyPosition);
+                pose.position.add(this._bodyPosition);
+                pose.target.add(this._bodyPosition);
+            }
+        }
+        return pose;
+    }
+
+    // Place the camera between the keyframes around `time`
+    _applyCamera(time) {
+        const { keyframes } = this.tour;
+        const { camera, controls } = this.solarSystem;
+        const index = Math.max(0, this._indexAt(time));
+        const from = this._resolvePose(keyframes[index], this._poseA);
+
+        if (index + 1 < keyframes.length) {
+            const next = keyframes[index + 1];
+            const to = this._resolvePose(next, this._poseB);
+            const ease = EASINGS[next.easing || 'easeInOutCubic'];
+            const t = ease(THREE.MathUtils.clamp((time - keyframes[index].time) / (next.time - keyframes[index].time), 0, 1));
+
+            from.position.lerp(to.position, t);
+            from.target.lerp(to.target, t);
+            from.fov += (to.fov - from.fov) * t;
+        }
+
+        camera.position.copy(from.position);
+        controls.target.copy(from.target);
+        camera.lookAt(from.target);
+        if (camera.fov !== from.fov) {
+            camera.fov = from.fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+}
@@ -0,0 +1,388 @@
+// lil-gui control panel for a SolarSystem instance.
+// Controllers edit `solarSystem.params` and push every change through setParam(),
+// so the panel stays in sync with changes made through the API as well.
+
+import { GUI } from 'lil-gui';
+import { TIME_RATES } from './simulationClock.js';
+import { SCALE_MODES } from './scaleModes.js';
+import { PresetStore, encodeState, downloadPreset, choosePresetFile } from './viewState.js';
+import { EXPORT_FORMATS, exportAnimation, createExportProgress } from './frameExporter.js';
+import { createTourFolder } from './tourPanel.js';
+
+const formatUtc = date => date.toISOString().slice(0, 16);
+
+const EXPORT_RESOLUTIONS = {
+    '1280×720 (HD)': [1280, 720],
+    '1920×1080 (Full HD)': [1920, 1080],
+    '2560×1440 (QHD)': [2560, 1440],
+    '3840×2160 (4K)': [3840, 2160],
+    '7680×4320 (8K)': [7680, 4320]
+};
+
+export function createControlPanel(solarSystem) {
+    const { params, container } = solarSystem;
+
+    // Planets in system order, each with its moons
+    const planets = solarSystem.planets.filter(body => !body.orbit).map(planet => ({
+        name: planet.data.name,
+        moons: planet.data.moons.map(moon => moon.name)
+    }));
+
+    // Dock into the page's default spot, or to the top right of an embedding container
+    const gui = container === document.body ? new GUI() : new GUI({ container });
+    if (container !== document.body) {
+        gui.domElement.style.cssText = 'position: absolute; top: 0; right: 15px; max-height: 100%; overflow-y: auto; z-index: 1000;';
+    }
+
+    // Bind a controller to a dotted parameter path
+    const add = (folder, path, ...args) => {
+        const keys = path.split('.');
+        const property = keys.pop();
+        const target = keys.reduce((object, key) => object[key], params);
+        return folder.add(target, property, ...args).onChange(value => solarSystem.setParam(path, value));
+    };
+    const addColor = (folder, path, rgbScale) => {
+        const keys = path.split('.');
+        const property = keys.pop();
+        const target = keys.reduce((object, key) => object[key], params);
+        return folder.addColor(target, property, rgbScale).onChange(value => solarSystem.setParam(path, value));
+    };
+    // Settings with a slow part preview while dragged and apply in full once released
+    const previewed = (controller, path) => controller
+        .onChange(value => solarSystem.setParam(path, value, { preview: true }))
+        .onFinishChange(value => solarSystem.setParam(path, value));
+
+    // Sun controls
+    const sunFolder = gui.addFolder('Sun');
+    add(sunFolder, 'octaves', 1, 10, 1);
+    add(sunFolder, 'lacunarity', 1.0, 3.0, 0.1);
+    add(sunFolder, 'gain', 0.1, 0.9, 0.05);
+    add(sunFolder, 'rotationSpeed', 0.0, 0.01, 0.0005);
+    add(sunFolder, 'starTemperature', 2400, 7500, 50).name('Temperature (K)');
+    add(sunFolder, 'sunspotIntensity', 0.0, 1.0, 0.05);
+
+    // Corona controls
+    const coronaFolder = gui.addFolder('Corona');
+    add(coronaFolder, 'coronaSize', 1.5, 8.0, 0.1).name('Size (Star Radii)');
+    add(coronaFolder, 'coronaIntensity', 0.1, 2.0, 0.1);
+    add(coronaFolder, 'pulsationSpeed', 0.0, 2.0, 0.1).name('Outflow Speed');
+
+    // Solar activity controls
+    const activityFolder = gui.addFolder('Solar Activity');
+    add(activityFolder, 'solarActivity.level', 0.0, 1.0, 0.05).name('Activity (Min to Max)');
+    add(activityFolder, 'solarActivity.frequency', 0.0, 5.0, 0.1).name('Frequency');
+    add(activityFolder, 'solarActivity.intensity', 0.0, 3.0, 0.1).name('Intensity');
+    add(activityFolder, 'solarActivity.prominences').name('Prominences');
+    add(activityFolder, 'solarActivity.flares').name('Flares');
+    add(activityFolder, 'solarActivity.cmes').name('Coronal Mass Ejections');
+
+    // Bloom effect controls
+    const bloomFolder = gui.addFolder('Bloom Effect');
+    add(bloomFolder, 'bloomStrength', 0.0, 5.0, 0.1).name('Strength');
+    add(bloomFolder, 'bloomRadius', 0.0, 1.0, 0.01).name('Radius');
+    add(bloomFolder, 'bloomThreshold', 0.0, 1.0, 0.01).name('Threshold');
+
+    // Bloom Layer controls to toggle which objects get bloom
+    const bloomLayerFolder = gui.addFolder('Bloom Objects');
+    add(bloomLayerFolder, 'bloom.sun').name('Sun & Corona');
+    add(bloomLayerFolder, 'bloom.planets').name('Planets');
+    add(bloomLayerFolder, 'bloom.stars').name('Background Stars');
+    add(bloomLayerFolder, 'bloom.shootingStars').name('Shooting Stars');
+
+    // General settings
+    const generalFolder = gui.addFolder('General Settings');
+    add(generalFolder, 'cameraDistance', 2.0, 40.0, 0.1);
+    add(generalFolder, 'ambientLightIntensity', 0.0, 1.0, 0.01);
+    add(generalFolder, 'pointLightIntensity', 0.0, 5.0, 0.1);
+    addColor(generalFolder, 'backgroundIntensity', 255);
+
+    // Quality settings
+    const qualityFolder = gui.addFolder('Quality');
+    add(qualityFolder, 'sunSegments', [32, 64, 128, 256]);
+    add(qualityFolder, 'coronaSegments', [16, 32, 64, 128]);
+
+    // Planet Controls folder
+    const planetFolder = gui.addFolder('Planet Controls');
+    add(planetFolder, 'scaleMode', SCALE_MODES).name('Scale Mode');
+    add(planetFolder, 'planetScale', 0.1, 3.0, 0.1).name('Planet Size Scale');
+    add(planetFolder, 'surfaceMaps').name('Surface Detail Maps');
+    add(planetFolder, 'clouds').name('Cloud Layers');
+    add(planetFolder, 'rings').name('Rings');
+    add(planetFolder, 'showAllPlanets').name('Show All Planets');
+    planets.forEach(({ name }) => {
+        add(planetFolder, `visibility.${name}`).name(`Show ${name}`);
+    });
+    if (planets.some(planet => planet.moons.length)) {
+        const moonFolder = planetFolder.addFolder('Moons');
+        planets.forEach(({ moons }) => moons.forEach(name => {
+            add(moonFolder, `visibility.${name}`).name(`Show ${name}`);
+        }));
+        moonFolder.close();
+    }
+    add(planetFolder, 'showAxes').name('Show All Axes');
+    const axisFolder = planetFolder.addFolder('Axes & Equators');
+    planets.forEach(({ name }) => {
+        add(axisFolder, `axes.${name}`).name(`${name} Axis`);
+    });
+    axisFolder.close();
+    if (Object.keys(params.atmospheres).length) {
+        const atmosphereFolder = planetFolder.addFolder('Atmospheres');
+        add(atmosphereFolder, 'showAtmospheres').name('Show Atmospheres');
+        add(atmosphereFolder, 'atmosphereIntensity', 0.0, 3.0, 0.05).name('Intensity');
+        Object.keys(params.atmospheres).forEach(name => {
+            const folder = atmosphereFolder.addFolder(name);
+            addColor(folder, `atmospheres.${name}.color`).name('Color');
+            add(folder, `atmospheres.${name}.thickness`, 0.005, 0.1, 0.005).name('Thickness');
+            add(folder, `atmospheres.${name}.density`, 0.0, 5.0, 0.05).name('Density');
+            folder.close();
+        });
+        atmosphereFolder.close();
+    }
+
+    // Orbit path and trail controls
+    const orbitFolder = gui.addFolder('Orbits & Trails');
+    add(orbitFolder, 'showOrbits').name('Show All Orbits');
+    add(orbitFolder, 'showTrails').name('Show All Trails');
+    const addOrbitFolder = (parent, name) => {
+        const bodyFolder = parent.addFolder(name);
+        add(bodyFolder, `orbits.${name}.path`).name('Orbit Path');
+        add(bodyFolder, `orbits.${name}.trail`).name('Trail');
+        addColor(bodyFolder, `orbits.${name}.color`).name('Color');
+        add(bodyFolder, `orbits.${name}.opacity`, 0.0, 1.0, 0.05).name('Path Opacity');
+        add(bodyFolder, `orbits.${name}.trailOpacity`, 0.0, 1.0, 0.05).name('Trail Opacity');
+        add(bodyFolder, `orbits.${name}.trailLength`, 10, 1000, 10).name('Trail Length');
+        bodyFolder.close();
+        return bodyFolder;
+    };
+    // Moon folders sit inside their planet's folder
+    planets.forEach(({ name, moons }) => {
+        const planetOrbitFolder = addOrbitFolder(orbitFolder, name);
+        moons.forEach(moon => addOrbitFolder(planetOrbitFolder, moon));
+    });
+
+    // Space weather controls
+    const spaceWeatherFolder = gui.addFolder('Space Weather');
+    add(spaceWeatherFolder, 'spaceWeather.solarWind').name('Solar Wind');
+    add(spaceWeatherFolder, 'spaceWeather.density', 0.0, 1.0, 0.05).name('Wind Density');
+    add(spaceWeatherFolder, 'spaceWeather.speed', 0.1, 5.0, 0.1).name('Wind Speed');
+    add(spaceWeatherFolder, 'spaceWeather.magnetospheres').name('Magnetospheres');
+    add(spaceWeatherFolder, 'spaceWeather.auroras').name('Auroras');
+    add(spaceWeatherFolder, 'spaceWeather.auroraIntensity', 0.0, 3.0, 0.1).name('Aurora Intensity');
+
+    // Star catalog controls
+    const starsFolder = gui.addFolder('Stars');
+    add(starsFolder, 'stars.show').name('Show Stars');
+    add(starsFolder, 'stars.brightness', 0.1, 3.0, 0.1).name('Brightness');
+    add(starsFolder, 'stars.magnitudeLimit', 1.0, 7.0, 0.5).name('Faintest Magnitude');
+    add(starsFolder, 'stars.constellations').name('Constellation Lines');
+    add(starsFolder, 'stars.labels').name('Labels');
+
+    // Milky Way controls
+    const milkyWayFolder = gui.addFolder('Milky Way');
+    add(milkyWayFolder, 'milkyWayBackground', solarSystem.environment.names).name('Background');
+    previewed(add(milkyWayFolder, 'milkyWayIntensity', 0.1, 4.0, 0.1), 'milkyWayIntensity').name('Exposure');
+    previewed(addColor(milkyWayFolder, 'milkyWayColor', 255), 'milkyWayColor').name('Tint Color');
+    previewed(add(milkyWayFolder, 'milkyWayRotation', 0, Math.PI * 2, 0.1), 'milkyWayRotation').name('Rotation');
+    add(milkyWayFolder, 'environmentReflections', 0.0, 1.0, 0.05).name('Planet Reflections');
+
+    // Time controls. The date fields are panel-only state rather than parameters.
+    const timeControls = {
+        jumpToDate: formatUtc(solarSystem.getTime()),
+        get currentDate() {
+            return formatUtc(solarSystem.getTime()).replace('T', ' ');
+        },
+        jumpToNow: () => solarSystem.setTime(new Date()),
+        eclipse: 'None found yet',
+        nextSolarEclipse: () => jumpToEclipse('solar'),
+        nextLunarEclipse: () => jumpToEclipse('lunar')
+    };
+    const jumpToEclipse = type => {
+        const eclipse = solarSystem.jumpToEclipse(type);
+        timeControls.eclipse = eclipse
+            ? `${eclipse.kind} ${type}, ${formatUtc(eclipse.date).replace('T', ' ')}`
+            : `No ${type} eclipse found`;
+    };
+
+    const timeFolder = gui.addFolder('Time');
+    add(timeFolder, 'playing').name('Play');
+    add(timeFolder, 'reversed').name('Reverse');
+    add(timeFolder, 'timeRate', TIME_RATES).name('Time Rate');
+    const dateController = timeFolder.add(timeControls, 'jumpToDate').name('Jump to Date (UTC)').onFinishChange(value => {
+        const date = new Date(`${value}Z`);
+        if (isNaN(date.getTime())) {
+            console.warn(`Invalid date "${value}", expected YYYY-MM-DDTHH:MM`);
+            return;
+        }
+        solarSystem.setTime(date);
+    });
+    // Use the browser's native date/time picker for the text field
+    dateController.$input.type = 'datetime-local';
+    timeFolder.add(timeControls, 'jumpToNow').name('Jump to Now');
+    const currentDateController = timeFolder.add(timeControls, 'currentDate').name('Current Date (UTC)').disable().listen();
+    timeFolder.add(timeControls, 'nextSolarEclipse').name('Next Solar Eclipse');
+    timeFolder.add(timeControls, 'nextLunarEclipse').name('Next Lunar Eclipse');
+    const eclipseController = timeFolder.add(timeControls, 'eclipse').name('Eclipse').disable().listen();
+
+    // Presets: lil-gui's save()/load() covers the panel, the view state covers the camera, date and selection
+    const presetStore = new PresetStore();
+    const presetFolder = gui.addFolder('Presets');
+
+    // Leave out controllers that aren't settings; the date is restored from the view state instead
+    const panelOnly = [dateController, currentDateController, eclipseController];
+    const stripPanelOnly = saved => {
+        const folders = saved.folders || {};
+        delete folders[presetFolder._title];
+        delete folders[exportFolder._title];
+        delete folders[tourFolder._title];
+        const timeSettings = folders[timeFolder._title];
+        if (timeSettings && timeSettings.controllers) {
+            panelOnly.forEach(controller => delete timeSettings.controllers[controller._name]);
+        }
+        return saved;
+    };
+
+    const capturePreset = name => {
+        const view = solarSystem.getState();
+        delete view.params; // Covered by the panel's own save()
+        return { name, gui: stripPanelOnly(gui.save()), view };
+    };
+    const applyPreset = preset => {
+        if (preset.gui) {
+            gui.load(stripPanelOnly(JSON.parse(JSON.stringify(preset.gui))));
+        }
+        if (preset.view) solarSystem.setState(preset.view);
+        console.log(`Preset "${preset.name}" applied`);
+    };
+
+    const presetControls = {
+        name: 'My View',
+        preset: presetStore.names()[0] || '',
+        save: () => {
+            const name = presetControls.name.trim();
+            if (!name) return;
+            presetStore.save(capturePreset(name));
+            presetControls.preset = name;
+            refreshPresetList();
+        },
+        load: () => {
+            const preset = presetStore.get(presetControls.preset);
+            if (preset) applyPreset(preset);
+        },
+        remove: () => {
+            presetStore.remove(presetControls.preset);
+            presetControls.preset = presetStore.names()[0] || '';
+            refreshPresetList();
+        },
+        exportFile: () => {
+            downloadPreset(presetStore.get(presetControls.preset) || capturePreset(presetControls.name.trim() || 'preset'));
+        },
+        importFile: async () => {
+            try {
+                const preset = await choosePresetFile();
+                if (!preset) return;
+                presetStore.save(preset);
+                presetControls.preset = preset.name;
+                refreshPresetList();
+                applyPreset(preset);
+            } catch (e) {
+                console.warn('Could not import preset:', e.message);
+            }
+        },
+        copyLink: () => {
+            presetControls.link = `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeState(solarSystem.getState(), solarSystem.defaultParams)}`;
+            linkController.updateDisplay().show();
+            // Without clipboard access, leave the link selected for copying by hand
+            const copyByHand = () => {
+                linkController.name('Link (copy failed)');
+                linkController.$input.select();
+            };
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(presetControls.link).then(() => linkController.name('Link (copied)'), copyByHand);
+            } else {
+                copyByHand();
+            }
+        },
+        link: ''
+    };
+
+    presetFolder.add(presetControls, 'name').name('Preset Name');
+    presetFolder.add(presetControls, 'save').name('Save Preset');
+    let presetController = presetFolder.add(presetControls, 'preset', presetStore.names()).name('Saved Presets');
+    const loadController = presetFolder.add(presetControls, 'load').name('Load Preset');
+    // options() rebuilds the dropdown at the end of the folder, so move it back above "Load Preset"
+    const refreshPresetList = () => {
+        presetController = presetController.options(presetStore.names());
+        loadController.domElement.before(presetController.domElement);
+    };
+    presetFolder.add(presetControls, 'remove').name('Delete Preset');
+    presetFolder.add(presetControls, 'exportFile').name('Export to File');
+    presetFolder.add(presetControls, 'importFile').name('Import from File');
+    presetFolder.add(presetControls, 'copyLink').name('Copy Link');
+    const linkController = presetFolder.add(presetControls, 'link').name('Link').hide();
+
+    // Camera tours
+    const tourFolder = createTourFolder(gui, solarSystem.tour);
+
+    // Offline export at a fixed timestep
+    let exportController = null;
+    const exportProgress = createExportProgress(container, () => exportController && exportController.abort());
+    solarSystem.on('dispose', () => exportProgress.element.remove());
+
+    const exportSettings = {
+        format: 'webm',
+        resolution: EXPORT_RESOLUTIONS['1920×1080 (Full HD)'],
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        duration: 10,
+        start: async () => {
+            if (exportController) return;
+            exportController = new AbortController();
+            exportProgress.show(`Exporting ${Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name] === exportSettings.format)}`);
+            try {
+                await exportAnimation(solarSystem, {
+                    format: exportSettings.format,
+                    width: exportSettings.width,
+                    height: exportSettings.height,
+                    fps: exportSettings.fps,
+                    duration: exportSettings.duration,
+                    signal: exportController.signal,
+                    onProgress: (done, total) => exportProgress.update(done, total)
+                });
+            } catch (e) {
+                if (e.name === 'AbortError') {
+                    console.log('Export cancelled');
+                } else {
+                    console.error('Export failed:', e);
+                }
+            } finally {
+                exportController = null;
+                exportProgress.hide();
+            }
+        }
+    };
+
+    const exportFolder = gui.addFolder('Export');
+    exportFolder.add(exportSettings, 'format', EXPORT_FORMATS).name('Format');
+    exportFolder.add(exportSettings, 'resolution', EXPORT_RESOLUTIONS).name('Resolution').onChange(([width, height]) => {
+        exportSettings.width = width;
+        exportSettings.height = height;
+        exportFolder.controllers.forEach(controller => controller.updateDisplay());
+    });
+    exportFolder.add(exportSettings, 'width', 16, 8192, 2).name('Width (px)');
+    exportFolder.add(exportSettings, 'height', 16, 8192, 2).name('Height (px)');
+    exportFolder.add(exportSettings, 'fps', [24, 25, 30, 50, 60]).name('Frame Rate');
+    exportFolder.add(exportSettings, 'duration', 1, 600, 1).name('Duration (s)');
+    exportFolder.add(exportSettings, 'start').name('Start Export');
+    exportFolder.close();
+
+    // Reflect changes made through setParam() (and linked toggles such as "Show All") in the controllers
+    solarSystem.on('change', () => {
+        gui.controllersRecursive().forEach(controller => {
+            if (controller !== dateController) controller.updateDisplay();
+        });
+    });
+
+    console.log('GUI controls set up');
+    return gui;
+}
@@ -0,0 +1,91 @@
+// Day/night shader for Earth-like bodies: day and night (city light) maps blended across the
+// terminator, a sun glint on the oceans and a reddened twilight band.
+//
+// The shader does its own lighting from the scene's point light, so syncDayNightLighting()
+// has to be called when the lights change (SolarSystem does it every frame).
+
+import * as THREE from 'three';
+import earthVertexShader from './shaders/earth.vertex.glsl?raw';
+import earthFragmentShader from './shaders/earth.fragment.glsl?raw';
+import './eclipseShadows.js'; // Registers the shadow chunk the fragment shader includes
+
+// Load `url` into the `name` uniform and flag it as usable once it arrives.
+// A map that fails to load is left out, so the shader falls back as a standard material would
+// (the body's color for a missing day map).
+function loadMap(material, assets, name, url, bodyName) {
+    const flag = material.uniforms[`u_has${name[0].toUpperCase()}${name.slice(1)}`];
+    material.uniforms[`u_${name}`].value = assets.load(url, {
+        owner: bodyName,
+        subject: `${name} for ${bodyName}`,
+        fallback: name === 'dayMap' ? 'using fallback color' : 'leaving it out',
+        onLoad: () => {
+            flag.value = 1;
+        },
+        onError: texture => {
+            texture.dispose();
+            material.uniforms[`u_${name}`].value = null;
+        }
+    });
+}
+
+// Material for `def`, whose material settings include a nightMap
+export function createDayNightMaterial(def, assets) {
+    const materialDef = def.material;
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            u_dayMap: { value: null },
+            u_nightMap: { value: null },
+            u_normalMap: { value: null },
+            u_bumpMap: { value: null },
+            u_specularMap: { value: null },
+            u_hasDayMap: { value: 0 },
+            u_hasNightMap: { value: 0 },
+            u_hasNormalMap: { value: 0 },
+            u_hasBumpMap: { value: 0 },
+            u_hasSpecularMap: { value: 0 },
+            u_detailMaps: { value: 1 },
+            u_color: { value: new THREE.Color(def.color) },
+            u_normalScale: { value: materialDef.normalScale ?? 1.0 },
+            u_bumpScale: { value: materialDef.bumpScale ?? 1.0 },
+            u_nightIntensity: { value: materialDef.nightIntensity ?? 1.0 },
+            u_specularStrength: { value: 1.5 },
+            u_shininess: { value: 60.0 },
+            u_sunPosition: { value: new THREE.Vector3() },
+            u_lightColor: { value: new THREE.Color(0xffffff) },
+            u_lightIntensity: { value: 1.0 },
+            u_lightDistance: { value: 0.0 },
+            u_lightDecay: { value: 1.0 },
+            u_ambientColor: { value: new THREE.Color(0xffffff) },
+            u_ambientIntensity: { value: 0.0 },
+            u_shadowSun: { value: new THREE.Vector4() } // Replaced by addEclipseShadows()
+        },
+        defines: { SHADOW_CASTERS: 0 },
+        extensions: { derivatives: true }, // For the bump map
+        vertexShader: earthVertexShader,
+        fragmentShader: earthFragmentShader
+    });
+
+    if (def.texture) loadMap(material, assets, 'dayMap', def.texture, def.name);
+    loadMap(material, assets, 'nightMap', materialDef.nightMap, def.name);
+    if (materialDef.normalMap) loadMap(material, assets, 'normalMap', materialDef.normalMap, def.name);
+    if (materialDef.bumpMap) {
+        loadMap(material, assets, 'bumpMap', materialDef.bumpMap, def.name);
+        material.userData.bumpScale = materialDef.bumpScale ?? 1.0; // At the body's scene radius, see scaleBumpMap
+    }
+    if (materialDef.specularMap) loadMap(material, assets, 'specularMap', materialDef.specularMap, def.name);
+
+    return material;
+}
+
+// Point the shader at the scene's lights. Colors and the light position are shared,
+// intensities and falloff are copied.
+export function syncDayNightLighting(material, sunLight, ambientLight) {
+    const { uniforms } = material;
+    uniforms.u_sunPosition.value = sunLight.position;
+    uniforms.u_lightColor.value = sunLight.color;
+    uniforms.u_lightIntensity.value = sunLight.intensity;
+    uniforms.u_lightDistance.value = sunLight.distance;
+    uniforms.u_lightDecay.value = sunLight.decay;
+    uniforms.u_ambientColor.value = ambientLight.color;
+    uniforms.u_ambientIntensity.value = ambientLight.intensity;
+}
@@ -0,0 +1,140 @@
+// Eclipse finder: searches forward in time for the next solar or lunar eclipse of a planet and moon.
+//
+// Works in kilometres with the same orbits the scene uses, so results match what the simulation
+// shows. For Earth's Moon that is the lunar theory (see lunarTheory.js), which puts eclipses within
+// a few minutes of their real times. Other moons are on circular orbits with a drifting node, which
+// are only approximate: their eclipse times can be hours out and borderline eclipses missed.
+
+import * as THREE from 'three';
+import { AU_IN_KM, J2000, dateToJulian, julianToDate, heliocentricPosition } from './ephemeris.js';
+import { equatorialFrame, moonOrbitAngles } from './systemLoader.js';
+
+const HOURS = 1 / 24; // In days
+const SEARCH_STEP = 1 * HOURS;
+const DEFAULT_SEARCH_DAYS = 3 * 365.25;
+
+// Earth's atmosphere widens its shadow by about 2% (the usual allowance in eclipse predictions)
+const ATMOSPHERE_SHADOW_FACTOR = 1.02;
+
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _frame = new THREE.Quaternion();
+const _offset = new THREE.Vector3();
+const _ecliptic = { x: 0, y: 0, z: 0 };
+
+// Heliocentric ecliptic positions (km) of the planet and moon `days` after J2000
+function positions(planet, moon, days, target) {
+    heliocentricPosition(planet.elements, J2000 + days, _ecliptic);
+    target.planet.set(_ecliptic.x, _ecliptic.y, _ecliptic.z).multiplyScalar(AU_IN_KM);
+
+    // Same rotations as the moon's orbit plane and pivot in the scene
+    const { node, inclination, angle, latitude, distance } = moonOrbitAngles(moon, days);
+    _euler.set(inclination, node, 0);
+    _offset.set(Math.cos(latitude) * Math.cos(angle), Math.sin(latitude), -Math.cos(latitude) * Math.sin(angle)).applyEuler(_euler);
+    if (moon.referencePlane !== 'ecliptic') {
+        _offset.applyQuaternion(equatorialFrame(planet.spinAxis, _frame));
+    }
+
+    // Scene axes back to ecliptic ones
+    target.moon.set(_offset.x, -_offset.z, _offset.y).multiplyScalar(moon.orbitalDistanceKm * distance).add(target.planet);
+    return target;
+}
+
+// A shadow cast away from the star by `caster` onto something at `target`: how far the target
+// sits from the shadow's axis and the penumbra and umbra radii there (a negative umbra radius is
+// the antumbra, where the caster looks smaller than the star). Null when the target isn't behind.
+function shadowAt(caster, casterRadius, target, starRadius, widen = 1) {
+    const casterDistance = caster.length();
+    const axis = caster.clone().divideScalar(casterDistance);
+    const along = target.dot(axis) - casterDistance;
+    if (along <= 0) return null;
+
+    return {
+        offset: target.clone().addScaledVector(axis, -target.dot(axis)).length(),
+        penumbra: widen * (casterRadius + along * (starRadius + casterRadius) / casterDistance),
+        umbra: widen * (casterRadius - along * (starRadius - casterRadius) / casterDistance)
+    };
+}
+
+// Distance of the receiving body from the shadow axis, Infinity when it isn't in line
+function shadowOffset(type, planet, moon, radii) {
+    const shadow = type === 'solar'
+        ? shadowAt(moon, radii.moon, planet, radii.star)
+        : shadowAt(planet, radii.planet, moon, radii.star);
+    return shadow ? shadow.offset : Infinity;
+}
+
+// The eclipse seen at the moment of closest approach, or null if the shadow misses
+function classify(type, planet, moon, radii) {
+    if (type === 'solar') {
+        // The moon's shadow on the planet
+        const shadow = shadowAt(moon, radii.moon, planet, radii.star);
+        if (!shadow || shadow.offset >= shadow.penumbra + radii.planet) return null;
+        if (shadow.offset < Math.abs(shadow.umbra) + radii.planet) return shadow.umbra > 0 ? 'total' : 'annular';
+        return 'partial';
+    }
+
+    // The planet's shadow on the moon
+    const shadow = shadowAt(planet, radii.planet, moon, radii.star, ATMOSPHERE_SHADOW_FACTOR);
+    if (!shadow || shadow.offset >= shadow.penumbra + radii.moon) return null;
+    if (shadow.offset + radii.moon <= shadow.umbra) return 'total';
+    if (shadow.offset - radii.moon < shadow.umbra) return 'partial';
+    return 'penumbral';
+}
+
+// Find the next `type` ('solar' or 'lunar') eclipse after `date` of `planetName` and its moon
+// `moonName` in a parsed system. Returns { type, kind, date } where kind is 'total', 'annular',
+// 'partial' or 'penumbral' and date is the moment of greatest eclipse, or null if there is none
+// within `searchDays`.
+export function findEclipse(system, date, { type = 'solar', planetName = 'Earth', moonName = 'Moon', searchDays = DEFAULT_SEARCH_DAYS } = {}) {
+    if (type !== 'solar' && type !== 'lunar') {
+        throw new Error(`Unknown eclipse type "${type}"`);
+    }
+
+    const planet = system.bodies.find(body => body.name === planetName);
+    const moon = planet && planet.moons.find(body => body.name === moonName);
+    if (!moon) {
+        console.warn(`No ${moonName} around ${planetName} in "${system.name}", can't search for eclipses`);
+        return null;
+    }
+    if (!system.star.radiusKm || !planet.radiusKm || !moon.radiusKm || !moon.orbitalDistanceKm) {
+        console.warn(`Eclipse search needs radiusKm for ${system.star.name}, ${planetName} and ${moonName}, and ${moonName}'s orbitalDistanceKm`);
+        return null;
+    }
+
+    const radii = { star: system.star.radiusKm, planet: planet.radiusKm, moon: moon.radiusKm };
+    const scratch = { planet: new THREE.Vector3(), moon: new THREE.Vector3() };
+    const offsetAt = days => {
+        const { planet: p, moon: m } = positions(planet, moon, days, scratch);
+        return shadowOffset(type, p, m, radii);
+    };
+
+    // Step forward to each closest approach of the shadow, refine it, and see if it is an eclipse.
+    // Starting an hour on means searching again from an eclipse finds the next one.
+    const start = dateToJulian(date) - J2000 + SEARCH_STEP;
+    let previous = offsetAt(start - SEARCH_STEP);
+    let current = offsetAt(start);
+    for (let days = start; days < start + searchDays; days += SEARCH_STEP) {
+        const next = offsetAt(days + SEARCH_STEP);
+        if (current < previous && current <= next) {
+            // Golden section search within the surrounding steps
+            let low = days - SEARCH_STEP;
+            let high = days + SEARCH_STEP;
+            const ratio = (Math.sqrt(5) - 1) / 2;
+            while (high - low > 1 / 86400) {
+                const a = high - ratio * (high - low);
+                const b = low + ratio * (high - low);
+                if (offsetAt(a) < offsetAt(b)) high = b; else low = a;
+            }
+
+            const greatest = (low + high) / 2;
+            const { planet: p, moon: m } = positions(planet, moon, greatest, scratch);
+            const kind = classify(type, p, m, radii);
+            if (kind) {
+                return { type, kind, date: julianToDate(J2000 + greatest) };
+            }
+        }
+        previous = current;
+        current = next;
+    }
+    return null;
+}
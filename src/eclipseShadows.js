@@ -0,0 +1,97 @@
+// Analytic eclipse shadows between the star, planets, moons and rings.
+//
+// The sun is a point light without shadow maps, so instead each receiving material works out
+// how much of the star's disk is hidden by a short list of spheres and a ring system. The GLSL
+// is registered as the eclipse_shadow_pars shader chunk.
+
+import * as THREE from 'three';
+import eclipseShadowShader from './shaders/eclipseShadow.glsl?raw';
+
+THREE.ShaderChunk.eclipse_shadow_pars = eclipseShadowShader;
+
+function createUniforms(casterCount, ring) {
+    const uniforms = {
+        u_shadowSun: { value: new THREE.Vector4() }
+    };
+    if (casterCount > 0) {
+        uniforms.u_shadowCasters = { value: Array.from({ length: casterCount }, () => new THREE.Vector4()) };
+    }
+    if (ring) {
+        Object.assign(uniforms, {
+            u_ringCenter: { value: new THREE.Vector3() },
+            u_ringNormal: { value: new THREE.Vector3(0, 1, 0) },
+            u_ringRadii: { value: new THREE.Vector2(0, 1) },
+            u_ringOpacity: { value: 0 },
+            u_ringMap: { value: null },
+            u_ringAlphaMap: { value: null },
+            u_ringHasMap: { value: 0 },
+            u_ringHasAlphaMap: { value: 0 }
+        });
+    }
+    return uniforms;
+}
+
+// Let `material` be shadowed by `casterCount` spheres and, with `ring`, a ring system.
+// Shader materials include the chunk themselves and call eclipseVisibility(); standard
+// materials are patched so that the sun's direct light is scaled by it.
+// The uniforms end up in material.userData.eclipseUniforms, for updateEclipseShadows().
+export function addEclipseShadows(material, casterCount, ring = false) {
+    const uniforms = createUniforms(casterCount, ring);
+    material.defines = { ...material.defines, SHADOW_CASTERS: casterCount };
+    if (ring) material.defines.SHADOW_RING = '';
+    material.userData.eclipseUniforms = uniforms;
+
+    if (material.isShaderMaterial) {
+        Object.assign(material.uniforms, uniforms);
+        return;
+    }
+
+    // Chain onto any earlier patch (such as a specular map)
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    const previousCacheKey = material.customProgramCacheKey;
+    material.onBeforeCompile = (shader, renderer) => {
+        previousOnBeforeCompile.call(material, shader, renderer);
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = `varying vec3 vShadowPosition;\n${shader.vertexShader}`.replace(
+            '#include <project_vertex>',
+            `#include <project_vertex>
+            vShadowPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;`
+        );
+        shader.fragmentShader = `varying vec3 vShadowPosition;\n#include <eclipse_shadow_pars>\n${shader.fragmentShader}`.replace(
+            '#include <lights_fragment_end>',
+            `#include <lights_fragment_end>
+            float sunVisibility = eclipseVisibility(vShadowPosition);
+            reflectedLight.directDiffuse *= sunVisibility;
+            reflectedLight.directSpecular *= sunVisibility;`
+        );
+    };
+    material.customProgramCacheKey = () => `${previousCacheKey.call(material)}|eclipse`;
+}
+
+const _position = new THREE.Vector3();
+
+// Copy the star, caster and ring placement into a material's shadow uniforms.
+// `sun` and each caster are { object, radius } with world radii; a radius of 0 casts nothing.
+// `ring` is the ring mesh, or null; a hidden ring casts nothing.
+export function updateEclipseShadows(uniforms, sun, casters, ring) {
+    sun.object.getWorldPosition(_position);
+    uniforms.u_shadowSun.value.set(_position.x, _position.y, _position.z, sun.radius);
+
+    casters.forEach(({ object, radius }, i) => {
+        object.getWorldPosition(_position);
+        uniforms.u_shadowCasters.value[i].set(_position.x, _position.y, _position.z, radius);
+    });
+
+    if (ring) {
+        const { material, geometry } = ring;
+        const scale = ring.matrixWorld.getMaxScaleOnAxis();
+        ring.getWorldPosition(uniforms.u_ringCenter.value);
+        uniforms.u_ringNormal.value.set(0, 0, 1).transformDirection(ring.matrixWorld); // RingGeometry lies in its XY plane
+        uniforms.u_ringRadii.value.set(geometry.parameters.innerRadius * scale, geometry.parameters.outerRadius * scale);
+        uniforms.u_ringOpacity.value = ring.visible ? material.opacity : 0;
+        uniforms.u_ringMap.value = material.map;
+        uniforms.u_ringAlphaMap.value = material.alphaMap;
+        uniforms.u_ringHasMap.value = material.map && material.map.image ? 1 : 0;
+        uniforms.u_ringHasAlphaMap.value = material.alphaMap && material.alphaMap.image ? 1 : 0;
+    }
+}
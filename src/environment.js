@@ -0,0 +1,284 @@
+// Background environments: an equirectangular image (JPG/PNG, Radiance HDR or OpenEXR), a
+// six-face cube map or a KTX2 cube map shown as the scene background, and optionally lighting
+// the planets as a faint reflection environment.
+//
+// An environment is described by
+//   { name: 'Milky Way', url: 'textures/skybox/milkyway_panorama.jpg', frame: 'galactic' }
+//   { name: 'Nebula', urls: [px, nx, py, ny, pz, nz], frame: 'scene' }
+//   { name: 'Sky', url: 'textures/env/sky.ktx2', prefiltered: 'textures/env/sky.env.ktx2', frame: 'galactic' }
+// A 'galactic' panorama has the galactic center in the middle and is lined up with the star
+// catalog; a 'scene' one is drawn as it is, with the scene's +Y up. Cube maps baked from a
+// panorama by `npm run bake-env` keep the panorama's frame, and may have Radiance HDR faces or
+// be a mip-mapped KTX2 file. Its `prefiltered` map, if given, lights the planets in place of a
+// blurred copy of the background.
+// An 'equatorial' cube map has its faces laid out as CesiumJS's sky box.
+// An entry without a url is a plain background color.
+//
+// three can't rotate or tint a background texture, so the source is baked into a cube render
+// target with the exposure, tint and rotation applied, and baked again when they change.
+
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { HDRCubeTextureLoader } from 'three/examples/jsm/loaders/HDRCubeTextureLoader.js';
+import { equatorialCubeMatrix, galacticPanoramaMatrix } from './starCatalog.js';
+import { KTX2CubeLoader, PrefilteredPMREMGenerator } from './ktx2Environment.js';
+import environmentVertexShader from './shaders/environment.vertex.glsl?raw';
+import environmentFragmentShader from './shaders/environment.fragment.glsl?raw';
+
+// Also read by `npm run assets -- --verify`, which checks that their textures are in place
+export const DEFAULT_ENVIRONMENTS = [
+    { name: 'Milky Way', url: 'textures/skybox/milkyway_panorama.jpg', frame: 'galactic' },
+    // Tycho-2 star map from CesiumJS
+    {
+        name: 'Cube Map',
+        urls: ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map(face => `textures/skybox/tycho2/${face}.jpg`),
+        frame: 'equatorial'
+    },
+    { name: 'None' }
+];
+
+const MIN_FACE_SIZE = 256;
+const MAX_FACE_SIZE = 2048;
+
+const extensionOf = url => url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+// Loader for an equirectangular image, by file extension
+function panoramaLoader(url, manager) {
+    const extension = extensionOf(url);
+    if (extension === 'hdr') return new RGBELoader(manager);
+    if (extension === 'exr') return new EXRLoader(manager);
+    return new THREE.TextureLoader(manager);
+}
+
+// Loader for six cube faces, by the first one's file extension
+function cubeLoader(urls, manager) {
+    return extensionOf(urls[0]) === 'hdr' ? new HDRCubeTextureLoader(manager) : new THREE.CubeTextureLoader(manager);
+}
+
+export class Environment {
+    // `scene.background` should hold the color shown while nothing else is. With `assets` (an
+    // AssetLoader), backgrounds load through its manager and failures go on its list.
+    constructor({ renderer, scene, environments = DEFAULT_ENVIRONMENTS, assets = null }) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.environments = environments;
+        this.assets = assets;
+        this.color = scene.background;
+
+        // Settings applied by bake()
+        this.exposure = 1.0;
+        this.tint = new THREE.Color(0xffffff);
+        this.rotation = 0; // Radians: about the galactic or celestial poles for those frames, about +Y otherwise
+        this.reflections = 0; // envMapIntensity of the planets' standard materials; 0 leaves them unlit by the sky
+
+        this.current = null; // Environment shown
+        this._source = null; // Its texture, null for a plain color
+        this._prefiltered = null; // Its prefiltered reflection map, if it has one
+        this._pending = null; // Environment last asked for, which may still be loading
+        this._showing = Promise.resolve(); // show() of the environment last asked for
+        this._sources = new Map(); // Name to a promise of its loaded texture and prefiltered map
+        this._target = null;
+        this._reflectionTarget = null; // Kept while reflections are off, to be reused
+        this._reflectionsStale = true; // The background changed since _reflectionTarget was made
+        this._pmremGenerator = new PrefilteredPMREMGenerator(renderer);
+        this._ktx2Loader = null; // Made on first use, as it starts a worker pool
+
+        // Box around a cube camera at the origin, shaded with the source seen in each direction
+        this._bakeMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                u_source: { value: null },
+                u_toSource: { value: new THREE.Matrix3() },
+                u_exposure: { value: 1 },
+                u_tint: { value: new THREE.Color() }
+            },
+            vertexShader: environmentVertexShader,
+            fragmentShader: environmentFragmentShader,
+            side: THREE.BackSide,
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
+        this._bakeScene = new THREE.Scene();
+        this._bakeScene.add(new THREE.Mesh(new THREE.BoxGeometry(10, 10, 10), this._bakeMaterial));
+    }
+
+    get names() {
+        return this.environments.map(({ name }) => name);
+    }
+
+    // Load the environment called `name` (once) and show it. Resolves when it is shown; one that
+    // fails to load leaves the plain background color in its place.
+    show(name) {
+        this._showing = this._show(name);
+        return this._showing;
+    }
+
+    // Resolves once the environment last asked for is shown
+    ready() {
+        return this._showing;
+    }
+
+    async _show(name) {
+        const environment = this.environments.find(entry => entry.name === name);
+        if (!environment) {
+            console.warn(`Unknown environment "${name}"`);
+            return;
+        }
+        this._pending = environment;
+
+        let source = null;
+        let prefiltered = null;
+        if (environment.url || environment.urls) {
+            if (!this._sources.has(name)) {
+                this._sources.set(name, this._load(environment).then(async texture => [
+                    texture,
+                    texture && environment.prefiltered ? await this._loadPrefiltered(environment) : null
+                ]));
+            }
+            [source, prefiltered] = await this._sources.get(name);
+        }
+        // Another environment may have been picked while this one loaded
+        if (this._pending !== environment) return;
+        this.current = environment;
+        this._source = source;
+        this._prefiltered = prefiltered;
+        this.bake();
+    }
+
+    _loadKtx2(url, onLoad, onError) {
+        if (!this._ktx2Loader) {
+            this._ktx2Loader = new KTX2CubeLoader(this.assets ? this.assets.manager : undefined).detectSupport(this.renderer);
+        }
+        this._ktx2Loader.load(url, onLoad, undefined, onError);
+    }
+
+    _load({ name, url, urls }) {
+        const manager = this.assets ? this.assets.manager : undefined;
+        return new Promise((resolve, reject) => {
+            if (urls) {
+                cubeLoader(urls, manager).load(urls, resolve, undefined, reject);
+            } else if (extensionOf(url) === 'ktx2') {
+                this._loadKtx2(url, resolve, reject);
+            } else {
+                panoramaLoader(url, manager).load(url, resolve, undefined, reject);
+            }
+        }).then(texture => {
+            // Sampled once per baked texel, so generated mipmaps would only blur it and seam it at the
+            // wrap. A KTX2 file's own mipmaps stay, for faces baked smaller than it.
+            if (!texture.mipmaps.length) {
+                texture.generateMipmaps = false;
+                texture.minFilter = THREE.LinearFilter;
+            }
+            return texture;
+        }).catch(error => {
+            if (this.assets) {
+                this.assets.fail(url || urls.join(', '), `the "${name}" environment`, 'showing a plain background instead');
+            } else {
+                console.warn(`Could not load the "${name}" environment, showing a plain background instead:`, error);
+            }
+            this._sources.delete(name); // Try again next time it is picked
+            return null;
+        });
+    }
+
+    // Without its prefiltered map, an environment lights the planets with a blurred copy of itself
+    _loadPrefiltered({ name, prefiltered }) {
+        return new Promise((resolve, reject) => this._loadKtx2(prefiltered, resolve, reject)).catch(error => {
+            if (this.assets) {
+                this.assets.fail(prefiltered, `the "${name}" reflection map`, 'blurring the background instead');
+            } else {
+                console.warn(`Could not load the "${name}" reflection map, blurring the background instead:`, error);
+            }
+            return null;
+        });
+    }
+
+    // Face size for the baked cube: about the source's resolution
+    _faceSize(source) {
+        // HDR cube faces are data textures, other faces images
+        const face = source.isCubeTexture && (source.image[0].image || source.image[0]);
+        const width = source.isCubeTexture ? face.width : source.image.width / 4;
+        const maxSize = Math.min(MAX_FACE_SIZE, this.renderer.capabilities.maxCubemapSize);
+        return THREE.MathUtils.clamp(THREE.MathUtils.floorPowerOfTwo(width), MIN_FACE_SIZE, maxSize);
+    }
+
+    // Redraw the background with the current settings. Prefiltering the reflections takes much
+    // longer than the redraw, so `reflections: false` leaves them as they were, e.g. while a
+    // slider is dragged; updateReflections() (or another bake()) catches them up.
+    bake({ reflections = true } = {}) {
+        this._reflectionsStale = true;
+        const source = this._source;
+        if (!source) {
+            this.scene.background = this.color;
+            if (reflections) this.updateReflections();
+            return;
+        }
+
+        const size = this._faceSize(source);
+        if (!this._target || this._target.width !== size) {
+            if (this._target) this._target.dispose();
+            this._target = new THREE.WebGLCubeRenderTarget(size, {
+                type: this.renderer.capabilities.isWebGL2 ? THREE.HalfFloatType : THREE.UnsignedByteType, // Room for HDR sources
+                generateMipmaps: true,
+                minFilter: THREE.LinearMipmapLinearFilter
+            });
+            this._cubeCamera = new THREE.CubeCamera(1, 10, this._target);
+        }
+
+        // Scene direction to the direction the source is looked up in
+        const { frame } = this.current;
+        const toSource = frame === 'galactic' ? galacticPanoramaMatrix(this.rotation)
+            : frame === 'equatorial' ? equatorialCubeMatrix(this.rotation)
+            : new THREE.Matrix4().makeRotationY(this.rotation);
+        const { uniforms } = this._bakeMaterial;
+        uniforms.u_toSource.value.setFromMatrix4(toSource).invert();
+        uniforms.u_source.value = source;
+        uniforms.u_exposure.value = this.exposure;
+        uniforms.u_tint.value.copy(this.tint);
+        const cubeSource = source.isCubeTexture ? 1 : 0;
+        if (this._bakeMaterial.defines.CUBE_SOURCE !== cubeSource) {
+            this._bakeMaterial.defines.CUBE_SOURCE = cubeSource;
+            this._bakeMaterial.needsUpdate = true;
+        }
+
+        this._cubeCamera.update(this.renderer, this._bakeScene);
+        this.scene.background = this._target.texture;
+        if (reflections) this.updateReflections();
+    }
+
+    // Light the planets with the background at the `reflections` strength. The background is only
+    // prefiltered again (or the prefiltered map copied) if it changed since the last time.
+    updateReflections() {
+        const shown = this._source && this.reflections > 0;
+        if (shown && this._reflectionsStale) {
+            this._reflectionTarget = this._prefiltered
+                ? this._pmremGenerator.fromPrefiltered(this._prefiltered, {
+                    toSource: this._bakeMaterial.uniforms.u_toSource.value,
+                    color: new THREE.Color().copy(this.tint).multiplyScalar(this.exposure)
+                }, this._reflectionTarget)
+                : this._pmremGenerator.fromCubemap(this._target.texture, this._reflectionTarget);
+            this._reflectionsStale = false;
+        }
+        this.scene.environment = shown ? this._reflectionTarget.texture : null;
+
+        this.scene.traverse(object => {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (material && material.isMeshStandardMaterial) material.envMapIntensity = this.reflections;
+            });
+        });
+    }
+
+    dispose() {
+        this._pending = null;
+        this._sources.forEach(promise => promise.then(textures => textures.forEach(texture => texture && texture.dispose())));
+        this._sources.clear();
+        if (this._target) this._target.dispose();
+        if (this._reflectionTarget) this._reflectionTarget.dispose();
+        this._pmremGenerator.dispose();
+        if (this._ktx2Loader) this._ktx2Loader.dispose();
+        this._bakeMaterial.dispose();
+        this._bakeScene.children[0].geometry.dispose();
+    }
+}
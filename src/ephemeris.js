@@ -0,0 +1,130 @@
+// Keplerian ephemeris for orbiting bodies
+//
+// Orbital elements come from the system definition (see public/systems/solar-system.json,
+// which uses JPL's J2000 approximate elements for the major planets). Every element
+// is [value at J2000, rate per Julian century]; distances in AU, angles in degrees.
+
+const DEG_TO_RAD = Math.PI / 180;
+export const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 TT
+const DAYS_PER_CENTURY = 36525;
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JD = 2440587.5; // Julian date of 1970-01-01 00:00 UTC
+const GM_SUN = 2.9591220828559093e-4; // Gaussian gravitational constant squared, AU^3/day^2
+export const AU_IN_KM = 149597870.7;
+export const OBLIQUITY_J2000 = 23.4392911; // Tilt of Earth's equator to the ecliptic, degrees
+const KM_PER_SECOND_PER_AU_PER_DAY = AU_IN_KM / 86400;
+
+// Convert a JavaScript Date to a Julian date
+export function dateToJulian(date) {
+    return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+// Convert a Julian date back to a JavaScript Date
+export function julianToDate(jd) {
+    return new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY);
+}
+
+// Evaluate the osculating elements for a given Julian date
+export function elementsAt(elements, jd) {
+    const T = (jd - J2000) / DAYS_PER_CENTURY;
+    const at = ([value, rate]) => value + rate * T;
+
+    return {
+        a: at(elements.semiMajorAxis),
+        e: at(elements.eccentricity),
+        i: at(elements.inclination) * DEG_TO_RAD,
+        node: at(elements.longitudeOfAscendingNode) * DEG_TO_RAD,
+        peri: at(elements.argumentOfPerihelion) * DEG_TO_RAD,
+        M: normalizeAngle(at(elements.meanAnomaly) * DEG_TO_RAD)
+    };
+}
+
+// Wrap an angle into the range [-PI, PI)
+function normalizeAngle(angle) {
+    return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+// Solve Kepler's equation M = E - e sin E for the eccentric anomaly E (radians)
+export function solveKepler(M, e, tolerance = 1e-10, maxIterations = 30) {
+    // Starting guess that converges for all elliptical eccentricities
+    let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1);
+
+    for (let i = 0; i < maxIterations; i++) {
+        const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < tolerance) break;
+    }
+
+    return E;
+}
+
+// Heliocentric ecliptic J2000 coordinates (AU) of a body for a Julian date.
+// The result is in the ecliptic frame: x towards the vernal equinox, z towards
+// the north ecliptic pole.
+export function heliocentricPosition(elements, jd, target = { x: 0, y: 0, z: 0 }) {
+    const { a, e, i, node, peri, M } = elementsAt(elements, jd);
+    const E = solveKepler(M, e);
+
+    // Position in the orbital plane with the Sun at the focus
+    const xOrb = a * (Math.cos(E) - e);
+    const yOrb = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    // Rotate by argument of perihelion, inclination and ascending node
+    const cosPeri = Math.cos(peri), sinPeri = Math.sin(peri);
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosI = Math.cos(i), sinI = Math.sin(i);
+
+    target.x = (cosPeri * cosNode - sinPeri * sinNode * cosI) * xOrb + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * yOrb;
+    target.y = (cosPeri * sinNode + sinPeri * cosNode * cosI) * xOrb + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * yOrb;
+    target.z = (sinPeri * sinI) * xOrb + (cosPeri * sinI) * yOrb;
+
+    return target;
+}
+
+// Unit vector in ecliptic coordinates for a J2000 equatorial direction
+// (right ascension and declination in degrees), e.g. an IAU rotation pole
+export function equatorialToEcliptic(ra, dec, target = { x: 0, y: 0, z: 0 }) {
+    const cosDec = Math.cos(dec * DEG_TO_RAD);
+    const x = cosDec * Math.cos(ra * DEG_TO_RAD);
+    const y = cosDec * Math.sin(ra * DEG_TO_RAD);
+    const z = Math.sin(dec * DEG_TO_RAD);
+
+    // Rotate about the vernal equinox by the obliquity of the ecliptic
+    const cosE = Math.cos(OBLIQUITY_J2000 * DEG_TO_RAD), sinE = Math.sin(OBLIQUITY_J2000 * DEG_TO_RAD);
+    target.x = x;
+    target.y = y * cosE + z * sinE;
+    target.z = -y * sinE + z * cosE;
+    return target;
+}
+
+// Unit normal of an orbit's plane (the direction of its angular momentum) in ecliptic coordinates
+export function orbitNormal(elements, jd, target = { x: 0, y: 0, z: 0 }) {
+    const { i, node } = elementsAt(elements, jd);
+    target.x = Math.sin(i) * Math.sin(node);
+    target.y = -Math.sin(i) * Math.cos(node);
+    target.z = Math.cos(i);
+    return target;
+}
+
+// Map ecliptic coordinates onto the scene's Y-up frame (ecliptic north is +Y)
+export function eclipticToScene(ecliptic, target) {
+    return target.set(ecliptic.x, ecliptic.z, -ecliptic.y);
+}
+
+// Orbital period in days, from the mean anomaly rate
+export function orbitalPeriod(elements) {
+    return (360 * DAYS_PER_CENTURY) / elements.meanAnomaly[1];
+}
+
+// Mean anomaly rate (degrees per century) for a semi-major axis in AU around a
+// star of the given mass in solar masses, from Kepler's third law
+export function meanMotion(a, starMass = 1) {
+    const periodDays = 2 * Math.PI * Math.sqrt((a * a * a) / (GM_SUN * starMass));
+    return (360 * DAYS_PER_CENTURY) / periodDays;
+}
+
+// Heliocentric orbital speed in km/s at distance r (AU) from the vis-viva equation
+export function orbitalSpeed(elements, r, starMass = 1) {
+    const a = elements.semiMajorAxis[0];
+    return Math.sqrt(GM_SUN * starMass * (2 / r - 1 / a)) * KM_PER_SECOND_PER_AU_PER_DAY;
+}
@@ -0,0 +1,40 @@
+// Browser file helpers: downloads and the file picker
+
+// Save a Blob through a temporary download link
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Save a value as pretty-printed JSON; `name` is turned into a safe file name
+export function downloadJson(value, name) {
+    const blob = new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${name.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+// Ask the user for a JSON file; resolves with { name, value }, or null if cancelled.
+// Rejects if the file isn't valid JSON.
+export function chooseJsonFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('cancel', () => resolve(null));
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve({ name: file.name, value: JSON.parse(await file.text()) });
+            } catch (e) {
+                reject(new Error(`Could not read "${file.name}": ${e.message}`));
+            }
+        });
+        input.click();
+    });
+}
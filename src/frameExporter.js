@@ -0,0 +1,309 @@
+// Deterministic offline rendering: screenshots, PNG sequences and WebM video
+//
+// Frames are stepped at a fixed timestep instead of following requestAnimationFrame,
+// so every frame is rendered (through the normal selective-bloom pipeline) no matter
+// how long it takes, and the same settings always produce the same clip.
+
+import { WebmWriter } from './webmWriter.js';
+import { ZipWriter } from './zipWriter.js';
+import { downloadBlob } from './fileUtils.js';
+
+export const EXPORT_FORMATS = {
+    'Screenshot (PNG)': 'screenshot',
+    'PNG Sequence': 'png',
+    'WebM Video': 'webm'
+};
+
+// WebCodecs codecs to try, best first
+const VIDEO_CODECS = ['vp09.00.10.08', 'vp8'];
+
+// Most pixels (frames × width × height) a PNG sequence may have when it is collected into a ZIP.
+// The whole archive is held in memory until it downloads, so this keeps it to a few hundred
+// megabytes: 25 seconds of Full HD at 30 fps. Folder exports have no limit.
+const ZIP_MAX_PIXELS = 1.6e9;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const canvasToBlob = canvas => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+});
+
+const frameName = (index, count) => `frame_${String(index).padStart(Math.max(5, String(count).length), '0')}.png`;
+
+// Single PNG download
+function createScreenshotSink(prefix) {
+    let image = null;
+    return {
+        async addFrame(canvas) {
+            image = await canvasToBlob(canvas);
+        },
+        async finish() {
+            downloadBlob(image, `${prefix}.png`);
+        }
+    };
+}
+
+// Numbered PNGs written straight into a folder the user picks (File System Access API)
+function createDirectorySink(directory, frameCount) {
+    return {
+        async addFrame(canvas, index) {
+            const blob = await canvasToBlob(canvas);
+            const file = await directory.getFileHandle(frameName(index, frameCount), { create: true });
+            const writable = await file.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        },
+        async finish() {}
+    };
+}
+
+// Numbered PNGs collected into a ZIP download, for browsers without folder access.
+// Kept in memory until the end, so exportAnimation() limits its size (ZIP_MAX_PIXELS).
+function createZipSink(prefix, frameCount) {
+    const zip = new ZipWriter();
+    return {
+        async addFrame(canvas, index) {
+            const blob = await canvasToBlob(canvas);
+            zip.addFile(`${prefix}/${frameName(index, frameCount)}`, new Uint8Array(await blob.arrayBuffer()));
+        },
+        async finish() {
+            downloadBlob(zip.finalize(), `${prefix}.zip`);
+        }
+    };
+}
+
+// WebCodecs encoder with exact frame timestamps
+async function createWebCodecsSink(prefix, { width, height, fps, bitrate }) {
+    let config = null;
+    for (const codec of VIDEO_CODECS) {
+        const candidate = { codec, width, height, bitrate, framerate: fps };
+        const { supported } = await VideoEncoder.isConfigSupported(candidate);
+        if (supported) {
+            config = candidate;
+            break;
+        }
+    }
+    if (!config) return null;
+
+    const writer = new WebmWriter({ codec: config.codec, width, height });
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: chunk => writer.addChunk(chunk),
+        error: error => { encoderError = error; }
+    });
+    encoder.configure(config);
+
+    const frameDuration = 1e6 / fps; // Microseconds
+    const keyFrameInterval = Math.max(1, Math.round(fps * 2));
+
+    return {
+        async addFrame(canvas, index) {
+            if (encoderError) throw encoderError;
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+            encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+            frame.close();
+
+            // Don't run ahead of the encoder and pile up frames in memory
+            while (encoder.encodeQueueSize > 4) await sleep(5);
+        },
+        async finish() {
+            await encoder.flush();
+            encoder.close();
+            if (encoderError) throw encoderError;
+            downloadBlob(writer.finalize(), `${prefix}.webm`);
+        },
+        abort() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
+
+// MediaRecorder fallback. It timestamps frames by wall-clock time, so frames are
+// handed over at the target rate; the content is still stepped deterministically.
+function createMediaRecorderSink(prefix, canvas, { fps, bitrate }) {
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+    const chunks = [];
+    recorder.ondataavailable = event => chunks.push(event.data);
+    recorder.start();
+
+    return {
+        async addFrame() {
+            track.requestFrame();
+            await sleep(1000 / fps);
+        },
+        async finish() {
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.stop();
+            await stopped;
+            track.stop();
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${prefix}.webm`);
+        },
+        abort() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            track.stop();
+        }
+    };
+}
+
+// Render frames of `solarSystem` and save them. Options:
+//   format: 'screenshot', 'png' or 'webm'
+//   width, height: output size in pixels
+//   fps, duration: frame rate and clip length in seconds (simulated time advances at the current time rate)
+//   bitrate: video bits per second
+//   signal: AbortSignal to cancel; the promise then rejects with an AbortError
+//   onProgress(done, total): called after each frame
+export async function exportAnimation(solarSystem, {
+    format = 'webm',
+    width = 1920,
+    height = 1080,
+    fps = 30,
+    duration = 10,
+    bitrate = 12e6,
+    signal = null,
+    onProgress = null
+} = {}) {
+    // Ask for the output folder first, while the click that started the export still counts as a user gesture
+    let directory = null;
+    if (format === 'png' && window.showDirectoryPicker) {
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (e) {
+            throw new DOMException('Export cancelled', 'AbortError');
+        }
+    }
+
+    // Stay within what the GPU can render to; video encoders also need even dimensions
+    const maxSize = solarSystem.renderer.capabilities.maxTextureSize;
+    if (width > maxSize || height > maxSize) {
+        const scale = maxSize / Math.max(width, height);
+        console.warn(`Export size ${width}x${height} is larger than this GPU supports (${maxSize}px), scaling down`);
+        width *= scale;
+        height *= scale;
+    }
+    width = Math.max(2, Math.floor(width / 2) * 2);
+    height = Math.max(2, Math.floor(height / 2) * 2);
+
+    const frameCount = format === 'screenshot' ? 1 : Math.max(1, Math.round(duration * fps));
+    if (format === 'png' && !directory && frameCount * width * height > ZIP_MAX_PIXELS) {
+        const maxFrames = Math.floor(ZIP_MAX_PIXELS / (width * height));
+        throw new Error(`${frameCount} PNG frames at ${width}x${height} are too many to collect into a ZIP in memory. ` +
+            `Export at most ${maxFrames} frames at this size, lower the resolution, or use a browser that can write the frames to a folder (Chrome or Edge).`);
+    }
+    const prefix = `sun-simulation-${solarSystem.getTime().toISOString().slice(0, 16).replace(/:/g, '-')}`;
+
+    // Each rendered frame is copied to a 2D canvas straight away, since the WebGL
+    // drawing buffer isn't preserved once control returns to the browser
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameContext = frameCanvas.getContext('2d');
+
+    let sink;
+    if (format === 'screenshot') {
+        sink = createScreenshotSink(prefix);
+    } else if (format === 'png') {
+        sink = directory ? createDirectorySink(directory, frameCount) : createZipSink(prefix, frameCount);
+    } else if (format === 'webm') {
+        sink = (typeof VideoEncoder !== 'undefined' && await createWebCodecsSink(prefix, { width, height, fps, bitrate })) ||
+            createMediaRecorderSink(prefix, frameCanvas, { fps, bitrate });
+    } else {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+
+    console.log(`Exporting ${frameCount} frame(s) at ${width}x${height} as ${format}`);
+
+    // Take over from the live loop; user camera input would make the result depend on timing
+    const controlsEnabled = solarSystem.controls.enabled;
+    solarSystem.stopAnimation();
+    solarSystem.reseed();
+    solarSystem.controls.enabled = false;
+    solarSystem.setRenderSize(width, height);
+
+    try {
+        // Textures or a background that arrive mid-export would change frames depending on timing
+        await solarSystem.holdTextures();
+
+        for (let index = 0; index < frameCount; index++) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Export cancelled', 'AbortError');
+            }
+
+            // The first frame shows the scene as it is now
+            solarSystem.step(index === 0 ? 0 : 1 / fps);
+            frameContext.drawImage(solarSystem.renderer.domElement, 0, 0);
+            await sink.addFrame(frameCanvas, index);
+
+            if (onProgress) onProgress(index + 1, frameCount);
+
+            // Give the page a chance to paint the progress and handle the cancel button
+            await sleep(0);
+        }
+
+        await sink.finish();
+        console.log('Export finished');
+    } catch (error) {
+        if (sink.abort) sink.abort();
+        throw error;
+    } finally {
+        solarSystem.releaseTextures();
+        solarSystem.clearRenderSize();
+        solarSystem.controls.enabled = controlsEnabled;
+        solarSystem.startAnimation();
+    }
+}
+
+// Overlay with a progress bar and cancel button for a running export
+export function createExportProgress(container, onCancel) {
+    const overlay = document.createElement('div');
+    overlay.className = 'export-progress';
+    overlay.style.cssText = 'position: absolute; left: 50%; top: 50%; transform: translate(-50%, -50%); width: 320px; padding: 16px 20px; ' +
+        'background: rgba(0, 0, 0, 0.85); color: white; border: 1px solid rgba(44, 201, 255, 0.4); border-radius: 10px; ' +
+        'font-family: Arial, sans-serif; font-size: 13px; z-index: 1100; display: none;';
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 10px 0; font-size: 16px;';
+    overlay.appendChild(title);
+
+    const track = document.createElement('div');
+    track.style.cssText = 'height: 8px; background: rgba(255, 255, 255, 0.15); border-radius: 4px; overflow: hidden;';
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 100%; width: 0; background: #2cc9ff;';
+    track.appendChild(bar);
+    overlay.appendChild(track);
+
+    const status = document.createElement('p');
+    status.style.cssText = 'margin: 8px 0 12px 0;';
+    overlay.appendChild(status);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = 'padding: 4px 14px; background: none; color: white; border: 1px solid white; border-radius: 4px; cursor: pointer;';
+    cancelButton.addEventListener('click', onCancel);
+    overlay.appendChild(cancelButton);
+
+    container.appendChild(overlay);
+
+    return {
+        element: overlay,
+
+        show(text) {
+            title.textContent = text;
+            bar.style.width = '0';
+            status.textContent = 'Preparing...';
+            overlay.style.display = 'block';
+        },
+
+        update(done, total) {
+            bar.style.width = `${(done / total) * 100}%`;
+            status.textContent = `Frame ${done} of ${total}`;
+        },
+
+        hide() {
+            overlay.style.display = 'none';
+        }
+    };
+}
@@ -0,0 +1,184 @@
+// KTX2 cube maps as `npm run bake-env` writes them, and planet reflections from its prefiltered
+// maps.
+//
+// three's KTX2Loader turns uncompressed files into 2D textures of their first mip level, so
+// KTX2CubeLoader reads cube files into a mip-mapped cube texture itself. Basis Universal files
+// need a transcoder this app doesn't ship, and are turned down.
+//
+// A prefiltered map holds the sky already blurred for GGX reflections, rougher with each mip.
+// PrefilteredPMREMGenerator copies it into the CubeUV layout three's standard materials read
+// reflections from, in place of PMREMGenerator's own blurring.
+
+import * as THREE from 'three';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { read } from 'three/examples/jsm/libs/ktx-parse.module.js';
+
+// Uncompressed RGBA formats, by Vulkan format number
+const FORMATS = {
+    37: { type: THREE.UnsignedByteType, encoding: THREE.LinearEncoding, bytes: 4 }, // R8G8B8A8_UNORM
+    43: { type: THREE.UnsignedByteType, encoding: THREE.sRGBEncoding, bytes: 4 }, // R8G8B8A8_SRGB
+    97: { type: THREE.HalfFloatType, encoding: THREE.LinearEncoding, bytes: 8 }, // R16G16B16A16_SFLOAT
+    109: { type: THREE.FloatType, encoding: THREE.LinearEncoding, bytes: 16 } // R32G32B32A32_SFLOAT
+};
+
+const LOD_MIN = 4; // Smallest CubeUV face is 2^LOD_MIN pixels, as in three's PMREMGenerator
+
+// Six face textures of one mip level, stored one after the other
+function levelFaces(levelData, size, format) {
+    const faceBytes = size * size * format.bytes;
+    return Array.from({ length: 6 }, (_, face) => {
+        const offset = levelData.byteOffset + face * faceBytes;
+        const data = format.type === THREE.UnsignedByteType ? new Uint8Array(levelData.buffer, offset, faceBytes)
+            : format.type === THREE.HalfFloatType ? new Uint16Array(levelData.buffer, offset, faceBytes / 2)
+            : new Float32Array(levelData.buffer, offset, faceBytes / 4);
+        const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat, format.type);
+        texture.encoding = format.encoding;
+        return texture;
+    });
+}
+
+// Roughness of each mip level, from the `roughness` key bake-env writes, or spread evenly
+function mipRoughness(container) {
+    const value = container.keyValue.roughness;
+    const text = value instanceof Uint8Array ? new TextDecoder().decode(value).replace(/\0+$/, '') : value;
+    const roughness = text ? text.trim().split(/\s+/).map(Number) : [];
+    const levels = container.levels.length;
+    if (roughness.length === levels && roughness.every(Number.isFinite)) return roughness;
+    return container.levels.map((_, level) => (levels > 1 ? level / (levels - 1) : 0));
+}
+
+export class KTX2CubeLoader extends KTX2Loader {
+    _createTexture(buffer, config) {
+        const container = read(new Uint8Array(buffer));
+        if (container.vkFormat === 0) {
+            return Promise.reject(new Error('Basis Universal KTX2 files are not supported, only uncompressed ones'));
+        }
+        if (container.faceCount !== 6) return Promise.reject(new Error('Not a KTX2 cube map'));
+        const format = FORMATS[container.vkFormat];
+        if (!format) return Promise.reject(new Error(`Unsupported KTX2 format ${container.vkFormat}`));
+
+        const size = container.pixelWidth;
+        const [base, ...mips] = container.levels.map(({ levelData }, level) => levelFaces(levelData, Math.max(1, size >> level), format));
+        const texture = new THREE.CubeTexture(base);
+        texture.mipmaps = mips.map(image => ({ image })); // Levels below the base, as three expects of cube data textures
+        texture.type = format.type;
+        texture.encoding = format.encoding;
+        texture.generateMipmaps = false;
+        texture.minFilter = mips.length ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+        texture.userData.roughness = mipRoughness(container);
+        texture.needsUpdate = true;
+        return Promise.resolve(texture);
+    }
+}
+
+// GGX roughness three's standard material looks up at CubeUV mip `mip` (log2 of the face size,
+// less than LOD_MIN for the extra blurred levels): the inverse of roughnessToMip() in its shader
+function cubeUVRoughness(mip) {
+    if (mip >= LOD_MIN) return 2 ** (-mip / 2) / 1.16;
+    const points = [[-2, 1.0], [-1, 0.8], [2, 0.4], [3, 0.305], [4, 0.21]]; // Mip and roughness pairs from the shader
+    for (let i = 1; i < points.length; i++) {
+        const [mip0, roughness0] = points[i - 1];
+        const [mip1, roughness1] = points[i];
+        if (mip <= mip1) return roughness0 + (roughness1 - roughness0) * (Math.max(mip, mip0) - mip0) / (mip1 - mip0);
+    }
+    return points[points.length - 1][1];
+}
+
+// Fractional mip level of a map whose levels have the given roughness values
+function levelForRoughness(levels, roughness) {
+    if (roughness <= levels[0]) return 0;
+    for (let i = 1; i < levels.length; i++) {
+        if (roughness <= levels[i]) return i - 1 + (roughness - levels[i - 1]) / (levels[i] - levels[i - 1]);
+    }
+    return levels.length - 1;
+}
+
+export class PrefilteredPMREMGenerator extends THREE.PMREMGenerator {
+    constructor(renderer) {
+        super(renderer);
+        this._prefilteredMaterial = null;
+        this._prefilteredCamera = new THREE.OrthographicCamera(); // The planes are placed in clip space
+    }
+
+    // PMREMGenerator's, reusing `renderTarget` only when it is the right size (three's takes it as it is)
+    fromCubemap(cubemap, renderTarget = null) {
+        this._setSize(cubemap.image[0].width || cubemap.image[0].image.width);
+        return super.fromCubemap(cubemap, this._reusable(renderTarget));
+    }
+
+    // CubeUV render target from `cubemap` (loaded by KTX2CubeLoader), looked up through
+    // `toSource` (scene direction to the map's, mirrored in x as three draws cube maps) and
+    // scaled by `color`. Reuses `renderTarget` when it is the right size.
+    fromPrefiltered(cubemap, { toSource, color }, renderTarget = null) {
+        this._setSize(cubemap.image[0].image.width);
+        const previousTarget = this._renderer.getRenderTarget();
+        const target = this._reusable(renderTarget) || this._allocateTargets();
+
+        const material = this._getPrefilteredMaterial();
+        material.uniforms.envMap.value = cubemap;
+        material.uniforms.toSource.value.copy(toSource);
+        material.uniforms.color.value.copy(color);
+        const mesh = new THREE.Mesh(this._lodPlanes[0], material);
+
+        const renderer = this._renderer;
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        for (let lod = 0; lod < this._lodPlanes.length; lod++) {
+            const size = this._sizeLods[lod];
+            const x = 3 * size * Math.max(0, lod - this._lodMax + LOD_MIN);
+            const y = 4 * (this._cubeSize - size);
+            target.viewport.set(x, y, 3 * size, 2 * size);
+            target.scissor.set(x, y, 3 * size, 2 * size);
+            renderer.setRenderTarget(target); // Picks up the new viewport
+            material.uniforms.level.value = levelForRoughness(cubemap.userData.roughness, cubeUVRoughness(this._lodMax - lod));
+            mesh.geometry = this._lodPlanes[lod];
+            renderer.render(mesh, this._prefilteredCamera);
+        }
+        renderer.autoClear = autoClear;
+        this._cleanup(target);
+        renderer.setRenderTarget(previousTarget);
+        return target;
+    }
+
+    // `renderTarget` if it fits the size set by _setSize(), else null after disposing it. The planes
+    // and blur target are left from the generator's last run, which may have been another size.
+    _reusable(renderTarget) {
+        if (!renderTarget) return null;
+        const pingPong = this._pingPongRenderTarget;
+        if (renderTarget.height === 4 * this._cubeSize && this._sizeLods[0] === this._cubeSize &&
+            pingPong && pingPong.height === renderTarget.height) return renderTarget;
+        renderTarget.dispose();
+        return null;
+    }
+
+    _getPrefilteredMaterial() {
+        if (!this._prefilteredMaterial) {
+            // three's cubemap copy, which turns the CubeUV planes into directions, sampling one mip level
+            this.compileCubemapShader();
+            const material = this._cubemapMaterial.clone();
+            material.name = 'PrefilteredToCubeUV';
+            material.uniforms.toSource = { value: new THREE.Matrix3() };
+            material.uniforms.color = { value: new THREE.Color() };
+            material.uniforms.level = { value: 0 };
+            material.extensions.shaderTextureLOD = true;
+            material.fragmentShader = `
+                precision mediump float;
+                uniform samplerCube envMap;
+                uniform mat3 toSource;
+                uniform vec3 color;
+                uniform float level;
+                varying vec3 vOutputDirection;
+                void main() {
+                    vec3 direction = toSource * vOutputDirection;
+                    gl_FragColor = vec4(textureCubeLodEXT(envMap, vec3(-direction.x, direction.yz), level).rgb * color, 1.0);
+                }`;
+            this._prefilteredMaterial = material;
+        }
+        return this._prefilteredMaterial;
+    }
+
+    dispose() {
+        super.dispose();
+        if (this._prefilteredMaterial) this._prefilteredMaterial.dispose();
+    }
+}
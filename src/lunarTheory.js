@@ -0,0 +1,122 @@
+// Analytic theory of Earth's Moon
+//
+// The main periodic terms of ELP-2000/82 as tabulated in Meeus, Astronomical Algorithms (2nd ed.),
+// chapter 47: good to about 10" in longitude and 4" in latitude, which puts eclipses within a
+// minute or two of their real times. Unlike a circular orbit it has the Moon's eccentricity, the
+// Sun's pull (evection, variation, the annual equation) and the turning of its perigee and node.
+
+import { J2000 } from './ephemeris.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const DAYS_PER_CENTURY = 36525;
+const MEAN_DISTANCE_KM = 385000.56;
+
+// Longitude and distance terms: multiples of D, M, M' and F, then the sine coefficient for the
+// longitude (1e-6 degrees) and the cosine coefficient for the distance (m)
+const LONGITUDE_DISTANCE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// Latitude terms: multiples of D, M, M' and F, then the sine coefficient (1e-6 degrees)
+const LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+// A polynomial in T with coefficients from the constant term up, in degrees, as radians
+function polynomial(T, coefficients) {
+    let value = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) value = value * T + coefficients[i];
+    return value * DEG_TO_RAD;
+}
+
+// Geocentric position of the Moon for a Julian date: ecliptic longitude and latitude (radians,
+// referred to the J2000 ecliptic and equinox like the rest of the ephemeris), distance between
+// the centers of Earth and the Moon (km), and the longitude of the mean ascending node (radians)
+export function lunarPosition(jd, target = {}) {
+    const T = (jd - J2000) / DAYS_PER_CENTURY;
+
+    // Mean longitude, elongation from the Sun, the Sun's and the Moon's mean anomalies, and the
+    // Moon's distance from its node
+    const L = polynomial(T, [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000]);
+    const D = polynomial(T, [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000]);
+    const M = polynomial(T, [357.5291092, 35999.0502909, -0.0001536, 1 / 24490000]);
+    const Mm = polynomial(T, [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000]);
+    const F = polynomial(T, [93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000]);
+    const node = polynomial(T, [125.0445479, -1934.1362891, 0.0020754, 1 / 467441, -1 / 60616000]);
+
+    // Venus, Jupiter and Earth's flattening
+    const A1 = polynomial(T, [119.75, 131.849]);
+    const A2 = polynomial(T, [53.09, 479264.290]);
+    const A3 = polynomial(T, [313.45, 481266.484]);
+
+    // Terms with the Sun's anomaly shrink as Earth's orbit grows rounder
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const eccentricity = m => (m === 0 ? 1 : Math.abs(m) === 1 ? E : E * E);
+
+    let sumLongitude = 3958 * Math.sin(A1) + 1962 * Math.sin(L - F) + 318 * Math.sin(A2);
+    let sumDistance = 0;
+    LONGITUDE_DISTANCE_TERMS.forEach(([d, m, mm, f, longitude, distance]) => {
+        const argument = d * D + m * M + mm * Mm + f * F;
+        const factor = eccentricity(m);
+        sumLongitude += longitude * factor * Math.sin(argument);
+        sumDistance += distance * factor * Math.cos(argument);
+    });
+
+    let sumLatitude = -2235 * Math.sin(L) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) + 175 * Math.sin(A1 + F) +
+        127 * Math.sin(L - Mm) - 115 * Math.sin(L + Mm);
+    LATITUDE_TERMS.forEach(([d, m, mm, f, latitude]) => {
+        sumLatitude += latitude * eccentricity(m) * Math.sin(d * D + m * M + mm * Mm + f * F);
+    });
+
+    // The theory gives longitudes from the equinox of date; take out the precession since J2000
+    const precession = (5029.0966 * T + 1.11113 * T * T) / 3600 * DEG_TO_RAD;
+
+    target.longitude = L + sumLongitude * 1e-6 * DEG_TO_RAD - precession;
+    target.latitude = sumLatitude * 1e-6 * DEG_TO_RAD;
+    target.distance = MEAN_DISTANCE_KM + sumDistance / 1000;
+    target.node = node - precession;
+    return target;
+}
@@ -0,0 +1,150 @@
+// Orbit path lines, fading position trails and spin axis helpers
+
+import * as THREE from 'three';
+import { heliocentricPosition, eclipticToScene, orbitalPeriod } from './ephemeris.js';
+
+// Sample one full revolution of a planet's orbit in scene units.
+// Uses the same ephemeris and AU-to-scene scaling as the planet itself, so the
+// line matches its eccentricity, inclination and the Sun at the focus.
+export function sampleOrbit(elements, julianDate, scale, segments = 256) {
+    const period = orbitalPeriod(elements);
+    const ecliptic = { x: 0, y: 0, z: 0 };
+    const points = [];
+
+    for (let i = 0; i < segments; i++) {
+        heliocentricPosition(elements, julianDate + (i / segments) * period, ecliptic);
+        points.push(eclipticToScene(ecliptic, new THREE.Vector3()).multiplyScalar(scale));
+    }
+
+    return points;
+}
+
+// Sample a circular orbit in the XZ plane (used for moons around their planet)
+export function sampleCircle(radius, segments = 128) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius));
+    }
+    return points;
+}
+
+// Spin axis (north half red, south half blue) and equator circle for a body of `radius`,
+// to be added to the body's equatorial frame
+export function createAxisHelper(radius, { opacity = 0.8 } = {}) {
+    const material = color => new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthWrite: false });
+    const axisLine = (end, color) => new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), end]), material(color));
+
+    const helper = new THREE.Group();
+    helper.add(axisLine(new THREE.Vector3(0, radius * 1.8, 0), 0xff5050));
+    helper.add(axisLine(new THREE.Vector3(0, -radius * 1.8, 0), 0x5080ff));
+    helper.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(sampleCircle(radius * 1.15)), material(0xffff80)));
+    return helper;
+}
+
+// Closed line through the sampled orbit points
+export function createOrbitLine(points, { color = 0xffffff, opacity = 0.35 } = {}) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false
+    });
+    return new THREE.LineLoop(geometry, material);
+}
+
+// Fading trail of a body's recent positions.
+// When `origin` is given the trail is recorded relative to it and drawn around it,
+// so e.g. the Moon's trail loops around Earth rather than smearing along Earth's orbit.
+export class OrbitTrail {
+    constructor(object, { origin = null, length = 200, color = 0xffffff, opacity = 0.8, maxLength = 1000 } = {}) {
+        this.object = object;
+        this.origin = origin;
+        this.length = length;
+        this.maxLength = maxLength;
+        this.opacity = opacity;
+        this.color = new THREE.Color(color);
+        this.history = [];
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxLength * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxLength * 4), 4));
+        geometry.setDrawRange(0, 0);
+
+        this.line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        }));
+        this.line.frustumCulled = false; // Bounds change every frame
+
+        this._position = new THREE.Vector3();
+        this._originPosition = new THREE.Vector3();
+    }
+
+    setColor(color) {
+        this.color.set(color);
+        this._writeBuffers();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this._writeBuffers();
+    }
+
+    setLength(length) {
+        this.length = Math.min(Math.max(2, Math.round(length)), this.maxLength);
+        if (this.history.length > this.length) {
+            this.history.splice(0, this.history.length - this.length);
+        }
+        this._writeBuffers();
+    }
+
+    clear() {
+        this.history = [];
+        this._writeBuffers();
+    }
+
+    // Record the body's current position
+    update() {
+        const position = this.object.getWorldPosition(this._position);
+
+        if (this.origin) {
+            this.origin.getWorldPosition(this._originPosition);
+            position.sub(this._originPosition);
+            this.line.position.copy(this._originPosition);
+        }
+
+        const last = this.history[this.history.length - 1];
+        if (last && last.distanceToSquared(position) < 1e-10) return; // Paused
+
+        this.history.push(position.clone());
+        if (this.history.length > this.length) {
+            this.history.shift();
+        }
+        this._writeBuffers();
+    }
+
+    // Oldest points are transparent, newest are at the trail's opacity
+    _writeBuffers() {
+        const positions = this.line.geometry.attributes.position;
+        const colors = this.line.geometry.attributes.color;
+        const count = this.history.length;
+
+        for (let i = 0; i < count; i++) {
+            const point = this.history[i];
+            positions.setXYZ(i, point.x, point.y, point.z);
+            colors.setXYZW(i, this.color.r, this.color.g, this.color.b, (i / Math.max(1, count - 1)) * this.opacity);
+        }
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, count);
+    }
+
+    dispose() {
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+    }
+}
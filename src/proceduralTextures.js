@@ -0,0 +1,235 @@
+// Generated textures for bodies, cloud layers and rings without a texture file
+//
+// Each texture is seeded from the body's name, so a moon looks the same on every load.
+
+import * as THREE from 'three';
+
+export const SURFACE_STYLES = ['cratered', 'icy', 'volcanic', 'hazy'];
+export const CLOUD_STYLES = ['patchy', 'banded'];
+
+const WIDTH = 512;
+const HEIGHT = 256;
+
+// Small deterministic PRNG (mulberry32) seeded from a string
+export function createRandom(seedText) {
+    let seed = 0;
+    for (let i = 0; i < seedText.length; i++) {
+        seed = Math.imul(seed ^ seedText.charCodeAt(i), 2654435761);
+    }
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Vector3.randomDirection() drawing from `random` instead of Math.random()
+export function randomDirection(random, target) {
+    const u = (random() - 0.5) * 2;
+    const t = random() * Math.PI * 2;
+    const f = Math.sqrt(1 - u * u);
+    return target.set(f * Math.cos(t), f * Math.sin(t), u);
+}
+
+// CSS color for `color` scaled by `shade` (1 = unchanged)
+function shadeColor(color, shade, alpha = 1) {
+    const r = Math.min(255, Math.round(color.r * 255 * shade));
+    const g = Math.min(255, Math.round(color.g * 255 * shade));
+    const b = Math.min(255, Math.round(color.b * 255 * shade));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Soft light and dark patches so no surface is a flat color
+function drawMottling(context, color, random, count, strength) {
+    for (let i = 0; i < count; i++) {
+        const x = random() * WIDTH;
+        const y = random() * HEIGHT;
+        const radius = 10 + random() * 50;
+        const gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, shadeColor(color, 1 + (random() - 0.5) * strength, 0.5));
+        gradient.addColorStop(1, shadeColor(color, 1, 0));
+        context.fillStyle = gradient;
+        context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    }
+}
+
+// Dark floors with a bright rim on the sunward side
+function drawCraters(context, color, random, count, maxRadius) {
+    for (let i = 0; i < count; i++) {
+        const x = random() * WIDTH;
+        const y = HEIGHT * 0.08 + random() * HEIGHT * 0.84;
+        const radius = 1 + Math.pow(random(), 3) * maxRadius;
+
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fillStyle = shadeColor(color, 0.7 + random() * 0.15, 0.8);
+        context.fill();
+
+        context.beginPath();
+        context.arc(x - radius * 0.15, y - radius * 0.15, radius, Math.PI * 0.9, Math.PI * 1.6);
+        context.strokeStyle = shadeColor(color, 1.3, 0.7);
+        context.lineWidth = Math.max(1, radius * 0.2);
+        context.stroke();
+    }
+}
+
+// Long curved cracks, as on Europa or Enceladus
+function drawCracks(context, color, random, count) {
+    const crackColor = new THREE.Color(color).lerp(new THREE.Color(0x8a4b2a), 0.6);
+    for (let i = 0; i < count; i++) {
+        const x = random() * WIDTH;
+        const y = random() * HEIGHT;
+        const length = 80 + random() * 250;
+        const angle = random() * Math.PI;
+        const bend = (random() - 0.5) * 120;
+
+        context.beginPath();
+        context.moveTo(x, y);
+        context.quadraticCurveTo(
+            x + Math.cos(angle) * length / 2 - Math.sin(angle) * bend, y + Math.sin(angle) * length / 2 + Math.cos(angle) * bend,
+            x + Math.cos(angle) * length, y + Math.sin(angle) * length
+        );
+        context.strokeStyle = shadeColor(crackColor, 1, 0.35 + random() * 0.3);
+        context.lineWidth = 0.5 + random() * 1.5;
+        context.stroke();
+    }
+}
+
+// Dark calderas with orange and white deposits, as on Io
+function drawVolcanoes(context, color, random, count) {
+    const deposits = [new THREE.Color(0xd9822b), new THREE.Color(0xf5f0d0), new THREE.Color(0x9c3d1a)];
+    for (let i = 0; i < count; i++) {
+        const x = random() * WIDTH;
+        const y = random() * HEIGHT;
+        const radius = 4 + random() * 18;
+
+        const deposit = deposits[Math.floor(random() * deposits.length)];
+        const gradient = context.createRadialGradient(x, y, 0, x, y, radius * 2);
+        gradient.addColorStop(0, shadeColor(deposit, 1, 0.7));
+        gradient.addColorStop(1, shadeColor(deposit, 1, 0));
+        context.fillStyle = gradient;
+        context.fillRect(x - radius * 2, y - radius * 2, radius * 4, radius * 4);
+
+        context.beginPath();
+        context.arc(x, y, radius * 0.3, 0, Math.PI * 2);
+        context.fillStyle = shadeColor(color, 0.2, 0.9);
+        context.fill();
+    }
+}
+
+// Soft latitude bands, as in Titan's haze
+function drawBands(context, color, random) {
+    for (let y = 0; y < HEIGHT; y += 4) {
+        const shade = 0.92 + Math.sin(y / HEIGHT * Math.PI * (3 + random() * 0.2)) * 0.06 + random() * 0.03;
+        context.fillStyle = shadeColor(color, shade, 0.6);
+        context.fillRect(0, y, WIDTH, 4);
+    }
+}
+
+// Build a texture for `def` ({ name, color, surface }); surface defaults to 'cratered'
+export function createSurfaceTexture(def) {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const context = canvas.getContext('2d');
+    const random = createRandom(def.name);
+    const color = new THREE.Color(def.color || '#888888');
+
+    context.fillStyle = shadeColor(color, 1);
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+
+    switch (def.surface || 'cratered') {
+        case 'icy':
+            drawMottling(context, color, random, 60, 0.15);
+            drawCracks(context, color, random, 60);
+            drawCraters(context, color, random, 40, 6);
+            break;
+        case 'volcanic':
+            drawMottling(context, color, random, 80, 0.3);
+            drawVolcanoes(context, color, random, 50);
+            break;
+        case 'hazy':
+            drawBands(context, color, random);
+            drawMottling(context, color, random, 30, 0.08);
+            break;
+        default:
+            drawMottling(context, color, random, 80, 0.35);
+            drawCraters(context, color, random, 300, 14);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    return texture;
+}
+
+// Grayscale cloud cover for `def` ({ name, style }), black where the sky is clear,
+// so the same texture serves as the cloud layer's map and alpha map
+export function createCloudTexture(def) {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const context = canvas.getContext('2d');
+    const random = createRandom(`${def.name} clouds`);
+    const white = new THREE.Color(0xffffff);
+
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+
+    if (def.style === 'banded') {
+        // Zonal bands streaked along the direction of rotation
+        for (let y = 0; y < HEIGHT; y += 2) {
+            const shade = 0.45 + 0.35 * Math.sin(y / HEIGHT * Math.PI * (9 + random() * 0.3)) + random() * 0.1;
+            context.fillStyle = shadeColor(white, Math.max(0, shade));
+            context.fillRect(0, y, WIDTH, 2);
+        }
+        for (let i = 0; i < 400; i++) {
+            context.fillStyle = shadeColor(white, 1, 0.05 + random() * 0.1);
+            context.fillRect(random() * WIDTH, random() * HEIGHT, 20 + random() * 120, 1 + random() * 2);
+        }
+    } else {
+        // Storm systems and fair-weather patches, thinning towards the subtropics
+        for (let i = 0; i < 500; i++) {
+            const x = random() * WIDTH;
+            const y = HEIGHT * (0.5 + (random() - 0.5) * (0.6 + random() * 0.4));
+            const tropics = Math.abs(Math.abs(y / HEIGHT - 0.5) - 0.15) < 0.06 ? 0.4 : 1;
+            const radius = 3 + Math.pow(random(), 2) * 30;
+            const gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, shadeColor(white, 1, (0.2 + random() * 0.5) * tropics));
+            gradient.addColorStop(1, shadeColor(white, 1, 0));
+            context.fillStyle = gradient;
+            context.beginPath();
+            context.ellipse(x, y, radius * (1.5 + random() * 2), radius, (random() - 0.5) * 0.6, 0, Math.PI * 2);
+            context.fill();
+        }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    return texture;
+}
+
+// Radial strip for a ring system (inner edge on the left), with narrow ringlets in
+// `def.color` over faint dust; the opacity is in the alpha channel
+export function createRingTexture(def) {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = 4;
+    const context = canvas.getContext('2d');
+    const random = createRandom(`${def.name} rings`);
+    const color = new THREE.Color(def.color || '#888888');
+
+    context.fillStyle = shadeColor(color, 0.8, 0.08);
+    context.fillRect(0, 0, WIDTH, canvas.height);
+
+    const count = 5 + Math.floor(random() * 5);
+    for (let i = 0; i < count; i++) {
+        // The outermost ringlet is the brightest, as with Uranus's epsilon ring
+        const x = i === count - 1 ? WIDTH * 0.96 : random() * WIDTH * 0.9;
+        const width = i === count - 1 ? 8 : 1 + random() * 3;
+        context.fillStyle = shadeColor(color, 1 + random() * 0.2, i === count - 1 ? 0.9 : 0.4 + random() * 0.4);
+        context.fillRect(x - width / 2, 0, width, canvas.height);
+    }
+
+    return new THREE.CanvasTexture(canvas);
+}
@@ -0,0 +1,121 @@
+// Scale modes: how AU distances and km radii map to scene units
+//
+// Every mode puts the outermost body's semi-major axis at its scene orbitalRadius,
+// so the camera's maximum distance, the star field and the sun light's
+// falloff distance fit the system the same way whichever mode is active.
+
+import { AU_IN_KM } from './ephemeris.js';
+
+export const SCALE_MODES = {
+    'Artistic': 'artistic', // Scene radii and per-body orbit scaling from the system file
+    'Logarithmic': 'logarithmic', // Log-compressed distances, scene radii
+    'True Scale': 'true' // Real distances and radii on one common scale
+};
+
+// Distance below which logarithmic mode stays close to linear
+const LOG_KNEE_AU = 0.1;
+
+export class ScaleModel {
+    constructor(system) {
+        this.star = system.star;
+
+        const outermost = system.bodies.reduce((a, b) => (b.elements.semiMajorAxis[0] > a.elements.semiMajorAxis[0] ? b : a));
+        const extentAU = outermost.elements.semiMajorAxis[0];
+        this.extent = outermost.orbitalRadius;
+
+        this.unitsPerAU = this.extent / extentAU;
+        this.logFactor = this.extent / Math.log(1 + extentAU / LOG_KNEE_AU);
+    }
+
+    // Scene distance from the star of a planet `distanceAU` away
+    distance(mode, data, distanceAU) {
+        if (mode === 'true') return distanceAU * this.unitsPerAU;
+        if (mode === 'logarithmic') return this.logFactor * Math.log(1 + distanceAU / LOG_KNEE_AU);
+        return distanceAU * data.orbitalRadius / data.elements.semiMajorAxis[0];
+    }
+
+    // Scene radius of the star, a planet or a moon.
+    // Bodies without radiusKm are sized relative to the star as in the artistic mode.
+    radius(mode, data) {
+        if (mode !== 'true') return data.radius;
+        const radiusKm = data.radiusKm > 0 ? data.radiusKm : this.star.radiusKm * data.radius / this.star.radius;
+        return radiusKm / AU_IN_KM * this.unitsPerAU;
+    }
+
+    // Scene radius of a moon's orbit around `parentData`
+    moonDistance(mode, data, parentData) {
+        return this.planetDistance(mode, data.orbitalRadius, data.orbitalDistanceKm, parentData);
+    }
+
+    // A distance from the center of `parentData` given both in scene units and in km, such as
+    // a moon's orbit or a magnetosphere's size. Without km it stays in proportion to the planet.
+    planetDistance(mode, sceneDistance, distanceKm, parentData) {
+        if (mode !== 'true') return sceneDistance;
+        if (distanceKm > 0) return distanceKm / AU_IN_KM * this.unitsPerAU;
+        return this.radius(mode, parentData) * sceneDistance / parentData.radius;
+    }
+}
+
+// Animated switch between two modes. Sizes and distances span orders of magnitude,
+// so values are blended geometrically to keep the motion even on screen.
+export class ScaleTransition {
+    constructor(model, mode, { duration = 2.0 } = {}) {
+        this.model = model;
+        this.duration = duration;
+        this.from = mode; // A mode name, or a frozen { from, to, progress } when retargeted mid-way
+        this.to = mode;
+        this.progress = 1;
+    }
+
+    get active() {
+        return this.progress < 1;
+    }
+
+    // Start moving towards `mode` from wherever the current blend is
+    start(mode) {
+        if (mode === this.to) return;
+        this.from = this.active ? { from: this.from, to: this.to, progress: this.progress } : this.to;
+        this.to = mode;
+        this.progress = 0;
+    }
+
+    // Jump to the end of the transition
+    finish() {
+        this.from = this.to;
+        this.progress = 1;
+    }
+
+    update(deltaTime) {
+        if (!this.active) return;
+        this.progress = Math.min(1, this.progress + deltaTime / this.duration);
+        if (!this.active) this.finish();
+    }
+
+    distance(data, distanceAU) {
+        return blend(this, mode => this.model.distance(mode, data, distanceAU));
+    }
+
+    radius(data) {
+        return blend(this, mode => this.model.radius(mode, data));
+    }
+
+    moonDistance(data, parentData) {
+        return blend(this, mode => this.model.moonDistance(mode, data, parentData));
+    }
+
+    planetDistance(sceneDistance, distanceKm, parentData) {
+        return blend(this, mode => this.model.planetDistance(mode, sceneDistance, distanceKm, parentData));
+    }
+}
+
+// Evaluate `value(mode)` for a mode name or a (possibly nested) transition state
+function blend(state, value) {
+    if (typeof state === 'string') return value(state);
+
+    const target = value(state.to);
+    if (state.progress >= 1) return target;
+
+    const start = blend(state.from, value);
+    const t = state.progress * state.progress * (3 - 2 * state.progress); // Smoothstep
+    return start * Math.pow(target / start, t);
+}
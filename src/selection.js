@@ -0,0 +1,156 @@
+// Body selection: info card and camera focus/follow
+
+import * as THREE from 'three';
+
+// Ease in/out so camera flights start and stop gently
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// HTML card showing details for the selected body
+export function createInfoCard(container, onClose) {
+    const card = document.createElement('div');
+    card.className = 'info-card';
+    card.style.cssText = 'position: absolute; left: 20px; bottom: 20px; min-width: 240px; padding: 14px 18px; ' +
+        'background: rgba(0, 0, 0, 0.75); color: white; border: 1px solid rgba(44, 201, 255, 0.4); border-radius: 10px; ' +
+        'font-family: Arial, sans-serif; font-size: 13px; z-index: 900; display: none;';
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 18px;';
+    card.appendChild(title);
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.title = 'Stop following';
+    closeButton.style.cssText = 'position: absolute; top: 6px; right: 8px; background: none; border: none; color: white; font-size: 18px; cursor: pointer;';
+    closeButton.addEventListener('click', onClose);
+    card.appendChild(closeButton);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'border-collapse: collapse; width: 100%;';
+    card.appendChild(table);
+
+    container.appendChild(card);
+
+    const rows = {};
+
+    return {
+        element: card,
+
+        show(name) {
+            title.textContent = name;
+            card.style.display = 'block';
+        },
+
+        hide() {
+            card.style.display = 'none';
+        },
+
+        // Set the label/value rows; rows are created on first use and reused afterwards
+        update(fields) {
+            Object.entries(fields).forEach(([label, value]) => {
+                if (!rows[label]) {
+                    const row = table.insertRow();
+                    row.insertCell().textContent = label;
+                    rows[label] = row.insertCell();
+                    rows[label].style.cssText = 'text-align: right; padding-left: 12px; color: #2cc9ff;';
+                }
+                rows[label].textContent = value;
+                rows[label].parentElement.style.display = value === null ? 'none' : '';
+            });
+        }
+    };
+}
+
+// Flies the camera to a body and keeps OrbitControls targeted on it as it moves
+export class CameraFocus {
+    constructor(camera, controls, { duration = 2.0 } = {}) {
+        this.camera = camera;
+        this.controls = controls;
+        this.duration = duration;
+
+        this.object = null;
+        this.progress = 1;
+        this.viewDistance = 0;
+        this.startPosition = new THREE.Vector3();
+        this.startTarget = new THREE.Vector3();
+        this.lastObjectPosition = new THREE.Vector3();
+        this.defaultMinDistance = controls.minDistance;
+
+        this._objectPosition = new THREE.Vector3();
+        this._direction = new THREE.Vector3();
+    }
+
+    // Start a flight to `object`, ending `viewDistance` units from its center
+    focus(object, viewDistance) {
+        this.object = object;
+        this.viewDistance = viewDistance;
+        this.progress = 0;
+        this.startPosition.copy(this.camera.position);
+        this.startTarget.copy(this.controls.target);
+        object.getWorldPosition(this.lastObjectPosition);
+
+        // Let the user zoom close to small bodies
+        this.controls.minDistance = Math.min(this.defaultMinDistance, viewDistance * 0.5);
+    }
+
+    // Follow `object` from where the camera is now, without a flight
+    follow(object, viewDistance) {
+        this.focus(object, viewDistance);
+        this.progress = 1;
+    }
+
+    // Stop following; controls stay where they are
+    release() {
+        this.object = null;
+        this.progress = 1;
+        this.controls.minDistance = this.defaultMinDistance;
+    }
+
+    // Zoom limit while nothing is followed, e.g. when the scene scale changes
+    setDefaultMinDistance(distance) {
+        this.defaultMinDistance = distance;
+        this.controls.minDistance = this.object ? Math.min(distance, this.viewDistance * 0.5) : distance;
+    }
+
+    // Scale the camera's distance from the followed body, e.g. when the body is drawn larger or smaller
+    rescale(factor) {
+        if (!this.object) return;
+        this.viewDistance *= factor;
+        this.controls.minDistance = Math.min(this.defaultMinDistance, this.viewDistance * 0.5);
+
+        // A flight picks up the new viewDistance by itself
+        if (this.progress < 1) return;
+        this._direction.subVectors(this.camera.position, this.controls.target).multiplyScalar(factor);
+        this.camera.position.copy(this.controls.target).add(this._direction);
+    }
+
+    get isFlying() {
+        return this.object !== null && this.progress < 1;
+    }
+
+    update(deltaTime) {
+        if (!this.object) return;
+
+        const objectPosition = this.object.getWorldPosition(this._objectPosition);
+
+        if (this.progress < 1) {
+            this.progress = Math.min(1, this.progress + deltaTime / this.duration);
+            const t = easeInOutCubic(this.progress);
+
+            // Approach from the side the camera started on
+            this._direction.subVectors(this.startPosition, objectPosition).normalize();
+            const endPosition = this._direction.multiplyScalar(this.viewDistance).add(objectPosition);
+
+            this.camera.position.lerpVectors(this.startPosition, endPosition, t);
+            this.controls.target.lerpVectors(this.startTarget, objectPosition, t);
+        } else {
+            // Carry the camera along with the body so user orbiting is preserved
+            this._direction.subVectors(objectPosition, this.lastObjectPosition);
+            this.camera.position.add(this._direction);
+            this.controls.target.copy(objectPosition);
+        }
+
+        this.lastObjectPosition.copy(objectPosition);
+    }
+}
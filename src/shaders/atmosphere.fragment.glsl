@@ -0,0 +1,96 @@
+uniform vec3 u_color; // Rayleigh scattering color; its complement survives long light paths
+uniform float u_thickness; // Shell height as a fraction of the planet radius
+uniform float u_density;
+uniform float u_intensity;
+uniform float u_radius; // Local radius of the shell geometry before its thickness scale
+
+#include <logdepthbuf_pars_fragment>
+
+varying vec3 vViewPosition;
+varying vec3 vCenter;
+varying float vScale;
+varying vec3 vSunPosition;
+
+const int VIEW_SAMPLES = 8;
+const int LIGHT_SAMPLES = 4;
+const float SCALE_HEIGHT = 0.25; // Density falls by e every quarter of the shell
+const float MIE_SHARE = 0.15; // Haze scattering relative to the density
+const float MIE_G = 0.76; // Forward scattering of the haze
+const float SUN_INTENSITY = 10.0;
+const float FOUR_PI = 12.566370614;
+
+// Distances along the ray to where it enters and leaves a sphere; x > y when it misses
+vec2 raySphere(vec3 origin, vec3 direction, vec3 center, float radius) {
+    vec3 offset = origin - center;
+    float b = dot(offset, direction);
+    float c = dot(offset, offset) - radius * radius;
+    float discriminant = b * b - c;
+    if (discriminant < 0.0) return vec2(1.0, -1.0);
+    float root = sqrt(discriminant);
+    return vec2(-b - root, -b + root);
+}
+
+// Relative density at `point`, 1 at the surface
+float densityAt(vec3 point, float planetRadius, float shell) {
+    float height = (length(point - vCenter) - planetRadius) / shell;
+    return exp(-max(height, 0.0) / SCALE_HEIGHT);
+}
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    float atmosphereRadius = u_radius * vScale;
+    float planetRadius = atmosphereRadius / (1.0 + u_thickness);
+    float shell = atmosphereRadius - planetRadius;
+
+    // View ray from the camera through this fragment, clipped to the shell and the ground
+    vec3 direction = normalize(vViewPosition);
+    vec2 hit = raySphere(vec3(0.0), direction, vCenter, atmosphereRadius);
+    if (hit.x > hit.y) discard;
+    float start = max(hit.x, 0.0);
+    float end = hit.y;
+    vec2 ground = raySphere(vec3(0.0), direction, vCenter, planetRadius);
+    if (ground.x < ground.y && ground.x > 0.0) end = min(end, ground.x);
+
+    // The star is far away compared to the planet, so one direction serves the whole shell
+    vec3 sunDirection = normalize(vSunPosition - vCenter);
+
+    // Optical depths are measured in shell heights so the look doesn't depend on the scale mode
+    vec3 rayleighBeta = u_color * u_density;
+    float mieBeta = MIE_SHARE * u_density;
+    vec3 extinction = rayleighBeta + mieBeta;
+
+    float stepLength = (end - start) / float(VIEW_SAMPLES);
+    float viewDepth = 0.0;
+    vec3 scattered = vec3(0.0);
+
+    for (int i = 0; i < VIEW_SAMPLES; i++) {
+        vec3 point = direction * (start + (float(i) + 0.5) * stepLength);
+        float depth = densityAt(point, planetRadius, shell) * stepLength / shell;
+        viewDepth += depth;
+
+        // Points in the planet's shadow receive no sunlight
+        vec2 shadow = raySphere(point, sunDirection, vCenter, planetRadius);
+        if (shadow.x < shadow.y && shadow.x > 0.0) continue;
+
+        // Sunlight is dimmed (and reddened) on its way in through the shell
+        float lightStep = raySphere(point, sunDirection, vCenter, atmosphereRadius).y / float(LIGHT_SAMPLES);
+        float lightDepth = 0.0;
+        for (int j = 0; j < LIGHT_SAMPLES; j++) {
+            lightDepth += densityAt(point + sunDirection * (float(j) + 0.5) * lightStep, planetRadius, shell) * lightStep / shell;
+        }
+
+        scattered += depth * exp(-extinction * (viewDepth + lightDepth));
+    }
+
+    // Rayleigh and Henyey-Greenstein phase functions
+    float mu = dot(direction, sunDirection);
+    float rayleighPhase = 3.0 / (4.0 * FOUR_PI) * (1.0 + mu * mu);
+    float mieG2 = MIE_G * MIE_G;
+    float miePhase = (1.0 - mieG2) / (FOUR_PI * pow(1.0 + mieG2 - 2.0 * MIE_G * mu, 1.5));
+
+    vec3 color = SUN_INTENSITY * u_intensity * scattered * (rayleighBeta * rayleighPhase + mieBeta * miePhase);
+
+    // Soft exposure so the bright limb saturates smoothly
+    gl_FragColor = vec4(1.0 - exp(-color), 1.0);
+}
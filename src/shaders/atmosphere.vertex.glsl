@@ -0,0 +1,23 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+uniform vec3 u_sunPosition;
+
+varying vec3 vViewPosition;
+varying vec3 vCenter;
+varying float vScale;
+varying vec3 vSunPosition;
+
+void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = mvPosition.xyz;
+
+    // Everything the fragment shader needs in view space, where the camera is at the origin
+    vCenter = (modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vScale = length(modelViewMatrix[0].xyz); // View units per local unit (the shell is scaled uniformly)
+    vSunPosition = (viewMatrix * vec4(u_sunPosition, 1.0)).xyz;
+
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
+}
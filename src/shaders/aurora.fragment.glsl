@@ -0,0 +1,29 @@
+uniform vec3 u_color;
+uniform float u_intensity;
+uniform float u_time;
+
+#include <logdepthbuf_pars_fragment>
+
+varying vec2 vUv; // u around the pole, v across the oval
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    // Brightest along the middle of the oval
+    float across = sin(3.14159265 * vUv.y);
+    across *= across;
+
+    // Folded curtains drifting around the pole
+    float longitude = vUv.x * 6.2831853;
+    float curtains = 0.5 + 0.5 * sin(longitude * 23.0 + 2.0 * sin(longitude * 5.0 + u_time * 0.7) + u_time * 0.3);
+    curtains *= 0.6 + 0.4 * sin(longitude * 61.0 - u_time * 1.3);
+
+    // Much brighter on the night side (the star is at the origin)
+    vec3 toSun = normalize(-vWorldPosition);
+    float night = 1.0 - smoothstep(-0.2, 0.3, dot(normalize(vWorldNormal), toSun));
+
+    float alpha = u_intensity * across * (0.3 + 0.7 * curtains) * (0.25 + 0.75 * night);
+    gl_FragColor = vec4(u_color * alpha, alpha);
+}
@@ -0,0 +1,18 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+varying vec2 vUv;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+
+void main() {
+    vUv = uv;
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+    #include <logdepthbuf_vertex>
+}
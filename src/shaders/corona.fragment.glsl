@@ -1,14 +1,18 @@
 uniform float u_time;
-uniform float u_coronaSize;
+uniform float u_coronaSize; // Outer edge, in star radii
 uniform float u_coronaIntensity;
-uniform float u_pulsationSpeed;
+uniform float u_pulsationSpeed; // Speed of the outflow along the streamers
 uniform vec3 u_coronaColor;
+uniform float u_activity; // Solar minimum (0) to maximum (1)
+uniform mat4 u_worldToStar; // World space to the star's rotating frame, in star radii
+
+#include <logdepthbuf_pars_fragment>
 
-varying vec3 vNormal;
-varying vec3 vViewPosition;
 varying vec3 vWorldPosition;
 
-// Noise function for corona variation
+#define STEPS 32
+
+// Value noise, 0 to 1
 float noise(vec3 p) {
     vec3 i = floor(p);
     vec3 f = fract(p);
@@ -30,33 +34,87 @@ float noise(vec3 p) {
     );
 }
 
+// Distances along the ray to where it enters and leaves a sphere around the star's center;
+// x > y when it misses
+vec2 sphereHits(vec3 origin, vec3 direction, float radius) {
+    float b = dot(origin, direction);
+    float c = dot(origin, origin) - radius * radius;
+    float h = b * b - c;
+    if (h < 0.0) return vec2(1.0, -1.0);
+    h = sqrt(h);
+    return vec2(-b - h, -b + h);
+}
+
+// Electron density at `x` (star radii from the center) relative to the base of the corona.
+// `detail` fades the fine rays to their average when they are smaller than a pixel.
+float coronaDensity(vec3 x, float detail) {
+    float r = length(x);
+    vec3 direction = x / r;
+    float height = r - 1.0;
+
+    // Smooth background falling off steeply near the surface and slowly further out (Baumbach-Allen)
+    float background = (2.99 * pow(r, -16.0) + 1.55 * pow(r, -6.0) + 0.036 * pow(r, -1.5)) / 4.576;
+
+    // Streamer belt around the current sheet, which lies near the equator at minimum and is
+    // warped to high latitudes at maximum
+    float longitude = atan(direction.z, direction.x);
+    float warp = noise(vec3(cos(longitude), sin(longitude), 0.0) * 1.5 + 7.0) * 2.0 - 1.0;
+    float sheet = warp * mix(0.15, 0.8, u_activity);
+    float belt = mix(0.1, 0.3, u_activity);
+
+    // Helmets: wide closed loops low down, narrowing to a cusp at about 2.5 radii and a thin stalk above
+    float width = belt * (0.35 + 0.65 * exp(-height * 1.3));
+    float offSheet = (direction.y - sheet) / width;
+    float streamer = exp(-offSheet * offSheet);
+    float helmet = exp(-offSheet * offSheet * 0.6) * (1.0 - smoothstep(0.3, 2.2, height));
+
+    // Fine radial rays: noise over direction only, stretched out along the radius, with blobs
+    // carried outward along them
+    float rays = mix(0.5, noise(direction * 14.0), detail);
+    float flow = 0.75 + 0.5 * noise(vec3(direction.xz * 5.0, height * 1.5 - u_time * u_pulsationSpeed * 0.3));
+    streamer *= (0.4 + 1.2 * rays) * flow;
+
+    // Polar plumes: thin rays over the quiet poles, fading as activity rises
+    float pole = smoothstep(0.7, 0.9, abs(direction.y));
+    float plumes = pole * pow(mix(0.35, noise(direction * 40.0), detail), 3.0) * 6.0 * (1.0 - 0.8 * u_activity);
+
+    // Extra streamers over active longitudes at maximum
+    float active = smoothstep(0.55, 0.75, noise(direction * 4.0 + 21.0)) * u_activity;
+
+    return background * (0.3 + 1.5 * streamer + 0.8 * helmet + plumes + 0.8 * active * (0.4 + rays));
+}
+
 void main() {
-    // Calculate intensity based on view angle (Fresnel effect)
-    float intensity = 1.0 - dot(normalize(vNormal), normalize(vViewPosition));
-    intensity = pow(intensity, 1.5);
-    
-    // Complex pulsation using multiple sine waves with different frequencies
-    float pulsation = 
-        0.8 + 
-        0.1 * sin(u_time * u_pulsationSpeed) + 
-        0.05 * sin(u_time * u_pulsationSpeed * 2.7) + 
-        0.025 * sin(u_time * u_pulsationSpeed * 5.3 + 1.5);
-    
-    // Add noise variation to the corona
-    float noiseVal = noise(vWorldPosition * 0.5 + u_time * 0.1);
-    intensity *= pulsation * (0.9 + 0.1 * noiseVal);
-    
-    // Distance-based color variation
-    float distFactor = length(vWorldPosition) / u_coronaSize;
-    vec3 innerColor = u_coronaColor;
-    vec3 outerColor = vec3(1.0, 0.6, 0.1); // Slightly more yellow at the edges
-    vec3 finalColor = mix(innerColor, outerColor, pow(distFactor, 2.0));
-    
-    // Create glow color with intensity
-    vec3 glow = finalColor * intensity * u_coronaIntensity;
-    
-    // Fade out at the edges
-    float alpha = intensity * 0.5 * u_coronaIntensity;
-    
-    gl_FragColor = vec4(glow, alpha);
-} 
\ No newline at end of file
+    #include <logdepthbuf_fragment>
+
+    // Camera ray in the star's frame, where the sun has radius 1
+    vec3 origin = (u_worldToStar * vec4(cameraPosition, 1.0)).xyz;
+    vec3 surface = (u_worldToStar * vec4(vWorldPosition, 1.0)).xyz;
+    vec3 direction = normalize(surface - origin);
+
+    // March from where the ray enters the corona to where it leaves it or meets the star
+    vec2 outer = sphereHits(origin, direction, u_coronaSize);
+    vec2 star = sphereHits(origin, direction, 1.0);
+    float start = max(outer.x, 0.0);
+    float end = star.x < star.y && star.x > 0.0 ? star.x : outer.y;
+    if (end <= start) discard;
+
+    // Rays fade out as they get thinner than a pixel, as when the camera pulls back
+    float footprint = length(fwidth(surface));
+    float detail = 1.0 - smoothstep(0.02, 0.08, footprint);
+
+    // Jitter the samples per pixel so the steps don't show as bands
+    float stepLength = (end - start) / float(STEPS);
+    float t = start + stepLength * fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+    float column = 0.0;
+    for (int i = 0; i < STEPS; i++) {
+        column += coronaDensity(origin + direction * t, detail);
+        t += stepLength;
+    }
+    column *= stepLength;
+
+    // Optically thin: brightness is the density summed along the ray, scattered sunlight in the
+    // star's own color. The corona is denser and brighter at maximum.
+    float brightness = 2.0 * column * u_coronaIntensity * (0.6 + 0.6 * u_activity);
+    gl_FragColor = vec4(u_coronaColor * brightness, 1.0);
+}
@@ -1,15 +1,13 @@
-varying vec3 vNormal;
-varying vec3 vViewPosition;
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
 varying vec3 vWorldPosition;
 
 void main() {
-    vNormal = normalize(normalMatrix * normal);
-    
     vec4 worldPosition = modelMatrix * vec4(position, 1.0);
     vWorldPosition = worldPosition.xyz;
-    
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-    vViewPosition = -mvPosition.xyz;
-    
-    gl_Position = projectionMatrix * mvPosition;
-} 
\ No newline at end of file
+
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+    #include <logdepthbuf_vertex>
+}
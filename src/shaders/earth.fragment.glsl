@@ -0,0 +1,124 @@
+uniform sampler2D u_dayMap;
+uniform sampler2D u_nightMap;
+uniform sampler2D u_normalMap;
+uniform sampler2D u_bumpMap;
+uniform sampler2D u_specularMap;
+// 1 when the matching map has loaded, 0 while it loads or after it failed
+uniform float u_hasDayMap;
+uniform float u_hasNightMap;
+uniform float u_hasNormalMap;
+uniform float u_hasBumpMap;
+uniform float u_hasSpecularMap;
+uniform float u_detailMaps; // 0 when surface detail maps are switched off
+
+uniform vec3 u_color; // Used without a day map
+uniform float u_normalScale;
+uniform float u_bumpScale; // Height of a white texel in world units, as three's bumpScale
+uniform float u_nightIntensity;
+uniform float u_specularStrength;
+uniform float u_shininess;
+
+// Copied from the scene's point and ambient lights
+uniform vec3 u_lightColor;
+uniform float u_lightIntensity;
+uniform float u_lightDistance;
+uniform float u_lightDecay;
+uniform vec3 u_ambientColor;
+uniform float u_ambientIntensity;
+
+#include <logdepthbuf_pars_fragment>
+#include <eclipse_shadow_pars>
+
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vTangent;
+varying vec3 vViewPosition;
+varying vec3 vSunPosition;
+varying vec3 vWorldPosition;
+
+const vec3 TWILIGHT_COLOR = vec3(1.0, 0.45, 0.2);
+
+// `normal` tilted by the bump map's slope, worked out from screen-space derivatives as three's
+// standard material does (Mikkelsen, "Bump Mapping Unparametrized Surfaces on the GPU")
+vec3 bumpNormal(vec3 normal) {
+    vec2 dSTdx = dFdx(vUv);
+    vec2 dSTdy = dFdy(vUv);
+    float height = texture2D(u_bumpMap, vUv).x;
+    vec2 dHdxy = u_bumpScale * vec2(texture2D(u_bumpMap, vUv + dSTdx).x - height, texture2D(u_bumpMap, vUv + dSTdy).x - height);
+
+    vec3 sigmaX = dFdx(vViewPosition);
+    vec3 sigmaY = dFdy(vViewPosition);
+    vec3 r1 = cross(sigmaY, normal);
+    vec3 r2 = cross(normal, sigmaX);
+    float determinant = dot(sigmaX, r1);
+    vec3 gradient = sign(determinant) * (dHdxy.x * r1 + dHdxy.y * r2);
+    return normalize(abs(determinant) * normal - gradient);
+}
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    vec3 geometryNormal = normalize(vNormal);
+    vec3 toSun = vSunPosition - vViewPosition;
+    vec3 lightDirection = normalize(toSun);
+    vec3 viewDirection = normalize(-vViewPosition);
+
+    vec3 day = u_hasDayMap > 0.5 ? texture2D(u_dayMap, vUv).rgb : u_color;
+
+    // Normal map in the sphere's east/north tangent frame
+    vec3 normal = geometryNormal;
+    if (u_hasNormalMap * u_detailMaps > 0.5 && dot(vTangent, vTangent) > 1e-8) {
+        vec3 east = normalize(vTangent);
+        vec3 north = cross(geometryNormal, east);
+        vec3 mapNormal = texture2D(u_normalMap, vUv).xyz * 2.0 - 1.0;
+        mapNormal.xy *= u_normalScale;
+        normal = normalize(east * mapNormal.x + north * mapNormal.y + geometryNormal * mapNormal.z);
+    }
+    if (u_hasBumpMap * u_detailMaps > 0.5) {
+        normal = bumpNormal(normal);
+    }
+
+    // Oceans from the specular map, or guessed from the day map where blue outweighs red and green
+    float ocean = u_hasSpecularMap > 0.5
+        ? texture2D(u_specularMap, vUv).g
+        : smoothstep(0.04, 0.12, day.b - max(day.r, day.g));
+    ocean *= u_detailMaps;
+
+    // Sun elevation from the smooth sphere, so the terminator doesn't follow the normal or bump map
+    float sunElevation = dot(geometryNormal, lightDirection);
+    float daylight = smoothstep(-0.05, 0.1, sunElevation);
+    float night = 1.0 - smoothstep(-0.15, 0.02, sunElevation);
+
+    // Low sunlight crosses more air and reddens towards the terminator
+    float twilight = 1.0 - smoothstep(0.0, 0.3, sunElevation);
+    vec3 sunColor = u_lightColor * mix(vec3(1.0), TWILIGHT_COLOR, twilight);
+
+    // Point light falloff as three.js computes it
+    float attenuation = 1.0;
+    if (u_lightDistance > 0.0 && u_lightDecay > 0.0) {
+        attenuation = pow(clamp(1.0 - length(toSun) / u_lightDistance, 0.0, 1.0), u_lightDecay);
+    }
+    // Moon and planet shadows dim the sunlight, twilight glow included
+    attenuation *= eclipseVisibility(vWorldPosition);
+    vec3 irradiance = sunColor * u_lightIntensity * attenuation;
+
+    vec3 color = day * (irradiance * max(dot(normal, lightDirection), 0.0) * daylight + u_ambientColor * u_ambientIntensity);
+
+    // Sun glint on the oceans
+    vec3 halfway = normalize(lightDirection + viewDirection);
+    float glint = pow(max(dot(normal, halfway), 0.0), u_shininess) * u_specularStrength * ocean * daylight;
+    color += irradiance * glint;
+
+    // Scattered light past the terminator, fading out as the sun sinks further
+    color += TWILIGHT_COLOR * u_lightIntensity * attenuation * 0.04 * smoothstep(-0.3, 0.0, sunElevation) * (1.0 - daylight);
+
+    // City lights once the sun is down
+    if (u_hasNightMap > 0.5) {
+        color += texture2D(u_nightMap, vUv).rgb * u_nightIntensity * night;
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+
+    #include <tonemapping_fragment>
+    #include <encodings_fragment>
+}
@@ -0,0 +1,29 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+uniform vec3 u_sunPosition;
+
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vTangent;
+varying vec3 vViewPosition;
+varying vec3 vSunPosition;
+varying vec3 vWorldPosition; // For eclipse shadows
+
+void main() {
+    vUv = uv;
+
+    // Lighting happens in view space
+    vNormal = normalize(normalMatrix * normal);
+    // Eastward direction on the sphere (texture u increases to the east); zero at the poles
+    vTangent = normalMatrix * vec3(normal.z, 0.0, -normal.x);
+
+    vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = mvPosition.xyz;
+    vSunPosition = (viewMatrix * vec4(u_sunPosition, 1.0)).xyz;
+
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
+}
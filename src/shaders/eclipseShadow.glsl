@@ -0,0 +1,77 @@
+// Analytic eclipse shadows: how much of the star's disk can be seen from a point, with
+// spheres (planets and moons) and optionally a ring system in the way.
+// Needs SHADOW_CASTERS defined; SHADOW_RING adds the ring.
+
+uniform vec4 u_shadowSun; // Star center (world) and radius
+#if SHADOW_CASTERS > 0
+uniform vec4 u_shadowCasters[SHADOW_CASTERS]; // Centers (world) and radii; radius 0 leaves a caster out
+#endif
+
+#ifdef SHADOW_RING
+uniform vec3 u_ringCenter;
+uniform vec3 u_ringNormal;
+uniform vec2 u_ringRadii; // Inner and outer
+uniform float u_ringOpacity;
+uniform sampler2D u_ringMap; // Radial strips, as on the ring itself
+uniform sampler2D u_ringAlphaMap;
+uniform float u_ringHasMap;
+uniform float u_ringHasAlphaMap;
+#endif
+
+// Fraction of a disk of angular radius r1 covered by a disk of radius r2 whose center is d away
+float diskOverlap(float r1, float r2, float d) {
+    if (d >= r1 + r2) return 0.0;
+    if (d <= abs(r1 - r2)) return r2 >= r1 ? 1.0 : (r2 * r2) / (r1 * r1);
+
+    // Lens between the two circles: a circular segment of each
+    float a = (d * d + r1 * r1 - r2 * r2) / (2.0 * d); // From the first center to the chord
+    float b = d - a;
+    float area = r1 * r1 * acos(clamp(a / r1, -1.0, 1.0)) - a * sqrt(max(r1 * r1 - a * a, 0.0))
+        + r2 * r2 * acos(clamp(b / r2, -1.0, 1.0)) - b * sqrt(max(r2 * r2 - b * b, 0.0));
+    return area / (3.141592653589793 * r1 * r1);
+}
+
+// 1 in full sunlight, 0 in the umbra, in between in the penumbra
+float eclipseVisibility(vec3 point) {
+    vec3 toSun = u_shadowSun.xyz - point;
+    float sunDistance = length(toSun);
+    vec3 sunDirection = toSun / sunDistance;
+    float sunRadius = asin(min(u_shadowSun.w / sunDistance, 1.0));
+    float visibility = 1.0;
+
+    #if SHADOW_CASTERS > 0
+    for (int i = 0; i < SHADOW_CASTERS; i++) {
+        vec4 caster = u_shadowCasters[i];
+        vec3 toCaster = caster.xyz - point;
+        float casterDistance = length(toCaster);
+
+        // Skip unused slots, casters beyond the star, and the point's own body
+        if (caster.w <= 0.0 || casterDistance >= sunDistance || casterDistance <= caster.w) continue;
+        vec3 casterDirection = toCaster / casterDistance;
+        float cosine = dot(sunDirection, casterDirection);
+        if (cosine <= 0.0) continue;
+
+        float casterRadius = asin(caster.w / casterDistance);
+        float separation = atan(length(cross(sunDirection, casterDirection)), cosine);
+        visibility -= diskOverlap(sunRadius, casterRadius, separation);
+    }
+    #endif
+
+    #ifdef SHADOW_RING
+    // Where the ray to the star's center crosses the ring plane, the ring's opacity there blocks it.
+    // The maps are sampled outside any branch so their mipmap selection stays well defined.
+    float facing = dot(sunDirection, u_ringNormal);
+    float crossing = dot(u_ringCenter - point, u_ringNormal) / (abs(facing) > 1e-5 ? facing : 1e-5);
+    float radius = length(point + sunDirection * crossing - u_ringCenter);
+    float u = (radius - u_ringRadii.x) / (u_ringRadii.y - u_ringRadii.x);
+    vec2 ringUv = vec2(clamp(u, 0.0, 1.0), 0.5);
+    float opacity = u_ringOpacity
+        * mix(1.0, texture2D(u_ringMap, ringUv).a, u_ringHasMap)
+        * mix(1.0, texture2D(u_ringAlphaMap, ringUv).g, u_ringHasAlphaMap);
+    if (abs(facing) > 1e-5 && crossing > 0.0 && crossing < sunDistance && u > 0.0 && u < 1.0) {
+        visibility *= 1.0 - opacity;
+    }
+    #endif
+
+    return clamp(visibility, 0.0, 1.0);
+}
@@ -0,0 +1,28 @@
+// Bakes an environment source into one face of a cube render target
+
+#if CUBE_SOURCE
+uniform samplerCube u_source;
+#else
+uniform sampler2D u_source; // Equirectangular, laid out as on a THREE.SphereGeometry
+#endif
+uniform mat3 u_toSource; // Scene direction to the source's own frame
+uniform float u_exposure;
+uniform vec3 u_tint;
+
+varying vec3 vDirection;
+
+const float PI = 3.141592653589793;
+
+void main() {
+    vec3 direction = normalize(u_toSource * normalize(vDirection));
+
+#if CUBE_SOURCE
+    // Cube textures are looked up mirrored in x, as three draws cube map backgrounds
+    vec3 color = textureCube(u_source, vec3(-direction.x, direction.yz)).rgb;
+#else
+    vec2 uv = vec2(fract(atan(direction.z, -direction.x) / (2.0 * PI)), asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5);
+    vec3 color = texture2D(u_source, uv).rgb;
+#endif
+
+    gl_FragColor = vec4(color * u_tint * u_exposure, 1.0);
+}
@@ -0,0 +1,6 @@
+varying vec3 vDirection;
+
+void main() {
+    vDirection = position; // The box is centered on the cube camera
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
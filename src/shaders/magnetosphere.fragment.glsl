@@ -0,0 +1,22 @@
+uniform vec3 u_color;
+uniform float u_opacity;
+uniform float u_time;
+
+#include <logdepthbuf_pars_fragment>
+
+varying vec2 vUv; // v runs from the nose facing the star down the tail
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    // A thin glowing sheet: brightest where we look along it, fading down the tail
+    float rim = 1.0 - abs(dot(normalize(vNormal), normalize(vViewPosition)));
+    float alpha = u_opacity * (0.15 + 0.85 * rim * rim) * (1.0 - smoothstep(0.4, 1.0, vUv.y));
+
+    // Ripples running downstream with the solar wind
+    alpha *= 0.8 + 0.2 * sin(vUv.y * 60.0 - u_time * 2.0);
+
+    gl_FragColor = vec4(u_color * alpha, alpha);
+}
@@ -0,0 +1,45 @@
+uniform float u_time;
+uniform float u_progress; // How far the plasma has climbed from the footpoints, 1 at the top of the loop
+uniform float u_opacity;
+uniform float u_seed;
+uniform vec3 u_color;
+
+#include <logdepthbuf_pars_fragment>
+
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+        mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x),
+        f.y
+    );
+}
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    // 0 at either footpoint, 1 at the top; plasma fills the loop from the feet up
+    float height = 1.0 - abs(vUv.x * 2.0 - 1.0);
+    float filled = 1.0 - smoothstep(u_progress - 0.1, u_progress, height);
+
+    // Threads of plasma draining down the loop (u runs along it, v around it)
+    float around = cos(vUv.y * 6.2831853) * 1.5 + u_seed;
+    float threads = noise(vec2(vUv.x * 40.0 - u_time * 0.8 * sign(vUv.x - 0.5), around));
+    threads = 0.3 + 0.9 * threads * noise(vec2(vUv.x * 9.0 - u_time * 0.3, around * 2.0 + 7.0));
+
+    // Soft edges, fading out towards the tube's outline
+    float facing = abs(dot(normalize(vNormal), normalize(vViewPosition)));
+    float alpha = u_opacity * filled * threads * pow(facing, 1.5);
+
+    gl_FragColor = vec4(u_color * alpha, alpha);
+}
@@ -0,0 +1,17 @@
+uniform vec3 u_color;
+uniform float u_opacity;
+
+#include <logdepthbuf_pars_fragment>
+
+varying float vAlpha;
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    // Round, soft points
+    float radius = length(gl_PointCoord - 0.5) * 2.0;
+    float alpha = u_opacity * vAlpha * (1.0 - smoothstep(0.5, 1.0, radius));
+    if (alpha <= 0.0) discard;
+
+    gl_FragColor = vec4(u_color * alpha, alpha);
+}
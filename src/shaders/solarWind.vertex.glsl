@@ -0,0 +1,74 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+// `position` is each particle's unit direction from the star, which sits at the origin
+attribute float a_offset; // Where along its path the particle starts, 0 to 1
+attribute float a_rank; // Particles ranked above the density are left out
+
+uniform float u_time;
+uniform float u_speed; // Trips from the star to the outer edge per second
+uniform float u_density; // Fraction of the particles drawn
+uniform float u_inner; // Star radius
+uniform float u_outer; // Where the flow fades out
+uniform float u_pointSize;
+#if MAGNETOSPHERES > 0
+uniform vec4 u_magnetospheres[MAGNETOSPHERES]; // Planet centers and bow shock standoff distances, 0 when hidden
+#endif
+
+varying float vAlpha;
+
+// Downstream of the planet the deflected flow widens up to a point, then closes in again
+const float TAIL_FLARE = 6.0; // In standoff distances
+const float TAIL_CLOSE = 10.0;
+const float TAIL_END = 25.0;
+
+void main() {
+    if (a_rank > u_density) {
+        // Outside the clip volume, so nothing is drawn
+        vAlpha = 0.0;
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+        gl_PointSize = 0.0;
+        return;
+    }
+
+    float travel = fract(a_offset + u_time * u_speed);
+    vec3 point = position * mix(u_inner, u_outer, travel);
+    float compression = 0.0;
+
+    #if MAGNETOSPHERES > 0
+    // Push the flow out of each bow shock, a paraboloid facing the star:
+    // sunward = standoff - across^2 / (4 standoff). A particle `across` from the axis moves to
+    // sqrt(across^2 + shock^2), so streamlines bend smoothly around the obstacle.
+    for (int i = 0; i < MAGNETOSPHERES; i++) {
+        vec4 magnetosphere = u_magnetospheres[i];
+        float standoff = magnetosphere.w;
+        if (standoff <= 0.0) continue;
+
+        vec3 axis = normalize(magnetosphere.xyz); // Away from the star
+        vec3 offset = point - magnetosphere.xyz;
+        float sunward = -dot(offset, axis);
+        if (sunward >= standoff || sunward < -TAIL_END * standoff) continue;
+
+        vec3 across = offset + axis * sunward;
+        float distanceAcross = length(across);
+        float shock = 2.0 * sqrt(standoff * (standoff - max(sunward, -TAIL_FLARE * standoff)));
+        shock *= 1.0 - smoothstep(TAIL_CLOSE * standoff, TAIL_END * standoff, -sunward);
+
+        vec3 side = distanceAcross > 1e-6 * standoff ? across / distanceAcross : normalize(cross(axis, vec3(0.0, 1.0, 0.0)));
+        float deflected = sqrt(distanceAcross * distanceAcross + shock * shock);
+        point += side * (deflected - distanceAcross);
+
+        // Particles crowd together just outside the shock
+        compression = max(compression, shock / deflected);
+    }
+    #endif
+
+    // Fade in off the star and out at the edge
+    vAlpha = (0.35 + 0.65 * compression) * smoothstep(0.0, 0.05, travel) * (1.0 - smoothstep(0.8, 1.0, travel));
+
+    vec4 mvPosition = modelViewMatrix * vec4(point, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = u_pointSize;
+
+    #include <logdepthbuf_vertex>
+}
@@ -0,0 +1,13 @@
+#include <logdepthbuf_pars_fragment>
+
+varying vec3 vColor;
+
+void main() {
+    #include <logdepthbuf_fragment>
+
+    // Soft round point
+    vec2 offset = gl_PointCoord * 2.0 - 1.0;
+    float falloff = exp(-3.0 * dot(offset, offset));
+
+    gl_FragColor = vec4(vColor * falloff, 1.0);
+}
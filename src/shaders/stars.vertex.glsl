@@ -0,0 +1,26 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+attribute vec3 a_color;
+attribute float a_magnitude;
+
+uniform float u_pointSize; // Pixels for a magnitude 2 star and anything fainter
+uniform float u_brightness;
+uniform float u_magnitudeLimit; // Fainter stars are hidden
+
+varying vec3 vColor;
+
+void main() {
+    // Apparent brightness relative to a magnitude 2 star, compressed the way the eye sees it.
+    // Bright stars grow in size and faint ones dim, keeping their total light.
+    float flux = sqrt(pow(10.0, -0.4 * (a_magnitude - 2.0))) * u_brightness;
+    float grow = clamp(sqrt(flux), 1.0, 4.0);
+    float fade = 1.0 - smoothstep(u_magnitudeLimit - 0.5, u_magnitudeLimit, a_magnitude);
+    vColor = a_color * flux / (grow * grow) * fade;
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = fade > 0.0 ? u_pointSize * grow : 0.0;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
+}
@@ -3,9 +3,20 @@ uniform float u_octaves;
 uniform float u_lacunarity;
 uniform float u_gain;
 uniform float u_rotationSpeed;
-uniform float u_sunspotIntensity;
-uniform vec3 u_baseColor;
-uniform vec3 u_spotColor;
+uniform float u_sunspotIntensity; // How much cooler spots are, 0 to 1 (real spots)
+uniform float u_activity; // Solar minimum (0) to maximum (1); more of the surface is spotted
+uniform float u_temperature; // Effective temperature, kelvin
+uniform sampler2D u_blackbody; // Blackbody colors from u_blackbodyRange.x to .y kelvin
+uniform vec2 u_blackbodyRange;
+uniform vec3 u_limbLinear; // Quadratic limb darkening law per color channel:
+uniform vec3 u_limbQuadratic; // I(mu) / I(1) = 1 - linear (1 - mu) - quadratic (1 - mu)^2
+uniform float u_granuleScale; // Star radius over granule size
+uniform float u_supergranuleScale;
+#ifdef MAX_FLARES
+uniform vec4 u_flares[MAX_FLARES]; // Flare sites (unit vectors in the sun's frame) and brightness, 0 when unused
+#endif
+
+#include <logdepthbuf_pars_fragment>
 
 varying vec3 vPosition;
 varying vec3 vNormal;
@@ -105,56 +116,105 @@ float fBm(vec3 p, float octaves, float lacunarity, float gain) {
     return value;
 }
 
-// Sunspot simulation function
-float sunspot(vec3 p, float threshold, float sharpness) {
-    // Generate large-scale noise pattern for sunspot placement
-    float spotPattern = noise(p * 0.5);
-    
-    // Apply threshold with adjustable sharpness
-    return 1.0 - smoothstep(threshold, threshold + sharpness, spotPattern);
+// Cellular noise: distances to the nearest and second nearest of a jittered grid of points,
+// which drift slowly so the cells churn
+vec2 worley(vec3 p, float time) {
+    vec3 cell = floor(p);
+    vec3 f = fract(p);
+    vec2 nearest = vec2(8.0);
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            for (int z = -1; z <= 1; z++) {
+                vec3 neighbor = vec3(float(x), float(y), float(z));
+                vec3 jitter = hash33(cell + neighbor);
+                vec3 point = neighbor + 0.5 + 0.4 * sin(time * (0.5 + jitter) + 6.2831853 * jitter);
+                float d = length(point - f);
+                if (d < nearest.x) {
+                    nearest = vec2(d, nearest.x);
+                } else if (d < nearest.y) {
+                    nearest.y = d;
+                }
+            }
+        }
+    }
+    return nearest;
 }
 
-// Temperature mapping function (converts noise value to realistic sun color)
-vec3 temperatureMap(float value, float spotFactor) {
-    // Base colors for different temperatures
-    vec3 coolColor = vec3(0.8, 0.3, 0.0);   // Dark orange/red (cooler regions)
-    vec3 midColor = vec3(1.0, 0.6, 0.0);    // Bright orange/yellow (mid temperature)
-    vec3 hotColor = vec3(1.0, 0.9, 0.7);    // Almost white (hottest regions)
-    vec3 spotColor = vec3(0.4, 0.1, 0.0);   // Dark spot color
-    
-    // Mix between temperature colors based on noise value
-    vec3 baseColor = mix(coolColor, midColor, value);
-    baseColor = mix(baseColor, hotColor, pow(value, 2.0));
-    
-    // Apply sunspot darkening
-    return mix(baseColor, spotColor, spotFactor * u_sunspotIntensity);
+// Convection cells: bright, hot centers and dark, cool lanes between them, -1 to 1.
+// Cells smaller than a pixel average out to 0 rather than flicker.
+float convection(vec3 p, float time) {
+    vec2 nearest = worley(p, time);
+    float cells = clamp((nearest.y - nearest.x) * 2.5, 0.0, 1.0) * 2.0 - 1.0;
+    float footprint = length(fwidth(p));
+    return cells * (1.0 - smoothstep(0.25, 0.6, footprint));
 }
 
-// Granulation effect (simulates convection cells on sun's surface)
-float granulation(vec3 p, float scale) {
-    // Use higher frequency noise for small-scale granulation
-    return noise(p * scale) * 0.2;
+// Active regions, where spots form: the large-scale pattern noise(direction * 3), thresholded
+// by the activity level, in the spot latitude belts. SolarActivity picks flare sites with a
+// copy of this, so keep the two in step.
+float activeRegion(vec3 direction) {
+    float threshold = 0.4 + 0.2 * u_activity;
+    float pattern = 1.0 - smoothstep(threshold - 0.05, threshold + 0.05, noise(direction * 3.0));
+    float latitude = abs(direction.y); // Sine of the latitude; y is the spin axis
+    return pattern * smoothstep(0.05, 0.12, latitude) * (1.0 - smoothstep(0.5, 0.65, latitude));
+}
+
+// Spot umbra (x) and penumbra (y) coverage inside active regions
+vec2 sunspots(vec3 direction, float active) {
+    float spots = noise(direction * 14.0 + 3.7);
+    float umbra = smoothstep(0.66, 0.69, spots);
+    float penumbra = smoothstep(0.6, 0.64, spots);
+    return active * vec2(umbra, penumbra);
+}
+
+vec3 blackbody(float temperature) {
+    float u = (temperature - u_blackbodyRange.x) / (u_blackbodyRange.y - u_blackbodyRange.x);
+    return texture2D(u_blackbody, vec2(clamp(u, 0.0, 1.0), 0.5)).rgb;
 }
 
 void main() {
+    #include <logdepthbuf_fragment>
+
     vec3 p = vPosition;
-    
-    // Apply fractal noise for surface texture with user-controlled parameters
-    float mainNoise = fBm(p, u_octaves, u_lacunarity, u_gain);
-    
-    // Generate sunspots
-    float spotFactor = sunspot(p, 0.6, 0.1);
-    
-    // Add granulation effect
-    float grain = granulation(p, 20.0);
-    mainNoise = mix(mainNoise, mainNoise * (1.0 - grain), 0.3);
-    
-    // Calculate final color with temperature mapping
-    vec3 color = temperatureMap(mainNoise, spotFactor);
-    
-    // Add glow effect using Fresnel
-    float fresnel = pow(1.0 - abs(dot(normalize(vNormal), normalize(vViewPosition))), 2.0);
-    color += vec3(1.0, 0.6, 0.3) * fresnel * 0.5;
-    
+    vec3 direction = normalize(p);
+    float mu = clamp(dot(normalize(vNormal), normalize(vViewPosition)), 0.0, 1.0); // Cosine of the angle from disk center
+
+    // Temperature field relative to the effective temperature: granules (about 1000 km across)
+    // on top of supergranules (about 30000 km) and slow large-scale mottling
+    float granules = convection(direction * u_granuleScale, u_time * 0.5);
+    float supergranules = convection(direction * u_supergranuleScale + 17.0, u_time * 0.05);
+    float mottling = fBm(p, u_octaves, u_lacunarity, u_gain) - 0.5;
+    float temperature = 1.0 + 0.03 * granules + 0.01 * supergranules + 0.02 * mottling;
+
+    // Faculae: active regions are a little hotter, which shows towards the limb
+    float active = activeRegion(direction);
+    temperature += 0.04 * active * (1.0 - mu);
+
+    // Spots: a cool umbra (about 0.68 of the effective temperature) inside a filamentary penumbra
+    vec2 spots = sunspots(direction, active) * u_sunspotIntensity;
+    float filaments = 0.97 + 0.06 * noise(direction * 160.0);
+    temperature = mix(temperature, 0.92 * filaments, spots.y);
+    temperature = mix(temperature, 0.68, spots.x);
+
+    // Surface brightness goes as T^4 (Stefan-Boltzmann), relative to an unspotted surface
+    float kelvin = temperature * u_temperature;
+    vec3 color = blackbody(kelvin) * pow(temperature, 4.0);
+
+    #ifdef MAX_FLARES
+    // Flares brighten active regions, strongest in ribbons over the spot penumbrae
+    float flare = 0.0;
+    for (int i = 0; i < MAX_FLARES; i++) {
+        vec4 site = u_flares[i];
+        if (site.w <= 0.0) continue;
+        vec3 offset = direction - site.xyz;
+        flare += site.w * exp(-dot(offset, offset) / 0.004);
+    }
+    color += vec3(1.0, 0.95, 0.85) * flare * (0.35 + 0.65 * max(spots.y - spots.x, 0.5 * active)) * (0.85 + 0.15 * granules);
+    #endif
+
+    // Limb darkening: we see shallower, cooler layers towards the edge of the disk
+    float edge = 1.0 - mu;
+    color *= max(1.0 - u_limbLinear * edge - u_limbQuadratic * edge * edge, 0.0);
+
     gl_FragColor = vec4(color, 1.0);
-} 
\ No newline at end of file
+}
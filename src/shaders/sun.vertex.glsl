@@ -1,3 +1,6 @@
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
 varying vec3 vPosition;
 varying vec3 vNormal;
 varying vec3 vViewPosition;
@@ -10,4 +13,6 @@ void main() {
     vViewPosition = -mvPosition.xyz;
     
     gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
 } 
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Central simulation clock
+//
+// Every animated quantity (orbits, spins, shader time) reads from one clock so the
+// simulation can be paused, sped up, reversed and scrubbed independently of frame rate.
+
+import { dateToJulian, julianToDate } from './ephemeris.js';
+
+const SECONDS_PER_DAY = 86400;
+const J2000 = 2451545.0;
+
+// Preset time rates in simulated seconds per real second
+export const TIME_RATES = {
+    '1 sec/s (real time)': 1,
+    '1 min/s': 60,
+    '1 hour/s': 3600,
+    '6 hours/s': 21600,
+    '1 day/s': SECONDS_PER_DAY,
+    '1 week/s': 7 * SECONDS_PER_DAY,
+    '1 month/s': 30.4375 * SECONDS_PER_DAY,
+    '1 year/s': 365.25 * SECONDS_PER_DAY
+};
+
+export class SimulationClock {
+    constructor({ date = new Date(), rate = SECONDS_PER_DAY, paused = false, reversed = false } = {}) {
+        this.julianDate = dateToJulian(date);
+        this.rate = rate; // Simulated seconds per real second (always positive)
+        this.paused = paused;
+        this.reversed = reversed;
+
+        // Cosmetic time for shader animation (surface noise, pulsation). It follows
+        // pause and direction but not the rate, so shaders stay smooth at any time warp.
+        this.shaderTime = 0;
+    }
+
+    // Advance by a real-time delta (seconds); returns the simulated delta in seconds
+    update(realDelta) {
+        if (this.paused) return 0;
+
+        const direction = this.reversed ? -1 : 1;
+        const simDelta = realDelta * this.rate * direction;
+
+        this.julianDate += simDelta / SECONDS_PER_DAY;
+        this.shaderTime += realDelta * direction;
+
+        return simDelta;
+    }
+
+    // Days elapsed since the J2000 epoch, used for spin and moon phase angles
+    get daysSinceJ2000() {
+        return this.julianDate - J2000;
+    }
+
+    getDate() {
+        return julianToDate(this.julianDate);
+    }
+
+    setDate(date) {
+        this.julianDate = dateToJulian(date);
+    }
+
+    play() {
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    toggle() {
+        this.paused = !this.paused;
+    }
+
+    reverse() {
+        this.reversed = !this.reversed;
+    }
+}
+
+// Rotation angle (radians) after `days` for a body with the given period in hours.
+// Negative periods rotate retrograde.
+export function rotationAngle(days, periodHours) {
+    const turns = (days * 24) / periodHours;
+    return (turns - Math.floor(turns)) * 2 * Math.PI;
+}
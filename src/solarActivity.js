@@ -0,0 +1,376 @@
+// Solar activity: looping prominences, flares and coronal mass ejections (CMEs).
+//
+// Events are spawned at random over active regions, which are picked from the same noise
+// patterns the sun shader uses for its active regions and spots, so flares light up the visible
+// spots. The shader's active regions follow `level` too.
+// Like the shader animation they run on the clock's shader time: they pause and play with the
+// simulation but don't speed up with the time rate. Events are drawn from a seeded PRNG and
+// spawned from that time alone, so the same steps after reset() give the same events.
+//
+// `level` runs from solar minimum (0) to maximum (1) and sets how often events happen and
+// how strong they are; `frequency` and `intensity` scale both on top of that.
+
+import * as THREE from 'three';
+import { createRandom, randomDirection } from './proceduralTextures.js';
+import prominenceVertexShader from './shaders/prominence.vertex.glsl?raw';
+import prominenceFragmentShader from './shaders/prominence.fragment.glsl?raw';
+
+export const MAX_FLARES = 8;
+const MAX_PROMINENCES = 6;
+const MAX_CMES = 3;
+const CME_PARTICLES = 1500;
+
+// Events per second at solar maximum with frequency 1
+const PROMINENCE_RATE = 0.15;
+const FLARE_RATE = 0.3;
+const CME_RATE = 0.03;
+const FLARE_CME_CHANCE = 0.5; // Chance that a strong flare launches a CME
+
+const SEED = 'solar activity';
+
+const PROMINENCE_COLOR = new THREE.Color(1.0, 0.35, 0.25); // Hydrogen-alpha red
+
+// Port of hash33() and noise() from sun.fragment.glsl, to find the shader's spots on the CPU
+const fract = x => x - Math.floor(x);
+
+function hash33(x, y, z) {
+    x = fract(x * 443.8975);
+    y = fract(y * 397.2973);
+    z = fract(z * 491.1871);
+    const d = z * (y + 19.27) + x * (x + 19.27) + y * (z + 19.27);
+    x += d;
+    y += d;
+    z += d;
+    return [fract(x * y), fract(z * x), fract(y * z)];
+}
+
+const quintic = t => t * t * t * (t * (t * 6 - 15) + 10);
+
+function noise(px, py, pz) {
+    const ix = Math.floor(px), iy = Math.floor(py), iz = Math.floor(pz);
+    const fx = px - ix, fy = py - iy, fz = pz - iz;
+    const corner = (cx, cy, cz) => {
+        const [hx, hy, hz] = hash33(ix + cx, iy + cy, iz + cz);
+        return hx * (fx - cx) + hy * (fy - cy) + hz * (fz - cz);
+    };
+    const ux = quintic(fx), uy = quintic(fy), uz = quintic(fz);
+    const mix = (a, b, t) => a + (b - a) * t;
+    const y1 = mix(mix(corner(0, 0, 0), corner(1, 0, 0), ux), mix(corner(0, 1, 0), corner(1, 1, 0), ux), uy);
+    const y2 = mix(mix(corner(0, 0, 1), corner(1, 0, 1), ux), mix(corner(0, 1, 1), corner(1, 1, 1), ux), uy);
+    return mix(y1, y2, uz) * 0.5 + 0.5;
+}
+
+// Peak brightness of an event: mostly small, now and then a big one
+const eventStrength = random => 0.2 + 0.8 * random() ** 3;
+
+export class SolarActivity {
+    // `sun` is the star's mesh (prominences ride on its surface), `sunMaterial` its shader
+    // material (flares are drawn by it), and CMEs are added to `scene` around the origin.
+    constructor({ sun, sunMaterial, scene, radius, level = 0.5, frequency = 1, intensity = 1 }) {
+        this.sun = sun;
+        this.radius = radius;
+        this.level = level;
+        this.frequency = frequency;
+        this.intensity = intensity;
+        this.enabled = { prominences: true, flares: true, cmes: true };
+
+        // Flare sites and brightness go straight to the sun shader
+        sunMaterial.defines = { ...sunMaterial.defines, MAX_FLARES };
+        sunMaterial.uniforms.u_flares = { value: Array.from({ length: MAX_FLARES }, () => new THREE.Vector4()) };
+        this._flareUniforms = sunMaterial.uniforms.u_flares.value;
+        this._activityUniform = sunMaterial.uniforms.u_activity = { value: level };
+        this.flares = []; // { site, slot, age, life, peak }
+
+        // Prominences reuse a few meshes; each new loop gets its own tube geometry
+        this.prominences = Array.from({ length: MAX_PROMINENCES }, () => {
+            const mesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.ShaderMaterial({
+                uniforms: {
+                    u_time: { value: 0 },
+                    u_progress: { value: 0 },
+                    u_opacity: { value: 0 },
+                    u_seed: { value: 0 },
+                    u_color: { value: PROMINENCE_COLOR.clone() }
+                },
+                vertexShader: prominenceVertexShader,
+                fragmentShader: prominenceFragmentShader,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            }));
+            mesh.visible = false;
+            sun.add(mesh);
+            return { mesh, age: 0, life: 0, peak: 0 };
+        });
+
+        // CMEs are particle shells; positions are rewritten as they expand
+        this.cmes = Array.from({ length: MAX_CMES }, () => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(CME_PARTICLES * 3), 3));
+            const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+                color: 0xffc890,
+                size: 0.05,
+                sizeAttenuation: true,
+                transparent: true,
+                opacity: 0,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            }));
+            points.visible = false;
+            points.frustumCulled = false; // The shell outgrows its bounding sphere
+            scene.add(points);
+            return {
+                points,
+                directions: new Float32Array(CME_PARTICLES * 3),
+                shell: new Float32Array(CME_PARTICLES),
+                axis: new THREE.Vector3(), // Launch direction in the scene
+                width: 0, // Half-angle of the cone, radians
+                distance: 0, // Current distance of the front from the star
+                age: 0,
+                travel: 0,
+                peak: 0
+            };
+        });
+
+        this.time = 0;
+        this.reset();
+    }
+
+    // Restart the event sequence from the seed. Events in progress carry on.
+    reset() {
+        this.random = createRandom(SEED);
+        // Expected number of events still to come before the next one of each kind
+        this._waits = {};
+        Object.keys(this.enabled).forEach(kind => this._waits[kind] = this._drawWait());
+    }
+
+    // Every mesh and point cloud, for render layers
+    get objects() {
+        return [...this.prominences.map(({ mesh }) => mesh), ...this.cmes.map(({ points }) => points)];
+    }
+
+    // Switch 'prominences', 'flares' or 'cmes' on or off; switching off clears the ones in progress
+    setEnabled(kind, enabled) {
+        this.enabled[kind] = enabled;
+        if (enabled) return;
+        if (kind === 'prominences') this.prominences.forEach(prominence => this._endProminence(prominence));
+        if (kind === 'flares') this.flares.slice().forEach(flare => this._endFlare(flare));
+        if (kind === 'cmes') this.cmes.forEach(cme => this._endCme(cme));
+    }
+
+    // Advance by `deltaTime` seconds of shader time. `reach` is how far from the star (in scene
+    // units) CMEs travel before they fade out, past the outermost planet.
+    update(deltaTime, reach) {
+        const dt = Math.abs(deltaTime); // Runs forwards when the clock is reversed too
+        this.time += dt;
+        this._activityUniform.value = this.level;
+
+        // Quiet at minimum but never entirely so; strong events get much rarer towards minimum
+        const activity = 0.1 + 0.9 * this.level;
+        this._spawn('prominences', PROMINENCE_RATE * activity * dt, () => this.launchProminence());
+        this._spawn('flares', FLARE_RATE * activity * activity * dt, () => this.launchFlare());
+        this._spawn('cmes', CME_RATE * activity * activity * dt, () => this.launchCme());
+
+        this._updateProminences(dt);
+        this._updateFlares(dt);
+        this._updateCmes(dt, reach);
+    }
+
+    // Launch events of one kind as a Poisson process: `expected` events are due over this step,
+    // and one is launched each time their running total passes the next exponential wait, so
+    // how the time is cut into frames doesn't change what happens
+    _spawn(kind, expected, launch) {
+        if (!this.enabled[kind]) return;
+        this._waits[kind] -= expected * this.frequency;
+        while (this._waits[kind] <= 0) {
+            launch();
+            this._waits[kind] += this._drawWait();
+        }
+    }
+
+    _drawWait() {
+        return -Math.log(1 - this.random());
+    }
+
+    // A site on the star's surface in its own (rotating) frame: a spot in an active region, both
+    // found as the sun shader finds them. Active regions lie in latitude belts between about
+    // 5 and 35 degrees and cover more of them as activity rises.
+    activeRegion(target = new THREE.Vector3()) {
+        const threshold = 0.4 + 0.2 * this.level;
+        let best = Infinity;
+        for (let i = 0; i < 48; i++) {
+            const y = THREE.MathUtils.lerp(0.1, 0.55, this.random()) * (this.random() < 0.5 ? -1 : 1); // Sine of the latitude
+            const longitude = this.random() * Math.PI * 2;
+            const x = Math.sqrt(1 - y * y) * Math.cos(longitude);
+            const z = -Math.sqrt(1 - y * y) * Math.sin(longitude);
+
+            // Inside an active region (noise(direction * 3) under the threshold), aim for the
+            // spot penumbra where noise(direction * 14 + 3.7) is around 0.64; outside, for the
+            // nearest region edge
+            const region = noise(x * 3, y * 3, z * 3) - threshold;
+            const score = region < 0 ? Math.abs(noise(x * 14 + 3.7, y * 14 + 3.7, z * 14 + 3.7) - 0.64) : 1 + region;
+            if (score < best) {
+                best = score;
+                target.set(x, y, z);
+            }
+        }
+        return target;
+    }
+
+    // How strongly CMEs are sweeping over a point in the scene right now, 0 when none is
+    stormAt(position) {
+        const distance = position.length();
+        let storm = 0;
+        this.cmes.forEach(cme => {
+            if (!cme.points.visible || cme.axis.angleTo(position) > cme.width) return;
+            // Most of the shell lies between about 65% and 100% of the front's distance
+            const inside = 1 - Math.abs(distance / cme.distance - 0.85) / 0.2;
+            if (inside > 0) storm += cme.peak * this.intensity * inside;
+        });
+        return Math.min(storm, 1);
+    }
+
+    launchProminence() {
+        const prominence = this.prominences.find(({ mesh }) => !mesh.visible);
+        if (!prominence) return;
+
+        // A loop between two footpoints straddling the active region
+        const center = this.activeRegion();
+        const across = randomDirection(this.random, new THREE.Vector3()).cross(center).normalize();
+        const span = THREE.MathUtils.degToRad(3 + this.random() * 7);
+        const height = 0.08 + this.random() * 0.25;
+        const lean = (this.random() - 0.5) * 0.4; // Loops rarely stand straight up
+        const sideways = new THREE.Vector3().crossVectors(center, across);
+
+        const points = [];
+        for (let i = 0; i <= 16; i++) {
+            const t = i / 16;
+            const arch = Math.sin(Math.PI * t);
+            const direction = center.clone().applyAxisAngle(sideways, (t - 0.5) * span);
+            const offset = sideways.clone().multiplyScalar(lean * arch * height);
+            points.push(direction.multiplyScalar(1 + height * arch).add(offset).multiplyScalar(this.radius));
+        }
+
+        const { mesh } = prominence;
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), 64, this.radius * (0.008 + this.random() * 0.01), 8);
+        mesh.material.uniforms.u_seed.value = this.random() * 100;
+        mesh.visible = true;
+        prominence.age = 0;
+        prominence.life = 8 + this.random() * 12;
+        prominence.peak = eventStrength(this.random);
+    }
+
+    launchFlare() {
+        const used = new Set(this.flares.map(flare => flare.slot));
+        const slot = [...Array(MAX_FLARES).keys()].find(i => !used.has(i));
+        if (slot === undefined) return;
+
+        const flare = { site: this.activeRegion(), slot, age: 0, life: 2 + this.random() * 4, peak: eventStrength(this.random) };
+        this.flares.push(flare);
+
+        // Strong flares often throw off a CME from the same region
+        if (flare.peak > 0.6 && this.enabled.cmes && this.random() < FLARE_CME_CHANCE) {
+            this.launchCme(flare.site);
+        }
+    }
+
+    // `site` is a direction in the star's frame; defaults to an active region
+    launchCme(site = this.activeRegion()) {
+        const cme = this.cmes.find(({ points }) => !points.visible);
+        if (!cme) return;
+
+        // A cone of material around the launch direction, now fixed in space
+        this.sun.updateWorldMatrix(true, false);
+        const axis = cme.axis.copy(site).transformDirection(this.sun.matrixWorld);
+        const width = cme.width = THREE.MathUtils.degToRad(20 + this.random() * 40);
+        const tangent = randomDirection(this.random, new THREE.Vector3()).cross(axis).normalize();
+        const direction = new THREE.Vector3();
+        for (let i = 0; i < CME_PARTICLES; i++) {
+            // Denser towards the rim, bulging forwards in the middle like a flux rope's front
+            const angle = width * Math.sqrt(this.random());
+            direction.copy(axis).applyAxisAngle(tangent, angle).applyAxisAngle(axis, this.random() * Math.PI * 2);
+            direction.toArray(cme.directions, i * 3);
+            const front = 1 - 0.3 * (angle / width) ** 2;
+            cme.shell[i] = front * (0.85 + 0.15 * this.random());
+        }
+
+        cme.points.visible = true;
+        cme.age = 0;
+        cme.travel = 6 + this.random() * 6;
+        cme.peak = eventStrength(this.random);
+    }
+
+    _updateProminences(dt) {
+        this.prominences.forEach(prominence => {
+            const { mesh } = prominence;
+            if (!mesh.visible) return;
+            prominence.age += dt;
+            const t = prominence.age / prominence.life;
+            if (t >= 1) {
+                this._endProminence(prominence);
+                return;
+            }
+
+            // Fill the loop over the first quarter of its life, fade out over the last third
+            const { uniforms } = mesh.material;
+            uniforms.u_time.value = this.time;
+            uniforms.u_progress.value = Math.min(1.1, t / 0.25);
+            uniforms.u_opacity.value = this.intensity * prominence.peak * Math.min(1, (1 - t) / 0.33);
+        });
+    }
+
+    _updateFlares(dt) {
+        this._flareUniforms.forEach(uniform => uniform.setW(0));
+        this.flares.slice().forEach(flare => {
+            flare.age += dt;
+            const t = flare.age / flare.life;
+            if (t >= 1) {
+                this._endFlare(flare);
+                return;
+            }
+
+            // Sharp rise, slow exponential decay
+            const brightness = t < 0.1 ? t / 0.1 : Math.exp(-(t - 0.1) * 5);
+            const { x, y, z } = flare.site;
+            this._flareUniforms[flare.slot].set(x, y, z, 3 * this.intensity * flare.peak * brightness);
+        });
+    }
+
+    _updateCmes(dt, reach) {
+        const start = this.radius * this.sun.parent.scale.x;
+        this.cmes.forEach(cme => {
+            const { points } = cme;
+            if (!points.visible) return;
+            cme.age += dt;
+            const t = cme.age / cme.travel;
+            if (t >= 1) {
+                this._endCme(cme);
+                return;
+            }
+
+            // Expand at a steady speed, thinning out as it goes
+            const distance = cme.distance = start + (reach - start) * t;
+            const positions = points.geometry.attributes.position;
+            for (let i = 0; i < CME_PARTICLES; i++) {
+                const r = distance * cme.shell[i];
+                positions.setXYZ(i, cme.directions[i * 3] * r, cme.directions[i * 3 + 1] * r, cme.directions[i * 3 + 2] * r);
+            }
+            positions.needsUpdate = true;
+            points.material.size = start * 0.05 + distance * 0.01;
+            points.material.opacity = this.intensity * cme.peak * Math.min(1, t / 0.05) * (1 - t) ** 1.5;
+        });
+    }
+
+    _endProminence(prominence) {
+        prominence.mesh.visible = false;
+    }
+
+    _endFlare(flare) {
+        this._flareUniforms[flare.slot].setW(0);
+        this.flares.splice(this.flares.indexOf(flare), 1);
+    }
+
+    _endCme(cme) {
+        cme.points.visible = false;
+    }
+}
@@ -0,0 +1,1748 @@
+// Embeddable solar system scene
+//
+// Usage:
+//   const solarSystem = new SolarSystem(container, { gui: true });
+//   await solarSystem.ready;
+//   solarSystem.focusBody('Jupiter');
+//   solarSystem.on('select', body => console.log(body && body.name));
+//   solarSystem.dispose();
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+
+// Import shaders
+import sunVertexShader from './shaders/sun.vertex.glsl?raw';
+import sunFragmentShader from './shaders/sun.fragment.glsl?raw';
+import coronaVertexShader from './shaders/corona.vertex.glsl?raw';
+import coronaFragmentShader from './shaders/corona.fragment.glsl?raw';
+import atmosphereVertexShader from './shaders/atmosphere.vertex.glsl?raw';
+import atmosphereFragmentShader from './shaders/atmosphere.fragment.glsl?raw';
+
+import { AU_IN_KM, heliocentricPosition, eclipticToScene, orbitalPeriod, orbitalSpeed } from './ephemeris.js';
+import { SimulationClock, TIME_RATES, rotationAngle } from './simulationClock.js';
+import { createInfoCard, CameraFocus } from './selection.js';
+import { sampleOrbit, sampleCircle, createOrbitLine, createAxisHelper, OrbitTrail } from './orbitPaths.js';
+import { loadSystem, parseSystem, createBodies, equatorialFrame, moonOrbitAngles, setDetailMaps, scaleBumpMap, DEFAULT_SYSTEM_URL } from './systemLoader.js';
+import { createControlPanel } from './controlPanel.js';
+import { syncDayNightLighting } from './dayNightMaterial.js';
+import { addEclipseShadows, updateEclipseShadows } from './eclipseShadows.js';
+import { findEclipse } from './eclipseFinder.js';
+import { SolarActivity } from './solarActivity.js';
+import { blackbodyColor, createBlackbodyTexture, BLACKBODY_MIN, BLACKBODY_MAX, GRANULE_SIZE_KM, SUPERGRANULE_SIZE_KM } from './stellarSurface.js';
+import { SpaceWeather } from './spaceWeather.js';
+import { StarField, loadStarCatalog, parseStarCatalog, DEFAULT_STAR_CATALOG_URL } from './starCatalog.js';
+import { Environment, DEFAULT_ENVIRONMENTS } from './environment.js';
+import { AssetLoader } from './assetLoader.js';
+import { flattenParams } from './viewState.js';
+import { createRandom } from './proceduralTextures.js';
+import { CameraTour } from './cameraTour.js';
+import { ScaleModel, ScaleTransition } from './scaleModes.js';
+
+// Set up layer system for selective bloom
+// Layer 0: Default - everything
+// Layer 1: Objects that get bloom effect (sun, planets, stars)
+const BLOOM_LAYER = 1;
+
+// Clicks this close (in pixels) to a body's center select it even when they miss its mesh
+const PICK_RADIUS = 8;
+
+const _bodyPosition = new THREE.Vector3();
+const _starScale = new THREE.Vector3();
+
+// Whether an object and all of its ancestors are visible
+function isShown(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+const DEFAULT_OPTIONS = {
+    system: DEFAULT_SYSTEM_URL, // URL of a system file, or an already parsed definition object
+    starCatalog: DEFAULT_STAR_CATALOG_URL, // URL of a star catalog, a parsed catalog object, or null for no stars
+    environments: DEFAULT_ENVIRONMENTS, // Backgrounds to pick from; the first is shown
+    textureTier: '1k', // Resolution tier (see `npm run assets`) loaded first and swapped for the full textures up close, or null
+    gui: true, // Show the lil-gui control panel
+    date: null, // Initial simulation date (defaults to now)
+    timeRate: TIME_RATES['1 day/s'],
+    autoResize: true, // Follow the container's size
+    maxPixelRatio: 2
+};
+
+export class SolarSystem {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.disposed = false;
+
+        this._listeners = {};
+        this._cleanups = []; // Functions that detach DOM listeners and observers
+        this._frameId = null;
+        this._texturesHeld = false; // See holdTextures()
+
+        // Resolves with this instance once the system has loaded and the first frame is scheduled
+        this.ready = this._init().then(() => {
+            this._emit('ready', this);
+            return this;
+        }, error => {
+            this._emit('error', error);
+            throw error;
+        });
+    }
+
+    // ---- Public API ----
+
+    // Subscribe to 'ready', 'error', 'select' (body info or null), 'change' ({ path, value }), 'time' (Date),
+    // 'progress' ({ url, loaded, total } as textures load), 'loaded' (getFailedAssets() once the first
+    // textures are in) or 'dispose'.
+    // Returns a function that removes the listener.
+    on(event, callback) {
+        (this._listeners[event] = this._listeners[event] || []).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const listeners = this._listeners[event];
+        if (listeners) {
+            this._listeners[event] = listeners.filter(listener => listener !== callback);
+        }
+    }
+
+    // Jump the simulation clock to a date (a Date, or a string or timestamp it can parse)
+    setTime(date) {
+        const time = date instanceof Date ? date : new Date(date);
+        if (!Number.isFinite(time.getTime())) {
+            throw new RangeError(`Invalid date "${date}"`);
+        }
+        this.simClock.setDate(time);
+        // Move the bodies now so anything reading their positions before the next frame sees the new date
+        this._updateBodies(this.simClock.daysSinceJ2000);
+        this._clearTrails();
+        this._emit('time', this.simClock.getDate());
+    }
+
+    getTime() {
+        return this.simClock.getDate();
+    }
+
+    // Next 'solar' or 'lunar' eclipse of Earth and the Moon after the simulation date:
+    // { type, kind, date }, or null if there is none in the next few years
+    findEclipse(type = 'solar') {
+        return findEclipse(this.system, this.getTime(), { type });
+    }
+
+    // Jump to the next eclipse and look at it: from Earth's side for a solar eclipse, at the Moon for a lunar one
+    jumpToEclipse(type = 'solar') {
+        const eclipse = this.findEclipse(type);
+        if (!eclipse) return null;
+        this.setTime(eclipse.date);
+        this.focusBody(type === 'solar' ? 'Earth' : 'Moon');
+        return eclipse;
+    }
+
+    play() {
+        this.setParam('playing', true);
+    }
+
+    pause() {
+        this.setParam('playing', false);
+    }
+
+    // Simulated seconds per real second
+    setTimeRate(rate) {
+        this.setParam('timeRate', rate);
+    }
+
+    // Textures that couldn't be loaded so far, as { url, subject, fallback }
+    getFailedAssets() {
+        return this.assets ? this.assets.failures.slice() : [];
+    }
+
+    // Names of every selectable body, star first
+    getBodyNames() {
+        return this.selectableBodies.map(body => body.data.name);
+    }
+
+    // Select a body by name and fly the camera to it; pass null to release the camera.
+    // `camera` is 'fly', 'follow' (follow from where the camera is now) or 'none' (select only).
+    focusBody(name, { camera = 'fly' } = {}) {
+        if (name === null || name === undefined) {
+            this._deselectBody();
+            return;
+        }
+
+        const body = this.selectableBodies.find(entry => entry.data.name === name);
+        if (!body) {
+            throw new Error(`Unknown body "${name}"`);
+        }
+        this._selectBody(body, camera);
+    }
+
+    // Hand the camera to an object with an update(deltaTime) method (e.g. a CameraTour),
+    // or pass null to give it back to OrbitControls
+    setCameraDriver(driver) {
+        if (driver === this.cameraDriver) return;
+        this.cameraDriver = driver;
+
+        if (driver) {
+            this.cameraFocus.release();
+            this.controls.enabled = false;
+        } else {
+            // OrbitControls picks up from wherever the driver left the camera and target
+            this.controls.enabled = true;
+            this.controls.update();
+        }
+    }
+
+    // Snapshot of everything needed to reproduce the current view
+    getState() {
+        return {
+            params: JSON.parse(JSON.stringify(this.params)),
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray(),
+                fov: this.camera.fov
+            },
+            date: this.getTime().toISOString(),
+            selected: this.selectedBody ? this.selectedBody.data.name : null
+        };
+    }
+
+    // Apply a full or partial getState() snapshot. Unknown or invalid entries are skipped with a warning.
+    setState(state) {
+        if (state.params) {
+            // Paths come out in params order, so "show all" toggles apply before the per-body ones
+            Object.entries(flattenParams(state.params)).forEach(([path, value]) => {
+                if (JSON.stringify(this.getParam(path)) === JSON.stringify(value)) return;
+                try {
+                    this.setParam(path, value);
+                } catch (e) {
+                    console.warn(`Skipping saved setting: ${e.message}`);
+                }
+            });
+
+            // Jump straight to a restored scale mode so the saved camera matches it
+            if (this.scaleTransition.active) {
+                this.scaleTransition.finish();
+                this._applyScale();
+            }
+        }
+
+        if (state.date) {
+            const date = new Date(state.date);
+            if (isNaN(date.getTime())) {
+                console.warn(`Skipping invalid saved date "${state.date}"`);
+            } else {
+                this.setTime(date);
+            }
+        }
+
+        if (state.selected !== undefined) {
+            try {
+                this.focusBody(state.selected, { camera: 'follow' });
+            } catch (e) {
+                console.warn(`Skipping saved selection: ${e.message}`);
+            }
+        }
+
+        if (state.camera) {
+            this.camera.position.fromArray(state.camera.position);
+            this.controls.target.fromArray(state.camera.target);
+            this.camera.fov = state.camera.fov;
+            this.camera.updateProjectionMatrix();
+            this.controls.update();
+        }
+    }
+
+    getParam(path) {
+        return path.split('.').reduce((value, key) => (value === undefined ? undefined : value[key]), this.params);
+    }
+
+    // Set a parameter by dotted path, e.g. 'bloomStrength', 'visibility.Mars' or 'orbits.Earth.color'.
+    // With `preview`, slow updates that can wait (the planets' sky reflections) are left until the
+    // parameter is set again without it, as the panel does when a slider is released.
+    setParam(path, value, { preview = false } = {}) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), this.params);
+
+        if (!target || typeof target !== 'object' || !(last in target)) {
+            throw new Error(`Unknown parameter "${path}"`);
+        }
+
+        target[last] = value;
+        this._applyParam([...keys, last], value, preview);
+        this._emit('change', { path, value });
+    }
+
+    // Match the renderer to the container size (or to an explicit size)
+    resize(width, height) {
+        // A fixed render size (see setRenderSize) wins over container changes
+        if (this._fixedRenderSize) return;
+
+        if (width === undefined || height === undefined) {
+            ({ width, height } = this._getContainerSize());
+        }
+        if (width === 0 || height === 0) return;
+
+        this._setSize(width, height, Math.min(window.devicePixelRatio, this.options.maxPixelRatio), true);
+    }
+
+    // Render at an exact pixel size regardless of the container, e.g. for exports.
+    // The canvas keeps its on-page size and shows a scaled preview.
+    setRenderSize(width, height) {
+        this._fixedRenderSize = true;
+        this._setSize(width, height, 1, false);
+    }
+
+    // Go back to following the container's size
+    clearRenderSize() {
+        this._fixedRenderSize = false;
+        this.resize();
+    }
+
+    // Stop the requestAnimationFrame loop, e.g. while frames are stepped by hand with step()
+    stopAnimation() {
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+    }
+
+    startAnimation() {
+        if (this._frameId !== null || this.disposed) return;
+        this.clock.getDelta(); // Don't count the time spent stopped as one long frame
+        this._animate();
+    }
+
+    // Advance the simulation by a fixed number of real seconds and render one frame.
+    // Scene motion depends only on deltaTime, so the same steps give the same frames.
+    step(deltaTime) {
+        this._advance(deltaTime);
+        this._render();
+    }
+
+    // Keep textures as they are while frames are stepped by hand, e.g. for exports: first bring in
+    // the full textures the current view needs at the current render size, then stop swapping in
+    // more. Resolves once those and the background have loaded. releaseTextures() undoes it.
+    async holdTextures() {
+        this._updateTextureDetail();
+        this._texturesHeld = true;
+        await this.environment.ready();
+        await this.assets.idle();
+    }
+
+    releaseTextures() {
+        this._texturesHeld = false;
+    }
+
+    // Restart the random sequences behind solar activity and shooting stars, so that the same
+    // steps from the same state give the same frames
+    reseed() {
+        this.solarActivity.reset();
+        this._shootingStarRandom = createRandom('shooting stars');
+    }
+
+    // Stop rendering and release every GPU resource, DOM element and listener
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+
+        this.stopAnimation();
+        this._cleanups.forEach(cleanup => cleanup());
+        this._cleanups = [];
+        this._emit('dispose', this);
+        this._listeners = {};
+
+        // Nothing else to release if disposed while the system file was still loading
+        if (!this.renderer) return;
+
+        if (this.gui) this.gui.destroy();
+        this.controls.dispose();
+        this.infoCard.element.remove();
+
+        // Geometries, materials and textures in the scene graph
+        const textures = new Set();
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.filter(Boolean).forEach(material => {
+                // Detail maps may be switched off, so collect them from where they are kept
+                [...Object.values(material), ...Object.values(material.userData.detailMaps || {})].forEach(value => {
+                    if (value && value.isTexture) textures.add(value);
+                });
+                if (material.uniforms) {
+                    Object.values(material.uniforms).forEach(uniform => {
+                        if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+                    });
+                }
+                material.dispose();
+            });
+        });
+        textures.forEach(texture => texture.dispose());
+        this.shootingStars.forEach(starObj => starObj.trail.geometry.dispose());
+        Object.values(this.orbitTrails).forEach(trail => trail.dispose());
+
+        this.environment.dispose();
+        this.assets.dispose();
+
+        // Post-processing targets and passes
+        this.darkMaterial.dispose();
+        this.bloomPass.dispose();
+        this.finalPass.material.dispose();
+        this.finalPass.fsQuad.dispose();
+        [this.bloomComposer, this.composer].forEach(composer => {
+            composer.renderTarget1.dispose();
+            composer.renderTarget2.dispose();
+        });
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+
+    // ---- Setup ----
+
+    async _loadStarCatalog() {
+        const { starCatalog } = this.options;
+        if (!starCatalog) return null;
+        try {
+            return typeof starCatalog === 'string' ? await loadStarCatalog(starCatalog) : parseStarCatalog(starCatalog);
+        } catch (e) {
+            console.warn('Could not load the star catalog, the sky will have no stars:', e.message, e.errors || '');
+            return null;
+        }
+    }
+
+    async _init() {
+        const { system: systemSource } = this.options;
+
+        // Load the system definition (star, bodies, moons, rings) before building the scene
+        this.system = typeof systemSource === 'string' ? await loadSystem(systemSource) : parseSystem(systemSource);
+        if (this.disposed) return;
+        this.star = this.system.star;
+        console.log(`System "${this.system.name}" loaded`);
+
+        // Stars for the sky; without them it is empty
+        this.starCatalog = await this._loadStarCatalog();
+        if (this.disposed) return;
+
+        // Single simulation clock driving orbits, spins and shader time
+        this.simClock = new SimulationClock({ date: this.options.date || new Date(), rate: this.options.timeRate });
+
+        this._createRenderer();
+        this._createEnvironment();
+        this._createStar();
+
+        // Create planets, rings and moons from the system definition.
+        // Planet orbitalRadius is the scene-space semi-major axis; positions come from the orbital elements.
+        // rotationPeriod is the sidereal day in hours (negative for retrograde rotation).
+        this.planets = createBodies(this.system, this.scene, this.assets);
+        this._moonOrbitRadii = {}; // Scene radius of each moon's mean orbit, set by _applyScale
+
+        // Artistic, logarithmic or true-scale placement of everything above
+        this.scaleModel = new ScaleModel(this.system);
+        this.scaleTransition = new ScaleTransition(this.scaleModel, 'artistic');
+
+        this._createOrbitPaths();
+        this._createAxisHelpers();
+        this._createAtmospheres();
+        this._createEclipseShadows();
+        this._createSpaceWeather();
+        this._createStarField();
+        this._createShootingStars();
+        this._setupBloomLayers();
+        this._createPostProcessing();
+        this._createParams();
+        this._setupSelection();
+        this._applyScale();
+
+        // Camera tour player; empty until a tour is loaded or recorded
+        this.cameraDriver = null; // Set while something other than OrbitControls moves the camera
+        this.tour = new CameraTour(this);
+
+        if (this.options.gui) {
+            this.gui = createControlPanel(this);
+        }
+
+        if (this.options.autoResize) {
+            this._observeResize();
+        }
+
+        this.clock = new THREE.Clock(); // Add Three.js Clock for delta time
+        this._eclipticPosition = { x: 0, y: 0, z: 0 }; // Reused ephemeris output
+        this._animate();
+        console.log('Animation loop started');
+
+        // The scene is up with placeholders and fallbacks; report once the textures are in
+        this.assets.idle().then(() => {
+            if (!this.disposed) this._emit('loaded', this.getFailedAssets());
+        });
+    }
+
+    _setSize(width, height, pixelRatio, updateStyle) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        // Update renderer and composers
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, updateStyle);
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(width, height);
+        this.bloomComposer.setPixelRatio(pixelRatio);
+        this.bloomComposer.setSize(width, height);
+        this.bloomPass.resolution.set(width, height);
+        this.spaceWeather.setPixelRatio(pixelRatio);
+        this.starField.setPixelRatio(pixelRatio);
+    }
+
+    _getContainerSize() {
+        // The page body usually has no intrinsic height, so use the window for it
+        if (this.container === document.body) {
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        return { width: this.container.clientWidth, height: this.container.clientHeight };
+    }
+
+    // Listen on a DOM target and remember how to detach on dispose
+    _listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this._cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    _observeResize() {
+        if (this.container === document.body || typeof ResizeObserver === 'undefined') {
+            this._listen(window, 'resize', () => this.resize());
+        } else {
+            const observer = new ResizeObserver(() => this.resize());
+            observer.observe(this.container);
+            this._cleanups.push(() => observer.disconnect());
+        }
+    }
+
+    _createRenderer() {
+        const { width, height } = this._getContainerSize();
+
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x000000); // Shown until the environment loads, and without one
+
+        // Camera. The near plane is tiny so true-scale planets can be approached;
+        // the logarithmic depth buffer keeps depth precise from there out to the sky.
+        this.camera = new THREE.PerspectiveCamera(75, width / height, 1e-6, 1000);
+        this.camera.position.z = 5;
+
+        // Create renderer
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            logarithmicDepthBuffer: true,
+            powerPreference: 'high-performance' // Enable high-performance rendering
+        });
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.options.maxPixelRatio));
+        // Enable tone mapping for better HDR visuals
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = 0.8;
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+
+        // The info card is positioned inside the container
+        if (this.container !== document.body && getComputedStyle(this.container).position === 'static') {
+            this.container.style.position = 'relative';
+        }
+        this.container.appendChild(this.renderer.domElement);
+
+        // Add OrbitControls
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.minDistance = 2;
+        this.controls.maxDistance = 40; // Far enough to take in the whole system out to Neptune
+
+        // Camera flights to selected bodies
+        this.cameraFocus = new CameraFocus(this.camera, this.controls);
+    }
+
+    _createEnvironment() {
+        const { scene, star } = this;
+
+        // Lighting for PBR materials
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
+        scene.add(this.ambientLight);
+
+        // Point light from the sun
+        this.sunLight = new THREE.PointLight(0xffffff, star.light.intensity, star.light.distance);
+        this.sunLight.position.set(0, 0, 0);
+        scene.add(this.sunLight);
+
+        // Textures go through one loading manager, for the progress events and the list of failures
+        this.assets = new AssetLoader({
+            tier: this.options.textureTier,
+            onProgress: progress => this._emit('progress', progress)
+        });
+
+        // Background, by default the Milky Way panorama lined up with the star catalog. It loads
+        // in the background; the black background stays until it arrives.
+        this.environment = new Environment({ renderer: this.renderer, scene, environments: this.options.environments, assets: this.assets });
+        this.environment.tint.set(0xffd28a); // Warm golden tint
+        if (this.environment.names.length) this.environment.show(this.environment.names[0]);
+    }
+
+    _createStar() {
+        const { star } = this;
+
+        // Star sphere shaded as a blackbody at its effective temperature, with granulation,
+        // spots and limb darkening
+        this.sunMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                u_time: { value: 0.0 },
+                u_octaves: { value: star.shader.octaves },
+                u_lacunarity: { value: star.shader.lacunarity },
+                u_gain: { value: star.shader.gain },
+                u_rotationSpeed: { value: star.shader.rotationSpeed },
+                u_sunspotIntensity: { value: star.shader.sunspotIntensity },
+                u_temperature: { value: star.temperature },
+                u_blackbody: { value: createBlackbodyTexture() },
+                u_blackbodyRange: { value: new THREE.Vector2(BLACKBODY_MIN, BLACKBODY_MAX) },
+                u_limbLinear: { value: new THREE.Vector3(...star.limbDarkening.linear) },
+                u_limbQuadratic: { value: new THREE.Vector3(...star.limbDarkening.quadratic) },
+                u_granuleScale: { value: star.radiusKm / GRANULE_SIZE_KM },
+                u_supergranuleScale: { value: star.radiusKm / SUPERGRANULE_SIZE_KM }
+            },
+            vertexShader: sunVertexShader,
+            fragmentShader: sunFragmentShader,
+            extensions: { derivatives: true } // Granules fade out when smaller than a pixel
+        });
+        this.sun = new THREE.Mesh(new THREE.SphereGeometry(star.radius, 128, 128), this.sunMaterial);
+
+        // The star and corona are sized together by the scale mode and tilted to the star's pole
+        this.starGroup = new THREE.Group();
+        equatorialFrame(star.spinAxis, this.starGroup.quaternion);
+        this.starGroup.add(this.sun);
+        this.scene.add(this.starGroup);
+
+        // Raymarched corona with streamers, helmets and polar plumes out to `corona.size` star
+        // radii. The sphere only bounds it: back faces, so it still draws with the camera inside.
+        this.coronaMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                u_time: { value: 0.0 },
+                u_coronaSize: { value: star.corona.size },
+                u_coronaIntensity: { value: star.corona.intensity },
+                u_pulsationSpeed: { value: star.corona.pulsationSpeed },
+                u_coronaColor: { value: new THREE.Vector3() }, // From the star's temperature
+                u_worldToStar: { value: new THREE.Matrix4() } // Set each frame by _updateCorona()
+            },
+            vertexShader: coronaVertexShader,
+            fragmentShader: coronaFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            side: THREE.BackSide,
+            depthWrite: false, // Important for additive blending effects
+            extensions: { derivatives: true } // Fine rays fade out when smaller than a pixel
+        });
+        this.corona = new THREE.Mesh(new THREE.SphereGeometry(star.radius, 64, 64), this.coronaMaterial);
+        this.corona.scale.setScalar(star.corona.size);
+        this.starGroup.add(this.corona);
+
+        // Prominences, flares and coronal mass ejections
+        this.solarActivity = new SolarActivity({
+            sun: this.sun,
+            sunMaterial: this.sunMaterial,
+            scene: this.scene,
+            radius: star.radius,
+            ...star.activity
+        });
+
+        // The corona follows the same activity level as the spots
+        this.coronaMaterial.uniforms.u_activity = this.sunMaterial.uniforms.u_activity;
+
+        this._applyStarTemperature(star.temperature);
+    }
+
+    // The star's surface, its light and its corona all take the blackbody color of `temperature` kelvin
+    _applyStarTemperature(temperature) {
+        const color = blackbodyColor(temperature);
+        this.sunMaterial.uniforms.u_temperature.value = temperature;
+        this.sunLight.color.copy(color);
+        this.coronaMaterial.uniforms.u_coronaColor.value.set(color.r, color.g, color.b);
+    }
+
+    _createOrbitPaths() {
+        this.orbitLines = {};
+        this.orbitTrails = {};
+        this._orbitSamples = {}; // Planet orbit points in AU; _applyScale maps them into the scene
+
+        this.planets.forEach(({ object, frame, data, orbit }) => {
+            if (orbit) {
+                // Moon: a unit circle in its orbit plane, scaled to the orbit radius by _applyScale
+                this.orbitLines[data.name] = createOrbitLine(sampleCircle(1), { color: data.color });
+                orbit.parent.add(this.orbitLines[data.name]);
+                this.orbitTrails[data.name] = new OrbitTrail(object, { origin: frame, color: data.color });
+            } else {
+                this._orbitSamples[data.name] = sampleOrbit(data.elements, this.simClock.julianDate, 1);
+                this.orbitLines[data.name] = createOrbitLine(this._orbitSamples[data.name], { color: data.color });
+                this.scene.add(this.orbitLines[data.name]);
+                this.orbitTrails[data.name] = new OrbitTrail(object, { color: data.color });
+            }
+
+            this.orbitTrails[data.name].line.visible = false;
+            this.scene.add(this.orbitTrails[data.name].line);
+        });
+    }
+
+    // Hidden spin axis and equator helpers, one per planet
+    _createAxisHelpers() {
+        this.axisHelpers = {};
+        this.planets.filter(({ orbit }) => !orbit).forEach(({ frame, data }) => {
+            this.axisHelpers[data.name] = createAxisHelper(data.radius);
+            this.axisHelpers[data.name].visible = false;
+            frame.add(this.axisHelpers[data.name]);
+        });
+    }
+
+    // Scattering shells for planets with an atmosphere, lit from the star at the origin
+    _createAtmospheres() {
+        this.atmospheres = {};
+        this.planets.filter(({ orbit, data }) => !orbit && data.atmosphere).forEach(({ frame, data }) => {
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    u_color: { value: new THREE.Color(data.atmosphere.color) },
+                    u_thickness: { value: data.atmosphere.thickness },
+                    u_density: { value: data.atmosphere.density },
+                    u_intensity: { value: 1.0 },
+                    u_radius: { value: data.radius },
+                    u_sunPosition: { value: new THREE.Vector3() }
+                },
+                vertexShader: atmosphereVertexShader,
+                fragmentShader: atmosphereFragmentShader,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+
+            // The thickness is a scale on the shell, so it can change without new geometry
+            const atmosphere = new THREE.Mesh(new THREE.SphereGeometry(data.radius, 64, 48), material);
+            atmosphere.scale.setScalar(1 + data.atmosphere.thickness);
+            frame.add(atmosphere);
+            this.atmospheres[data.name] = atmosphere;
+        });
+    }
+
+    // Analytic shadows: planets (and their clouds) are shadowed by their moons and rings,
+    // rings by their planet, and moons by their planet and sibling moons
+    _createEclipseShadows() {
+        this.shadowReceivers = [];
+        const receive = (material, casters, ring = null) => {
+            addEclipseShadows(material, casters.length, Boolean(ring));
+            this.shadowReceivers.push({ uniforms: material.userData.eclipseUniforms, casters, ring });
+        };
+
+        this.planets.filter(({ orbit }) => !orbit).forEach(planet => {
+            const moons = this.planets.filter(body => body.orbit && body.parentData === planet.data);
+            receive(planet.object.material, moons, planet.rings);
+            if (planet.clouds) receive(planet.clouds.material, moons, planet.rings);
+            if (planet.rings) receive(planet.rings.material, [planet]);
+            moons.forEach(moon => receive(moon.object.material, [planet, ...moons.filter(other => other !== moon)]));
+        });
+    }
+
+    // Solar wind, magnetospheres and auroras
+    _createSpaceWeather() {
+        this.spaceWeather = new SpaceWeather({
+            scene: this.scene,
+            planets: this.planets.filter(({ orbit }) => !orbit),
+            pixelRatio: this.renderer.getPixelRatio(),
+            solarActivity: this.solarActivity
+        });
+    }
+
+    // Copy the star and caster positions and sizes into every shadow receiver
+    _updateEclipseShadows() {
+        this.scene.updateMatrixWorld();
+        const sun = { object: this.sun, radius: this.star.radius * this.starGroup.scale.x };
+        this.shadowReceivers.forEach(({ uniforms, casters, ring }) => {
+            // Hidden bodies cast no shadow
+            const spheres = casters.map(body => ({
+                object: body.object,
+                radius: isShown(body.object) ? body.data.radius * this._displayScale(body) : 0
+            }));
+            updateEclipseShadows(uniforms, sun, spheres, ring);
+        });
+    }
+
+    // Drop trail history after a date jump so it doesn't streak across the system
+    _clearTrails() {
+        Object.values(this.orbitTrails).forEach(trail => trail.clear());
+    }
+
+    _createStarField() {
+        // Catalog stars by right ascension and declination and the constellation overlays;
+        // the sky travels with the camera
+        this.starField = new StarField({
+            scene: this.scene,
+            catalog: this.starCatalog,
+            pixelRatio: this.renderer.getPixelRatio()
+        });
+        this.stars = this.starField.points;
+    }
+
+    _createShootingStars() {
+        // Shooting Stars
+        this.starFieldRadius = 500; // Spread of the region they cross
+        this.shootingStars = [];
+        const numShootingStars = 10; // Number of shooting stars
+        this.shootingStarSpeed = 250; // Increased speed for more dynamic movement
+        const shootingStarSize = 1.5; // Increased size for more prominent main star
+        this.shootingStarLife = 2.5; // Life increased slightly to allow for longer tail
+        this.shootingStarTrailLength = 100; // Increased number of points in the tail for continuity
+        this._shootingStarRandom = createRandom('shooting stars');
+
+        for (let i = 0; i < numShootingStars; i++) {
+            const material = new THREE.PointsMaterial({
+                color: 0xFFFFFF,
+                size: shootingStarSize,
+                sizeAttenuation: true,
+                transparent: true,
+                opacity: 1.0,
+                blending: THREE.AdditiveBlending // Ensure blending for glow
+            });
+            const star = new THREE.Points(new THREE.BufferGeometry(), material);
+            this.scene.add(star);
+
+            // Create trail geometry and material
+            const trailMaterial = new THREE.PointsMaterial({
+                color: 0xFFFFFF, // White for the trail
+                size: shootingStarSize * 0.5, // Increased size for trail particles
+                sizeAttenuation: true,
+                transparent: true,
+                opacity: 0.8, // Increased base opacity for a brighter trail
+                blending: THREE.AdditiveBlending // Additive blending for glow effect
+            });
+            const trail = new THREE.Points(new THREE.BufferGeometry(), trailMaterial);
+            this.scene.add(trail);
+
+            const starObj = {
+                object: star,
+                trail: trail,
+                trailPositions: [], // Store historical positions for the tail
+                velocity: new THREE.Vector3(),
+                life: 0,
+                maxLife: 0,
+                originalPosition: new THREE.Vector3()
+            };
+            this.shootingStars.push(starObj);
+            this._resetShootingStar(starObj);
+        }
+    }
+
+    _resetShootingStar(starObj) {
+        const radius = this.starFieldRadius;
+        const random = this._shootingStarRandom;
+
+        // Start from one side of the screen and move across
+        const startX = -radius * 1.2; // Start off-screen left
+        const startY = (random() - 0.5) * 2 * radius; // Random Y position
+        const startZ = (random() - 0.5) * 2 * radius; // Random Z position
+
+        starObj.object.position.set(startX, startY, startZ);
+        starObj.originalPosition.copy(starObj.object.position);
+
+        // Direct movement towards the right side of the screen
+        const targetX = radius * 1.2; // End off-screen right
+        const targetY = (random() - 0.5) * 2 * radius; // Random target Y
+        const targetZ = (random() - 0.5) * 2 * radius; // Random target Z
+
+        const direction = new THREE.Vector3(targetX, targetY, targetZ).sub(starObj.object.position).normalize();
+        starObj.velocity.copy(direction).multiplyScalar(this.shootingStarSpeed);
+
+        starObj.life = 0;
+        starObj.maxLife = this.shootingStarLife * (0.8 + random() * 0.4); // Vary life slightly
+        starObj.object.material.opacity = 1.0; // Ensure main star is visible
+
+        // Clear and reset trail positions
+        starObj.trailPositions = [];
+        starObj.trail.geometry.setFromPoints([]);
+        starObj.trail.material.opacity = 0;
+    }
+
+    _setupBloomLayers() {
+        // Set sun, planets, and stars to the bloom layer
+        this.sun.layers.enable(BLOOM_LAYER);
+        this.corona.layers.enable(BLOOM_LAYER);
+        this.solarActivity.objects.forEach(object => object.layers.enable(BLOOM_LAYER));
+        this.stars.layers.enable(BLOOM_LAYER);
+
+        // Set planets and their rings and moons to the bloom layer (orbit lines stay out of it)
+        this._setPlanetBloom(true);
+
+        // Make sure all shooting stars are on the bloom layer
+        this._setShootingStarBloom(true);
+    }
+
+    _setPlanetBloom(enabled) {
+        this.planets.forEach(planetObj => {
+            // A planet's frame also holds its rings
+            (planetObj.orbit ? planetObj.object : planetObj.frame).traverse(child => {
+                if (!child.isMesh) return;
+                if (enabled) {
+                    child.layers.enable(BLOOM_LAYER);
+                } else {
+                    child.layers.disable(BLOOM_LAYER);
+                }
+            });
+        });
+    }
+
+    _setShootingStarBloom(enabled) {
+        this.shootingStars.forEach(starObj => {
+            if (enabled) {
+                starObj.object.layers.enable(BLOOM_LAYER);
+                starObj.trail.layers.enable(BLOOM_LAYER);
+            } else {
+                starObj.object.layers.disable(BLOOM_LAYER);
+                starObj.trail.layers.disable(BLOOM_LAYER);
+            }
+        });
+    }
+
+    _createPostProcessing() {
+        const { renderer, scene, camera } = this;
+        const { width, height } = this._getContainerSize();
+
+        // Bloom pass with stronger settings for sun/planets only
+        this.bloomPass = new UnrealBloomPass(
+            new THREE.Vector2(width, height),
+            3.0, // Bloom strength
+            1.0, // Bloom radius
+            0.05 // Bloom threshold
+        );
+
+        // Setup darkMaterial for non-bloomed objects
+        this.darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0 });
+        this._storedMaterials = {};
+
+        // Step 1: Initialize bloom composer with explicit render target
+        const renderTarget = new THREE.WebGLRenderTarget(
+            width * renderer.getPixelRatio(),
+            height * renderer.getPixelRatio()
+        );
+        this.bloomComposer = new EffectComposer(renderer, renderTarget);
+        this.bloomComposer.renderToScreen = false;
+        this.bloomComposer.addPass(new RenderPass(scene, camera));
+        this.bloomComposer.addPass(this.bloomPass);
+
+        // Force bloom composer to initialize its targets
+        this.bloomComposer.render(0);
+
+        // Step 2: Create final composer and add regular scene pass
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        // Create shader material for final pass
+        const finalPassShader = new THREE.ShaderMaterial({
+            uniforms: {
+                baseTexture: { value: null },
+                bloomTexture: { value: this.bloomComposer.renderTarget2.texture }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D baseTexture;
+                uniform sampler2D bloomTexture;
+                varying vec2 vUv;
+                void main() {
+                    vec4 base = texture2D(baseTexture, vUv);
+                    vec4 bloom = texture2D(bloomTexture, vUv);
+                    gl_FragColor = base + bloom;
+                }
+            `,
+            defines: {}
+        });
+
+        // Add final pass to the composer
+        this.finalPass = new ShaderPass(finalPassShader, "baseTexture");
+        this.finalPass.needsSwap = true;
+        this.composer.addPass(this.finalPass);
+    }
+
+    // Set all non-bloom objects to the dark material
+    _darkenNonBloomed(obj) {
+        if (!obj.isMesh && !obj.isPoints && !obj.isLine) return;
+
+        // Fix for the layers testing - proper way to test if an object is in a layer
+        if (obj.layers.isEnabled(BLOOM_LAYER)) return;
+
+        // Store original material
+        this._storedMaterials[obj.uuid] = obj.material;
+
+        // Set to dark material
+        if (obj.isMesh || obj.isLine) {
+            obj.material = this.darkMaterial;
+        }
+    }
+
+    // Restore original materials
+    _restoreMaterials() {
+        for (const id in this._storedMaterials) {
+            const obj = this.scene.getObjectByProperty('uuid', id);
+            if (obj) {
+                obj.material = this._storedMaterials[id];
+            }
+        }
+        this._storedMaterials = {};
+    }
+
+    // ---- Parameters ----
+
+    _createParams() {
+        const { sunMaterial, coronaMaterial, bloomPass, camera, ambientLight, sunLight, simClock } = this;
+
+        this.params = {
+            // Sun parameters
+            octaves: sunMaterial.uniforms.u_octaves.value,
+            lacunarity: sunMaterial.uniforms.u_lacunarity.value,
+            gain: sunMaterial.uniforms.u_gain.value,
+            rotationSpeed: sunMaterial.uniforms.u_rotationSpeed.value,
+            sunspotIntensity: sunMaterial.uniforms.u_sunspotIntensity.value,
+            starTemperature: sunMaterial.uniforms.u_temperature.value, // Kelvin
+
+            // Corona parameters
+            coronaSize: coronaMaterial.uniforms.u_coronaSize.value,
+            coronaIntensity: coronaMaterial.uniforms.u_coronaIntensity.value,
+            pulsationSpeed: coronaMaterial.uniforms.u_pulsationSpeed.value,
+
+            // Solar activity: level 0 is solar minimum, 1 maximum
+            solarActivity: {
+                level: this.solarActivity.level,
+                frequency: this.solarActivity.frequency,
+                intensity: this.solarActivity.intensity,
+                prominences: true,
+                flares: true,
+                cmes: true
+            },
+
+            // Bloom parameters
+            bloomStrength: bloomPass.strength,
+            bloomRadius: bloomPass.radius,
+            bloomThreshold: bloomPass.threshold,
+
+            // Which objects get bloom
+            bloom: {
+                sun: true,
+                planets: true,
+                stars: true,
+                shootingStars: true
+            },
+
+            // General settings
+            cameraDistance: camera.position.z,
+            ambientLightIntensity: ambientLight.intensity,
+            pointLightIntensity: sunLight.intensity,
+            backgroundIntensity: [0, 0, 0],
+
+            // Quality settings (adjust segments)
+            sunSegments: this.sun.geometry.parameters.widthSegments,
+            coronaSegments: this.corona.geometry.parameters.widthSegments,
+
+            // Planet settings
+            showAllPlanets: true,
+            planetScale: 1.0,
+            scaleMode: this.scaleTransition.to,
+            visibility: Object.fromEntries(this.planets.map(({ data }) => [data.name, true])),
+            showAxes: false,
+            axes: Object.fromEntries(Object.keys(this.axisHelpers).map(name => [name, false])),
+            surfaceMaps: true, // Bump, normal and specular maps
+            clouds: true,
+            rings: true,
+            showAtmospheres: true,
+            atmosphereIntensity: 1.0,
+            atmospheres: Object.fromEntries(Object.entries(this.atmospheres).map(([name, { material }]) => [name, {
+                color: `#${material.uniforms.u_color.value.getHexString()}`,
+                thickness: material.uniforms.u_thickness.value,
+                density: material.uniforms.u_density.value
+            }])),
+
+            // Space weather
+            spaceWeather: {
+                solarWind: true,
+                density: this.spaceWeather.density,
+                speed: this.spaceWeather.speed,
+                magnetospheres: true,
+                auroras: true,
+                auroraIntensity: this.spaceWeather.auroraIntensity
+            },
+
+            // Star catalog and constellations
+            stars: {
+                show: true,
+                brightness: this.stars.material.uniforms.u_brightness.value,
+                magnitudeLimit: this.stars.material.uniforms.u_magnitudeLimit.value,
+                constellations: this.starField.lines.visible,
+                labels: this.starField.labels.visible
+            },
+
+            // Milky Way (background environment) settings
+            milkyWayBackground: this.environment.names[0] || '',
+            milkyWayIntensity: this.environment.exposure,
+            milkyWayColor: [255, 210, 138], // Golden color (0xffd28a)
+            milkyWayRotation: this.environment.rotation,
+            environmentReflections: this.environment.reflections,
+
+            // Time settings
+            playing: !simClock.paused,
+            reversed: simClock.reversed,
+            timeRate: simClock.rate,
+
+            // Orbit path settings
+            showOrbits: true,
+            showTrails: false,
+            orbits: Object.fromEntries(this.planets.map(({ data }) => [data.name, {
+                path: true,
+                trail: false,
+                color: data.color,
+                opacity: 0.35,
+                trailOpacity: 0.8,
+                trailLength: 200
+            }]))
+        };
+
+        // Shared links and presets only record what differs from these
+        this.defaultParams = JSON.parse(JSON.stringify(this.params));
+    }
+
+    // Push a parameter change into the scene
+    _applyParam(keys, value, preview = false) {
+        const { sunMaterial, coronaMaterial, bloomPass, params } = this;
+        const rgb = color => [color[0] / 255, color[1] / 255, color[2] / 255];
+
+        switch (keys[0]) {
+            case 'octaves': sunMaterial.uniforms.u_octaves.value = value; break;
+            case 'lacunarity': sunMaterial.uniforms.u_lacunarity.value = value; break;
+            case 'gain': sunMaterial.uniforms.u_gain.value = value; break;
+            case 'rotationSpeed': sunMaterial.uniforms.u_rotationSpeed.value = value; break;
+            case 'sunspotIntensity': sunMaterial.uniforms.u_sunspotIntensity.value = value; break;
+            case 'starTemperature': this._applyStarTemperature(value); break;
+
+            case 'coronaSize':
+                coronaMaterial.uniforms.u_coronaSize.value = value;
+                this.corona.scale.setScalar(value);
+                break;
+            case 'coronaIntensity': coronaMaterial.uniforms.u_coronaIntensity.value = value; break;
+            case 'pulsationSpeed': coronaMaterial.uniforms.u_pulsationSpeed.value = value; break;
+
+            case 'solarActivity':
+                if (['level', 'frequency', 'intensity'].includes(keys[1])) {
+                    this.solarActivity[keys[1]] = value;
+                } else {
+                    this.solarActivity.setEnabled(keys[1], value);
+                }
+                break;
+
+            case 'bloomStrength': bloomPass.strength = value; break;
+            case 'bloomRadius': bloomPass.radius = value; break;
+            case 'bloomThreshold': bloomPass.threshold = value; break;
+            case 'bloom':
+                if (keys[1] === 'sun') {
+                    [this.sun, this.corona, ...this.solarActivity.objects].forEach(object => value ? object.layers.enable(BLOOM_LAYER) : object.layers.disable(BLOOM_LAYER));
+                } else if (keys[1] === 'planets') {
+                    this._setPlanetBloom(value);
+                } else if (keys[1] === 'stars') {
+                    value ? this.stars.layers.enable(BLOOM_LAYER) : this.stars.layers.disable(BLOOM_LAYER);
+                } else if (keys[1] === 'shootingStars') {
+                    this._setShootingStarBloom(value);
+                }
+                break;
+
+            case 'cameraDistance': this.camera.position.z = value; break;
+            case 'ambientLightIntensity': this.ambientLight.intensity = value; break;
+            case 'pointLightIntensity': this.sunLight.intensity = value; break;
+            case 'backgroundIntensity':
+                // The color behind everything when no environment is shown
+                this.environment.color.setRGB(...rgb(value));
+                break;
+
+            case 'sunSegments':
+                this.sun.geometry.dispose();
+                this.sun.geometry = new THREE.SphereGeometry(this.star.radius, value, value);
+                break;
+            case 'coronaSegments':
+                this.corona.geometry.dispose();
+                this.corona.geometry = new THREE.SphereGeometry(this.star.radius, value, value);
+                break;
+
+            case 'planetScale': this._applyScale(); break;
+            case 'scaleMode':
+                // Animated in _advance; trails would streak across the transition
+                this.scaleTransition.start(value);
+                this._clearTrails();
+                break;
+            case 'showAllPlanets':
+                Object.keys(params.visibility).forEach(name => {
+                    params.visibility[name] = value;
+                    this._bodyObject(name).visible = value;
+                });
+                break;
+            case 'visibility':
+                this._bodyObject(keys[1]).visible = value;
+                // Keep "Show All Planets" in step when every toggle agrees
+                if (Object.values(params.visibility).every(visible => visible === value)) {
+                    params.showAllPlanets = value;
+                }
+                break;
+
+            case 'showAxes':
+                Object.keys(params.axes).forEach(name => {
+                    params.axes[name] = value;
+                    this.axisHelpers[name].visible = value;
+                });
+                break;
+            case 'axes':
+                this.axisHelpers[keys[1]].visible = value;
+                if (Object.values(params.axes).every(shown => shown === value)) {
+                    params.showAxes = value;
+                }
+                break;
+
+            case 'surfaceMaps':
+                this.planets.forEach(({ object }) => setDetailMaps(object.material, value));
+                break;
+            case 'clouds':
+            case 'rings':
+                this.planets.forEach(body => {
+                    if (body[keys[0]]) body[keys[0]].visible = value;
+                });
+                break;
+
+            case 'showAtmospheres':
+                Object.values(this.atmospheres).forEach(atmosphere => {
+                    atmosphere.visible = value;
+                });
+                break;
+            case 'atmosphereIntensity':
+                Object.values(this.atmospheres).forEach(atmosphere => {
+                    atmosphere.material.uniforms.u_intensity.value = value;
+                });
+                break;
+            case 'atmospheres': {
+                const [, name, setting] = keys;
+                const atmosphere = this.atmospheres[name];
+                if (setting === 'color') atmosphere.material.uniforms.u_color.value.set(value);
+                if (setting === 'thickness') {
+                    atmosphere.material.uniforms.u_thickness.value = value;
+                    atmosphere.scale.setScalar(1 + value);
+                }
+                if (setting === 'density') atmosphere.material.uniforms.u_density.value = value;
+                break;
+            }
+
+            case 'spaceWeather':
+                if (['density', 'speed', 'auroraIntensity'].includes(keys[1])) {
+                    this.spaceWeather[keys[1]] = value;
+                } else {
+                    this.spaceWeather.show[keys[1]] = value;
+                }
+                break;
+
+            case 'stars':
+                if (keys[1] === 'show') {
+                    this.stars.visible = value;
+                } else if (keys[1] === 'brightness') {
+                    this.stars.material.uniforms.u_brightness.value = value;
+                } else if (keys[1] === 'magnitudeLimit') {
+                    this.stars.material.uniforms.u_magnitudeLimit.value = value;
+                } else if (keys[1] === 'constellations') {
+                    this.starField.lines.visible = value;
+                } else if (keys[1] === 'labels') {
+                    this.starField.labels.visible = value;
+                }
+                break;
+
+            case 'milkyWayBackground': this.environment.show(value); break;
+            case 'milkyWayIntensity':
+                this.environment.exposure = value;
+                this.environment.bake({ reflections: !preview });
+                break;
+            case 'milkyWayColor':
+                this.environment.tint.setRGB(...rgb(value));
+                this.environment.bake({ reflections: !preview });
+                break;
+            case 'milkyWayRotation':
+                this.environment.rotation = value;
+                this.environment.bake({ reflections: !preview });
+                break;
+            case 'environmentReflections':
+                this.environment.reflections = value;
+                this.environment.updateReflections();
+                break;
+
+            case 'playing':
+                if (value) {
+                    this.simClock.play();
+                } else {
+                    this.simClock.pause();
+                }
+                break;
+            case 'reversed': this.simClock.reversed = value; break;
+            case 'timeRate': this.simClock.rate = value; break;
+
+            case 'showOrbits':
+                Object.entries(params.orbits).forEach(([name, settings]) => {
+                    settings.path = value;
+                    this.orbitLines[name].visible = value;
+                });
+                break;
+            case 'showTrails':
+                Object.entries(params.orbits).forEach(([name, settings]) => {
+                    settings.trail = value;
+                    this.orbitTrails[name].line.visible = value;
+                    this.orbitTrails[name].clear();
+                });
+                break;
+            case 'orbits': {
+                const [, name, setting] = keys;
+                const line = this.orbitLines[name];
+                const trail = this.orbitTrails[name];
+                if (setting === 'path') line.visible = value;
+                if (setting === 'trail') {
+                    trail.line.visible = value;
+                    trail.clear();
+                }
+                if (setting === 'color') {
+                    line.material.color.set(value);
+                    trail.setColor(value);
+                }
+                if (setting === 'opacity') line.material.opacity = value;
+                if (setting === 'trailOpacity') trail.setOpacity(value);
+                if (setting === 'trailLength') trail.setLength(value);
+                break;
+            }
+        }
+    }
+
+    _bodyEntry(name) {
+        return this.planets.find(p => p.data.name === name);
+    }
+
+    // Object whose visibility shows or hides a body: a moon's mesh, or a planet's whole frame with its rings and moons
+    _bodyObject(name) {
+        const entry = this._bodyEntry(name);
+        return entry.orbit ? entry.object : entry.frame;
+    }
+
+    // ---- Selection ----
+
+    _setupSelection() {
+        const sunData = { name: this.star.name, radius: this.star.radius, radiusKm: this.star.radiusKm, rotationPeriod: this.star.rotationPeriod };
+        this.selectableBodies = [{ object: this.sun, data: sunData }, ...this.planets];
+        this.selectedBody = null;
+
+        this._raycaster = new THREE.Raycaster();
+        this._pointer = new THREE.Vector2();
+        this._pointerDownPosition = new THREE.Vector2();
+        this._pickPosition = new THREE.Vector3();
+        this._infoCardPosition = { x: 0, y: 0, z: 0 }; // Reused ephemeris output
+
+        this.infoCard = createInfoCard(this.container, () => this._deselectBody());
+
+        // Treat a pointer release close to where it was pressed as a click, not an orbit drag
+        const canvas = this.renderer.domElement;
+        // Focusable, so Escape only reaches the instance last clicked on a page with several
+        canvas.tabIndex = 0;
+        canvas.style.outline = 'none';
+        this._listen(canvas, 'pointerdown', event => {
+            this._pointerDownPosition.set(event.clientX, event.clientY);
+            canvas.focus({ preventScroll: true });
+        });
+        this._listen(canvas, 'pointerup', event => {
+            if (this._pointerDownPosition.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > 5) return;
+
+            const rect = canvas.getBoundingClientRect();
+            this._pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            this._raycaster.setFromCamera(this._pointer, this.camera);
+
+            const meshes = this.selectableBodies.map(body => body.object).filter(isShown);
+            const hit = this._raycaster.intersectObjects(meshes, false)[0];
+
+            // Small moons are often less than a pixel across, so fall back to the body drawn nearest the click
+            const body = hit
+                ? this.selectableBodies.find(entry => entry.object === hit.object)
+                : this._bodyNearPointer(event.clientX - rect.left, event.clientY - rect.top, rect);
+            if (body) {
+                this._selectBody(body);
+            }
+        });
+        this._listen(canvas, 'keydown', event => {
+            if (event.key === 'Escape') this._deselectBody();
+        });
+    }
+
+    // Visible body whose center is drawn closest to (x, y) in canvas pixels, within PICK_RADIUS
+    _bodyNearPointer(x, y, rect) {
+        let nearest = null;
+        let nearestDistance = PICK_RADIUS;
+
+        this.selectableBodies.forEach(body => {
+            if (!isShown(body.object)) return;
+            const point = body.object.getWorldPosition(this._pickPosition).project(this.camera);
+            if (Math.abs(point.z) > 1) return; // Behind the camera or beyond the far plane
+
+            const distance = Math.hypot((point.x + 1) / 2 * rect.width - x, (1 - point.y) / 2 * rect.height - y);
+            if (distance < nearestDistance) {
+                nearest = body;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    _selectBody(body, camera = 'fly') {
+        this.selectedBody = body;
+        this.infoCard.show(body.data.name);
+        const fields = this._updateInfoCard();
+
+        // Frame the body at a few times its displayed radius, backing off further for small
+        // moons so their planet is in view, but not so far that the tiniest ones vanish
+        const { radius } = body.data;
+        const viewDistance = Math.max(radius * 6, Math.min(0.3, radius * 20)) * this._displayScale(body);
+        if (this.cameraDriver || camera === 'none') {
+            this.cameraFocus.release();
+        } else if (camera === 'follow') {
+            this.cameraFocus.follow(body.object, viewDistance);
+        } else {
+            this.cameraFocus.focus(body.object, viewDistance);
+        }
+
+        this._emit('select', { name: body.data.name, data: body.data, fields });
+    }
+
+    _deselectBody() {
+        if (!this.selectedBody) return;
+        this.selectedBody = null;
+        this.infoCard.hide();
+        this.cameraFocus.release();
+        this._emit('select', null);
+    }
+
+    // Distances, periods and speeds of the selected body for the info card
+    _updateInfoCard() {
+        if (!this.selectedBody) return null;
+        const { data, parentData } = this.selectedBody;
+        const { star, simClock } = this;
+        const formatNumber = (value, digits = 0) => value.toLocaleString(undefined, { maximumFractionDigits: digits });
+        const formatPeriod = days => Math.abs(days) > 730 ? `${formatNumber(Math.abs(days) / 365.25, 2)} years` : `${formatNumber(Math.abs(days), 2)} days`;
+        const distanceLabel = `Distance from ${star.name}`;
+
+        const fields = {
+            'Radius': data.radiusKm ? `${formatNumber(data.radiusKm)} km` : null,
+            'Axial tilt': data.axialTilt !== undefined ? `${formatNumber(data.axialTilt, 1)}°` : null,
+            'Rotation period': data.rotationPeriod ? `${formatPeriod(data.rotationPeriod / 24)}${data.rotationPeriod < 0 ? ' (retrograde)' : ''}` : null,
+            [distanceLabel]: null,
+            'Orbital period': null,
+            'Velocity': null
+        };
+
+        // Moons report values relative to their planet, using the planet's distance from the star
+        const elements = data.elements || (parentData && parentData.elements);
+        if (elements) {
+            const position = heliocentricPosition(elements, simClock.julianDate, this._infoCardPosition);
+            const distance = Math.hypot(position.x, position.y, position.z);
+            fields[distanceLabel] = `${formatNumber(distance, 3)} AU (${formatNumber(distance * AU_IN_KM / 1e6, 1)} million km)`;
+
+            if (data.elements) {
+                fields['Orbital period'] = formatPeriod(orbitalPeriod(data.elements));
+                fields['Velocity'] = `${formatNumber(orbitalSpeed(data.elements, distance, star.mass), 2)} km/s`;
+            } else {
+                fields['Orbital period'] = `${formatPeriod(data.orbitalPeriod)} (around ${parentData.name})`;
+                if (data.orbitalDistanceKm) {
+                    fields['Velocity'] = `${formatNumber(2 * Math.PI * data.orbitalDistanceKm / (Math.abs(data.orbitalPeriod) * 86400), 2)} km/s (around ${parentData.name})`;
+                }
+            }
+        }
+
+        this.infoCard.update(fields);
+        return fields;
+    }
+
+    // ---- Animation ----
+
+    _emit(event, payload) {
+        (this._listeners[event] || []).forEach(callback => callback(payload));
+    }
+
+    _animate = () => {
+        this._frameId = requestAnimationFrame(this._animate);
+        this.step(this.clock.getDelta());
+    };
+
+    // Move everything in the scene forward by deltaTime real seconds
+    _advance(deltaTime) {
+        const { simClock, sun, sunMaterial, coronaMaterial } = this;
+
+        // Advance the simulation clock
+        const shaderTime = simClock.shaderTime;
+        simClock.update(deltaTime);
+        const simDays = simClock.daysSinceJ2000;
+
+        // Rotate the star about its pole with its sidereal equatorial period
+        sun.rotation.y = this.star.primeMeridian * THREE.MathUtils.DEG2RAD + rotationAngle(simDays, this.star.rotationPeriod);
+
+        // Update shader time uniform
+        sunMaterial.uniforms.u_time.value = simClock.shaderTime;
+        coronaMaterial.uniforms.u_time.value = simClock.shaderTime;
+
+        this._updateShootingStars(deltaTime);
+
+        // Carry on any scale mode transition
+        if (this.scaleTransition.active) {
+            this.scaleTransition.update(deltaTime);
+            this._applyScale();
+            if (!this.scaleTransition.active) this._clearTrails();
+        }
+
+        this._updateBodies(simDays);
+        this._updateEclipseShadows();
+
+        // CMEs fade out a little past the outermost planet
+        const reach = 1.2 * Math.max(...this.planets.filter(({ orbit }) => !orbit).map(({ frame }) => frame.position.length()));
+        this.solarActivity.update(simClock.shaderTime - shaderTime, reach);
+        this.spaceWeather.update(simClock.shaderTime - shaderTime, reach, this.star.radius * this.starGroup.scale.x);
+
+        // Extend visible orbit trails with the new positions (not while the scale is changing)
+        Object.values(this.orbitTrails).forEach(trail => {
+            if (trail.line.visible && !this.scaleTransition.active) trail.update();
+        });
+
+        if (this.cameraDriver) {
+            // A tour or other driver has the camera
+            this.cameraDriver.update(deltaTime);
+        } else {
+            // Fly to / follow the selected body now that it has moved, then update controls
+            this.cameraFocus.update(deltaTime);
+            this.controls.update();
+        }
+
+        this._updateCorona();
+        this._updateSky();
+        this._updateTextureDetail();
+
+        // Refresh the info card with the body's current distance and velocity
+        this._updateInfoCard();
+    }
+
+    // Bring in the full textures of bodies whose placeholders would be magnified on screen
+    _updateTextureDetail() {
+        if (this._texturesHeld) return;
+        const { assets, camera } = this;
+        const pixelsPerRadian = this.renderer.domElement.height / (2 * Math.tan(camera.fov * THREE.MathUtils.DEG2RAD / 2));
+        this.planets.forEach(body => {
+            if (!assets.hasPlaceholders(body.data.name) || !isShown(body.object)) return;
+            const radius = body.data.radius * this._displayScale(body);
+            const distance = Math.max(body.object.getWorldPosition(_bodyPosition).distanceTo(camera.position), radius);
+            assets.upgrade(body.data.name, 2 * radius / distance * pixelsPerRadian);
+        });
+    }
+
+    // The star field is at infinity: it stays centered on the camera
+    _updateSky() {
+        this.starField.update(this.camera);
+    }
+
+    // The corona shader marches camera rays in the star's rotating frame, in star radii, so its
+    // streamers turn with the star and keep their shape whatever the scale mode
+    _updateCorona() {
+        const { sun, star } = this;
+        sun.updateWorldMatrix(true, false);
+        this.coronaMaterial.uniforms.u_worldToStar.value
+            .copy(sun.matrixWorld)
+            .scale(_starScale.setScalar(star.radius))
+            .invert();
+    }
+
+    _updateShootingStars(deltaTime) {
+        const radius = this.starFieldRadius;
+
+        this.shootingStars.forEach(starObj => {
+            // Update main star position
+            starObj.object.position.addScaledVector(starObj.velocity, deltaTime);
+            starObj.life += deltaTime;
+
+            // Add current position to trail history
+            starObj.trailPositions.push(starObj.object.position.clone());
+
+            // Trim trail history to desired length
+            if (starObj.trailPositions.length > this.shootingStarTrailLength) {
+                starObj.trailPositions.shift();
+            }
+
+            // Update trail geometry with positions and colors for fading effect
+            const positions = [];
+            const colors = [];
+            const baseColor = new THREE.Color(0xFFFFFF);
+            for (let i = 0; i < starObj.trailPositions.length; i++) {
+                positions.push(starObj.trailPositions[i].x, starObj.trailPositions[i].y, starObj.trailPositions[i].z);
+                const trailOpacity = (i / this.shootingStarTrailLength) * (1.0 - (starObj.life / starObj.maxLife)); // Fade from transparent to opaque along the tail
+                colors.push(baseColor.r, baseColor.g, baseColor.b, trailOpacity);
+            }
+            starObj.trail.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            starObj.trail.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 4));
+            starObj.trail.material.vertexColors = true; // Enable vertex colors for fading
+
+            // Fade out main star and trail based on life
+            const opacity = 1.0 - (starObj.life / starObj.maxLife);
+            starObj.object.material.opacity = opacity; // Main star fades linearly
+
+            // Reset if out of view or fully faded
+            const position = starObj.object.position;
+            if (starObj.life > starObj.maxLife || Math.abs(position.x) > radius * 1.5 ||
+                Math.abs(position.y) > radius * 1.5 || Math.abs(position.z) > radius * 1.5) {
+                this._resetShootingStar(starObj);
+            }
+        });
+    }
+
+    // Place planets at their heliocentric positions for the simulation date
+    _updateBodies(simDays) {
+        this.planets.forEach(planetObj => {
+            const { object, frame, clouds, data, orbit } = planetObj;
+
+            // The day/night shader lights itself, so it follows the scene lights
+            if (object.material.isShaderMaterial) {
+                syncDayNightLighting(object.material, this.sunLight, this.ambientLight);
+            }
+
+            // Moons circle their planet on an orbit pivot
+            if (orbit) {
+                // The orbit plane sits in the planet's (non-spinning) equatorial frame
+                const { node, inclination, angle, latitude, distance } = moonOrbitAngles(data, simDays);
+                orbit.parent.rotation.set(inclination, node, 0);
+                orbit.rotation.y = angle;
+                const radius = this._moonOrbitRadii[data.name] * distance;
+                object.position.set(radius * Math.cos(latitude), radius * Math.sin(latitude), 0);
+
+                // Spin relative to the orbit frame so the total matches the rotation period
+                object.rotation.y = rotationAngle(simDays, data.rotationPeriod) - rotationAngle(simDays, data.orbitalPeriod * 24);
+                return;
+            }
+
+            // Solve Kepler's equation for the true position (Sun at the focus)
+            heliocentricPosition(data.elements, this.simClock.julianDate, this._eclipticPosition);
+
+            // Map the distance in AU to scene units for the scale mode, keeping the direction
+            eclipticToScene(this._eclipticPosition, frame.position);
+            const distance = frame.position.length();
+            frame.position.multiplyScalar(this.scaleTransition.distance(data, distance) / distance);
+
+            // Rotate about the spin axis (the frame's Y axis) from the prime meridian angle at J2000
+            object.rotation.y = data.primeMeridian * THREE.MathUtils.DEG2RAD + rotationAngle(simDays, data.rotationPeriod);
+
+            // Clouds drift over the surface at their own rate
+            if (clouds) {
+                clouds.rotation.y = data.primeMeridian * THREE.MathUtils.DEG2RAD + rotationAngle(simDays, data.clouds.rotationPeriod);
+            }
+        });
+    }
+
+    // Size the star, bodies, moon orbits and orbit lines for the scale mode (or the blend between two).
+    // Distances from the star are applied per frame in _updateBodies.
+    _applyScale() {
+        const { scaleTransition: scale, params } = this;
+
+        // A followed body stays the same size on screen
+        const followed = this.cameraFocus.object ? this.selectedBody : null;
+        const followedScale = followed ? this._displayScale(followed) : 1;
+
+        const starScale = scale.radius(this.star) / this.star.radius;
+        this.starGroup.scale.setScalar(starScale);
+
+        // Let the camera get as close to the star as before, relative to its size
+        this.cameraFocus.setDefaultMinDistance(2 * starScale);
+
+        this.planets.forEach(({ object, frame, data, orbit, parentData }) => {
+            if (orbit) {
+                // Moons sit inside their planet's scaled frame, so take its scale back out
+                const parentScale = params.planetScale * scale.radius(parentData) / parentData.radius;
+                const distance = params.planetScale * scale.moonDistance(data, parentData) / parentScale;
+                this._moonOrbitRadii[data.name] = distance; // _updateBodies places the moon on or off it
+                object.scale.setScalar(params.planetScale * scale.radius(data) / (data.radius * parentScale));
+                this.orbitLines[data.name].scale.setScalar(distance);
+                return;
+            }
+
+            // Scaling the frame sizes the planet, its rings and its axis helper together
+            frame.scale.setScalar(params.planetScale * scale.radius(data) / data.radius);
+
+            // Magnetospheres are compressed like moon orbits except in true scale
+            const { magnetosphere } = data;
+            if (magnetosphere) {
+                this.spaceWeather.setSize(data.name,
+                    params.planetScale * scale.planetDistance(magnetosphere.standoff, magnetosphere.standoffKm, data),
+                    params.planetScale * scale.planetDistance(magnetosphere.bowShock, magnetosphere.bowShockKm, data));
+            }
+
+            const positions = this.orbitLines[data.name].geometry.attributes.position;
+            this._orbitSamples[data.name].forEach((point, i) => {
+                const distance = point.length();
+                const factor = scale.distance(data, distance) / distance;
+                positions.setXYZ(i, point.x * factor, point.y * factor, point.z * factor);
+            });
+            positions.needsUpdate = true;
+            this.orbitLines[data.name].geometry.computeBoundingSphere();
+        });
+
+        this.planets.forEach(body => scaleBumpMap(body.object.material, this._displayScale(body)));
+
+        if (followed) {
+            this.cameraFocus.rescale(this._displayScale(followed) / followedScale);
+        }
+    }
+
+    // How much larger a body is drawn than its scene radius
+    _displayScale(body) {
+        if (body.object === this.sun) return this.starGroup.scale.x;
+        return body.object.scale.x * body.frame.scale.x;
+    }
+
+    _render() {
+        try {
+            // First render scene with selective bloom
+            // Store all objects' original materials
+            this._storedMaterials = {};
+            this.scene.traverse(obj => this._darkenNonBloomed(obj));
+
+            // Sprites can't take the dark material, so the sky labels sit the bloom pass out,
+            // and so does the background
+            const { labels } = this.starField;
+            const labelsShown = labels.visible;
+            labels.visible = false;
+            const { background } = this.scene;
+            this.scene.background = null;
+
+            // Render bloom only
+            this.bloomComposer.render();
+
+            // Restore original materials
+            this._restoreMaterials();
+            labels.visible = labelsShown;
+            this.scene.background = background;
+
+            // Final render with combined bloom
+            this.composer.render();
+        } catch (error) {
+            // Fallback to standard rendering if something goes wrong
+            console.error("Error in rendering pipeline:", error);
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+}
@@ -0,0 +1,205 @@
+// Space weather: the solar wind, planetary magnetospheres and auroras.
+//
+// The wind is a GPU particle stream flowing radially from the star (at the origin); its vertex
+// shader bends it around each planet's bow shock. Magnetospheres are drawn as a bow shock and a
+// magnetopause turned away from the star, and auroral ovals glow around the poles, brighter
+// when the wind is strong, when the star is active and when a CME sweeps past.
+// Like the solar activity it runs on the clock's shader time.
+
+import * as THREE from 'three';
+import { createRandom, randomDirection } from './proceduralTextures.js';
+import solarWindVertexShader from './shaders/solarWind.vertex.glsl?raw';
+import solarWindFragmentShader from './shaders/solarWind.fragment.glsl?raw';
+import magnetosphereVertexShader from './shaders/magnetosphere.vertex.glsl?raw';
+import magnetosphereFragmentShader from './shaders/magnetosphere.fragment.glsl?raw';
+import auroraVertexShader from './shaders/aurora.vertex.glsl?raw';
+import auroraFragmentShader from './shaders/aurora.fragment.glsl?raw';
+
+const WIND_PARTICLES = 20000;
+const WIND_POINT_SIZE = 2; // Pixels
+const WIND_CROSSING_TIME = 15; // Seconds from the star to the outer edge at speed 1
+const DEFAULT_DENSITY = 0.5;
+const ECLIPTIC_SPREAD = THREE.MathUtils.degToRad(10); // Most of the wind is sent along the ecliptic, where the planets are
+const AURORA_WIDTH = THREE.MathUtils.degToRad(8);
+
+// Surface of revolution around +Z with a unit standoff distance: sunward = 1 - across^2 / 4,
+// the same paraboloid the wind shader deflects around, flaring out to `maxRadius` and running
+// `length` standoff distances down the tail
+function paraboloidGeometry(maxRadius, length) {
+    const points = [];
+    for (let i = 0; i <= 40; i++) {
+        const t = i / 40;
+        const sunward = 1 - (1 + length) * t * t; // Closer spacing at the nose
+        points.push(new THREE.Vector2(Math.min(2 * Math.sqrt(1 - sunward), maxRadius), sunward));
+    }
+    const geometry = new THREE.LatheGeometry(points, 64);
+    geometry.rotateX(Math.PI / 2); // Lathe axis from Y to Z, which lookAt() turns to the star
+    return geometry;
+}
+
+// Band on a sphere around the north (or south) pole, centered on `latitude` degrees
+function auroraGeometry(radius, latitude, south) {
+    const colatitude = THREE.MathUtils.degToRad(90 - latitude);
+    const start = south ? Math.PI - colatitude - AURORA_WIDTH / 2 : colatitude - AURORA_WIDTH / 2;
+    return new THREE.SphereGeometry(radius, 96, 4, 0, Math.PI * 2, start, AURORA_WIDTH);
+}
+
+function createMaterial(vertexShader, fragmentShader, uniforms) {
+    return new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+}
+
+export class SpaceWeather {
+    // `planets` are body entries from createBodies(); those with a magnetosphere get one.
+    // With a SolarActivity, auroras follow its activity level and its CMEs.
+    constructor({ scene, planets, pixelRatio = 1, solarActivity = null }) {
+        this.solarActivity = solarActivity;
+        this.density = DEFAULT_DENSITY; // Fraction of the wind particles shown
+        this.speed = 1.0;
+        this.auroraIntensity = 1.0;
+        this.show = { solarWind: true, magnetospheres: true, auroras: true };
+        this.time = 0;
+
+        this.magnetospheres = planets.filter(({ data }) => data.magnetosphere).map(entry => this._createMagnetosphere(scene, entry));
+        this._createWind(scene);
+        this.setPixelRatio(pixelRatio);
+    }
+
+    _createWind(scene) {
+        const directions = new Float32Array(WIND_PARTICLES * 3);
+        const offsets = new Float32Array(WIND_PARTICLES);
+        const ranks = new Float32Array(WIND_PARTICLES);
+        const direction = new THREE.Vector3();
+        const random = createRandom('solar wind'); // The same wind on every load
+        for (let i = 0; i < WIND_PARTICLES; i++) {
+            if (random() < 0.2) {
+                randomDirection(random, direction);
+            } else {
+                // Normally distributed ecliptic latitude (Box-Muller)
+                const latitude = ECLIPTIC_SPREAD * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+                const longitude = random() * Math.PI * 2;
+                direction.set(Math.cos(latitude) * Math.cos(longitude), Math.sin(latitude), Math.cos(latitude) * Math.sin(longitude));
+            }
+            direction.toArray(directions, i * 3);
+            offsets[i] = random();
+            ranks[i] = random();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(directions, 3));
+        geometry.setAttribute('a_offset', new THREE.Float32BufferAttribute(offsets, 1));
+        geometry.setAttribute('a_rank', new THREE.Float32BufferAttribute(ranks, 1));
+
+        const material = createMaterial(solarWindVertexShader, solarWindFragmentShader, {
+            u_time: { value: 0 },
+            u_speed: { value: 0 },
+            u_density: { value: 0 },
+            u_inner: { value: 1 },
+            u_outer: { value: 1 },
+            u_pointSize: { value: WIND_POINT_SIZE },
+            u_color: { value: new THREE.Color(0xffe0b0) },
+            u_opacity: { value: 0.5 },
+            u_magnetospheres: { value: this.magnetospheres.map(() => new THREE.Vector4()) }
+        });
+        material.defines = { MAGNETOSPHERES: this.magnetospheres.length };
+
+        this.wind = new THREE.Points(geometry, material);
+        this.wind.frustumCulled = false; // Particles are placed in the shader
+        scene.add(this.wind);
+    }
+
+    _createMagnetosphere(scene, entry) {
+        const { data, frame } = entry;
+        const time = { value: 0 }; // Shared by the bow shock and magnetopause
+
+        // Sized by setSize(); the group follows the planet and faces the star
+        const group = new THREE.Group();
+        const bowShock = new THREE.Mesh(paraboloidGeometry(5.3, 10), createMaterial(magnetosphereVertexShader, magnetosphereFragmentShader, {
+            u_color: { value: new THREE.Color(0x88aaff) },
+            u_opacity: { value: 0.2 },
+            u_time: time
+        }));
+        const magnetopause = new THREE.Mesh(paraboloidGeometry(3, 12), createMaterial(magnetosphereVertexShader, magnetosphereFragmentShader, {
+            u_color: { value: new THREE.Color(0x66ddff) },
+            u_opacity: { value: 0.35 },
+            u_time: time
+        }));
+        group.add(bowShock, magnetopause);
+        scene.add(group);
+
+        // Auroral ovals just above the surface, in the planet's (non-spinning) equatorial frame
+        const auroraMaterial = createMaterial(auroraVertexShader, auroraFragmentShader, {
+            u_color: { value: new THREE.Color(data.magnetosphere.auroraColor) },
+            u_intensity: { value: 0 },
+            u_time: { value: 0 }
+        });
+        const auroras = [false, true].map(south => {
+            const aurora = new THREE.Mesh(auroraGeometry(data.radius * 1.015, data.magnetosphere.auroraLatitude, south), auroraMaterial);
+            frame.add(aurora);
+            return aurora;
+        });
+
+        return { name: data.name, frame, group, bowShock, magnetopause, auroras, auroraMaterial, time, bowShockSize: 0 };
+    }
+
+    // Scene distances of a planet's magnetopause and bow shock from its center
+    setSize(name, magnetopause, bowShock) {
+        const magnetosphere = this.magnetospheres.find(entry => entry.name === name);
+        magnetosphere.magnetopause.scale.setScalar(magnetopause);
+        magnetosphere.bowShock.scale.setScalar(bowShock);
+        magnetosphere.bowShockSize = bowShock;
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.wind.material.uniforms.u_pointSize.value = WIND_POINT_SIZE * pixelRatio;
+    }
+
+    // Wind strength relative to the defaults, from its density and speed
+    get windStrength() {
+        return (this.density / DEFAULT_DENSITY) * this.speed;
+    }
+
+    // Advance by `deltaTime` seconds of shader time. The wind runs from the star's surface
+    // (`starRadius` in scene units) out to `reach`.
+    update(deltaTime, reach, starRadius) {
+        this.time += deltaTime;
+
+        const { uniforms } = this.wind.material;
+        this.wind.visible = this.show.solarWind;
+        uniforms.u_time.value = this.time;
+        uniforms.u_speed.value = this.speed / WIND_CROSSING_TIME;
+        uniforms.u_density.value = this.density;
+        uniforms.u_inner.value = starRadius;
+        uniforms.u_outer.value = reach;
+
+        // Auroras brighten with the wind and the star's activity, and flare up while a CME passes
+        const activity = this.solarActivity ? 0.4 + 0.6 * this.solarActivity.level : 1;
+        const baseAurora = this.auroraIntensity * Math.sqrt(this.windStrength) * activity;
+
+        this.magnetospheres.forEach((magnetosphere, i) => {
+            const { frame, group } = magnetosphere;
+            group.position.copy(frame.position);
+            group.lookAt(0, 0, 0);
+            group.visible = this.show.magnetospheres && frame.visible;
+            magnetosphere.time.value = this.time;
+
+            // Hidden planets don't deflect the wind
+            const { x, y, z } = frame.position;
+            uniforms.u_magnetospheres.value[i].set(x, y, z, frame.visible ? magnetosphere.bowShockSize : 0);
+
+            const storm = this.solarActivity ? this.solarActivity.stormAt(frame.position) : 0;
+            magnetosphere.auroraMaterial.uniforms.u_intensity.value = baseAurora * (1 + 3 * storm);
+            magnetosphere.auroraMaterial.uniforms.u_time.value = this.time;
+            magnetosphere.auroras.forEach(aurora => {
+                aurora.visible = this.show.auroras;
+            });
+        });
+    }
+}
@@ -0,0 +1,265 @@
+// The night sky: stars from a catalog file placed by right ascension and declination, and optional
+// constellation lines and labels.
+//
+// A catalog file (public/sky/stars.json, the Hipparcos stars down to magnitude 6.5) looks like
+//   {
+//     "name": "Hipparcos stars to magnitude 6.5",
+//     "completeTo": 6.5,
+//     "stars": [["alf Ori", "Betelgeuse", 88.793, 7.407, 0.45, 1.5], [87.74, -35.768, 3.12, 1.15], ...],
+//     "constellations": [{ "name": "Orion", "lines": [["alf Ori", "gam Ori"], ...] }]
+//   }
+// Each star is [right ascension, declination, V magnitude, B-V color index], with J2000
+// coordinates in degrees, optionally preceded by a designation and a proper name (which lines and
+// labels need). `completeTo` is the magnitude down to which the catalog holds every star. Lines
+// join two designations.
+//
+// The sky is drawn on a sphere that travels with the camera, so the stars are at infinity.
+
+import * as THREE from 'three';
+import { equatorialToEcliptic, eclipticToScene } from './ephemeris.js';
+import { blackbodyColor } from './stellarSurface.js';
+import starsVertexShader from './shaders/stars.vertex.glsl?raw';
+import starsFragmentShader from './shaders/stars.fragment.glsl?raw';
+
+export const DEFAULT_STAR_CATALOG_URL = 'sky/stars.json';
+
+export const SKY_RADIUS = 350; // Inside the camera's far plane
+const STAR_POINT_SIZE = 2; // Pixels for a magnitude 2 star and anything fainter
+const LABEL_HEIGHT = 0.03; // On screen: sprites without size attenuation are sized as if one unit away
+const NAMED_STAR_LIMIT = 1.5; // Proper names shown for stars at least this bright
+
+// Galactic north pole and center (J2000 right ascension and declination, degrees)
+const GALACTIC_POLE = [192.85948, 27.12825];
+const GALACTIC_CENTER = [266.40510, -28.93617];
+
+// Raised when a star catalog is malformed; `errors` lists each problem
+export class StarCatalogError extends Error {
+    constructor(errors) {
+        super(`Invalid star catalog (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+        this.name = 'StarCatalogError';
+        this.errors = errors;
+    }
+}
+
+// Check a catalog definition and return it with stars as objects
+export function parseStarCatalog(catalog) {
+    if (!catalog || typeof catalog !== 'object' || !Array.isArray(catalog.stars)) {
+        throw new StarCatalogError(['catalog: expected an object with a "stars" array']);
+    }
+
+    const errors = [];
+    const ids = new Set();
+    const stars = [];
+    catalog.stars.forEach((row, index) => {
+        const fields = Array.isArray(row) ? row : [];
+        const [id, name, ra, dec, magnitude, bv] = fields.length === 4 ? [null, null, ...fields] : fields;
+        const wellFormed = fields.length === 4 || (fields.length === 6 && typeof id === 'string' && typeof name === 'string');
+        if (!wellFormed || ![ra, dec, magnitude, bv].every(Number.isFinite) || Math.abs(dec) > 90) {
+            errors.push(`catalog.stars[${index}]: expected [ra, dec (-90 to 90), magnitude, B-V], optionally after a designation and name`);
+            return;
+        }
+        if (id) ids.add(id);
+        stars.push({ id, name, ra, dec, magnitude, bv });
+    });
+
+    const constellations = catalog.constellations || [];
+    if (!Array.isArray(constellations)) {
+        errors.push('catalog.constellations: expected an array');
+    } else {
+        constellations.forEach((constellation, index) => {
+            const path = `catalog.constellations[${index}]`;
+            if (typeof constellation.name !== 'string' || !Array.isArray(constellation.lines)) {
+                errors.push(`${path}: expected { name, lines: [[designation, designation], ...] }`);
+                return;
+            }
+            constellation.lines.forEach((line, lineIndex) => {
+                if (!Array.isArray(line) || line.length !== 2 || !line.every(id => ids.has(id))) {
+                    errors.push(`${path}.lines[${lineIndex}]: expected two designations from the star list`);
+                }
+            });
+        });
+    }
+
+    if (catalog.completeTo !== undefined && !Number.isFinite(catalog.completeTo)) {
+        errors.push('catalog.completeTo: expected a magnitude');
+    }
+
+    if (errors.length > 0) {
+        throw new StarCatalogError(errors);
+    }
+
+    return {
+        name: catalog.name || 'Star catalog',
+        completeTo: catalog.completeTo ?? Math.max(...stars.map(star => star.magnitude)),
+        stars,
+        constellations: Array.isArray(constellations) ? constellations : []
+    };
+}
+
+// Fetch and check a star catalog
+export async function loadStarCatalog(url = DEFAULT_STAR_CATALOG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new StarCatalogError([`could not load "${url}" (${response.status} ${response.statusText})`]);
+    }
+    // Static hosts answer a missing file with the app's index.html, so check what came back
+    const type = response.headers.get('Content-Type') || '';
+    if (!type.includes('json')) {
+        throw new StarCatalogError([`"${url}" is not a JSON file (got ${type || 'no content type'})`]);
+    }
+    return parseStarCatalog(await response.json());
+}
+
+// Scene direction of a J2000 right ascension and declination
+function skyDirection(ra, dec, target = new THREE.Vector3()) {
+    return eclipticToScene(equatorialToEcliptic(ra, dec), target);
+}
+
+// Effective temperature of a star from its B-V color index (Ballesteros 2012)
+export function colorIndexTemperature(bv) {
+    return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+// Matrix taking a galactic panorama on a THREE.SphereGeometry (galactic center in the middle,
+// longitude increasing to the left as seen from inside, north at the top) onto the sky.
+// `longitudeOffset` (radians) turns it about the galactic poles for panoramas centered elsewhere.
+export function galacticPanoramaMatrix(longitudeOffset = 0, target = new THREE.Matrix4()) {
+    const center = skyDirection(...GALACTIC_CENTER);
+    const pole = skyDirection(...GALACTIC_POLE);
+    const longitude90 = new THREE.Vector3().crossVectors(pole, center);
+
+    // The sphere's local +X, +Y and +Z are at longitude 0, the north pole and longitude 90; seen
+    // from inside that is a mirror image, hence the left-handed basis
+    return target.makeBasis(center, pole, longitude90).multiply(new THREE.Matrix4().makeRotationY(longitudeOffset));
+}
+
+// Matrix taking a cube map of the equatorial sky onto the sky, for faces laid out as CesiumJS's
+// sky box. Looked up mirrored in x, as three draws cube maps, its +X is at right ascension 180°,
+// +Y at 270° and +Z at the north celestial pole. `raOffset` (radians) turns it about the poles.
+export function equatorialCubeMatrix(raOffset = 0, target = new THREE.Matrix4()) {
+    const ra180 = skyDirection(180, 0);
+    const ra270 = skyDirection(270, 0);
+    const pole = skyDirection(0, 90);
+    return target.makeBasis(ra180, ra270, pole).multiply(new THREE.Matrix4().makeRotationZ(raOffset));
+}
+
+// Text on a transparent canvas as a sprite that keeps its size on screen
+function createLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = '28px Arial, sans-serif';
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 8;
+    canvas.height = 36;
+    context.font = font;
+    context.fillStyle = color;
+    context.textBaseline = 'middle';
+    context.fillText(text, 4, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false, sizeAttenuation: false }));
+    sprite.scale.set(LABEL_HEIGHT * canvas.width / canvas.height, LABEL_HEIGHT, 1);
+    return sprite;
+}
+
+export class StarField {
+    // `catalog` is a parsed catalog, or null for an empty sky
+    constructor({ scene, catalog = null, pixelRatio = 1 }) {
+        this.catalog = catalog;
+
+        // Follows the camera; see update()
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this._createStars();
+        this._createConstellations();
+        this.setPixelRatio(pixelRatio);
+    }
+
+    _createStars() {
+        const stars = this.catalog ? this.catalog.stars : [];
+        const direction = new THREE.Vector3();
+        const color = new THREE.Color();
+        const white = new THREE.Color(1, 1, 1);
+
+        const positions = new Float32Array(stars.length * 3);
+        const colors = new Float32Array(stars.length * 3);
+        const magnitudes = new Float32Array(stars.length);
+        stars.forEach((star, i) => {
+            skyDirection(star.ra, star.dec, direction).multiplyScalar(SKY_RADIUS).toArray(positions, i * 3);
+
+            // Star colors look paler to the eye than their blackbody color
+            blackbodyColor(colorIndexTemperature(star.bv), color).lerp(white, 0.35).toArray(colors, i * 3);
+            magnitudes[i] = star.magnitude;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('a_color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('a_magnitude', new THREE.Float32BufferAttribute(magnitudes, 1));
+
+        this.points = new THREE.Points(geometry, new THREE.ShaderMaterial({
+            uniforms: {
+                u_pointSize: { value: STAR_POINT_SIZE },
+                u_brightness: { value: 1 },
+                u_magnitudeLimit: { value: 7 } // Half a magnitude past the faintest catalog stars, which fade out below it
+            },
+            vertexShader: starsVertexShader,
+            fragmentShader: starsFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        this.points.renderOrder = -1; // Over the Milky Way, under everything else
+        this.group.add(this.points);
+    }
+
+    _createConstellations() {
+        const catalog = this.catalog || { stars: [], constellations: [] };
+        const directions = new Map(catalog.stars.map(star => [star.id, skyDirection(star.ra, star.dec)]));
+
+        // Lines a little inside the stars so they don't cover them
+        const positions = [];
+        this.labels = new THREE.Group();
+        catalog.constellations.forEach(({ name, lines }) => {
+            const middle = new THREE.Vector3();
+            lines.forEach(([a, b]) => {
+                const start = directions.get(a), end = directions.get(b);
+                positions.push(...start.clone().multiplyScalar(SKY_RADIUS * 0.99).toArray(), ...end.clone().multiplyScalar(SKY_RADIUS * 0.99).toArray());
+                middle.add(start).add(end);
+            });
+
+            const label = createLabel(name.toUpperCase(), 'rgba(140, 170, 255, 0.8)');
+            label.position.copy(middle.normalize()).multiplyScalar(SKY_RADIUS * 0.98);
+            this.labels.add(label);
+        });
+
+        catalog.stars.filter(star => star.name && star.magnitude <= NAMED_STAR_LIMIT).forEach(star => {
+            const label = createLabel(star.name, 'rgba(255, 240, 200, 0.8)');
+            label.center.set(-0.1, 0.5); // Just right of the star
+            label.position.copy(directions.get(star.id)).multiplyScalar(SKY_RADIUS * 0.98);
+            this.labels.add(label);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color: 0x4466aa,
+            transparent: true,
+            opacity: 0.45,
+            depthWrite: false
+        }));
+        this.lines.visible = false;
+        this.labels.visible = false;
+        this.group.add(this.lines, this.labels);
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.points.material.uniforms.u_pointSize.value = STAR_POINT_SIZE * pixelRatio;
+    }
+
+    // Keep the sky centered on the camera
+    update(camera) {
+        this.group.position.copy(camera.position);
+    }
+}
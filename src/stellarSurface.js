@@ -0,0 +1,56 @@
+// A star's appearance from its effective temperature: blackbody colors for the sun shader,
+// the light it casts and its corona.
+
+import * as THREE from 'three';
+
+// Temperatures covered by the shader's color ramp, in kelvin
+export const BLACKBODY_MIN = 1000;
+export const BLACKBODY_MAX = 15000;
+const RAMP_SIZE = 256;
+
+// Typical sizes of the convection cells on a sun-like star
+export const GRANULE_SIZE_KM = 1000;
+export const SUPERGRANULE_SIZE_KM = 30000;
+
+// Piecewise Gaussian fit of the CIE 1931 color matching functions (Wyman, Sloan and Shirley 2013)
+function lobe(wavelength, mean, sigmaBelow, sigmaAbove) {
+    const t = (wavelength - mean) / (wavelength < mean ? sigmaBelow : sigmaAbove);
+    return Math.exp(-0.5 * t * t);
+}
+
+// Planck's law up to a constant factor; wavelength in nm
+function planck(wavelength, temperature) {
+    return 1 / (wavelength ** 5 * (Math.exp(1.4388e7 / (wavelength * temperature)) - 1));
+}
+
+// Linear RGB color of a blackbody at `temperature` kelvin, scaled so the brightest channel is 1
+export function blackbodyColor(temperature, target = new THREE.Color()) {
+    let x = 0, y = 0, z = 0;
+    for (let wavelength = 380; wavelength <= 780; wavelength += 5) {
+        const power = planck(wavelength, temperature);
+        x += power * (1.056 * lobe(wavelength, 599.8, 37.9, 31.0) + 0.362 * lobe(wavelength, 442.0, 16.0, 26.7) - 0.065 * lobe(wavelength, 501.1, 20.4, 26.2));
+        y += power * (0.821 * lobe(wavelength, 568.8, 46.9, 40.5) + 0.286 * lobe(wavelength, 530.9, 16.3, 31.1));
+        z += power * (1.217 * lobe(wavelength, 437.0, 11.8, 36.0) + 0.681 * lobe(wavelength, 459.0, 26.0, 13.8));
+    }
+
+    // CIE XYZ to linear sRGB, dropping what falls outside the gamut
+    const r = Math.max(0, 3.2406 * x - 1.5372 * y - 0.4986 * z);
+    const g = Math.max(0, -0.9689 * x + 1.8758 * y + 0.0415 * z);
+    const b = Math.max(0, 0.0557 * x - 0.2040 * y + 1.0570 * z);
+    const brightest = Math.max(r, g, b);
+    return target.setRGB(r / brightest, g / brightest, b / brightest);
+}
+
+// Blackbody colors from BLACKBODY_MIN to BLACKBODY_MAX as a 1D lookup texture
+export function createBlackbodyTexture() {
+    const data = new Uint8Array(RAMP_SIZE * 4);
+    const color = new THREE.Color();
+    for (let i = 0; i < RAMP_SIZE; i++) {
+        blackbodyColor(THREE.MathUtils.lerp(BLACKBODY_MIN, BLACKBODY_MAX, i / (RAMP_SIZE - 1)), color);
+        data.set([color.r * 255, color.g * 255, color.b * 255, 255], i * 4);
+    }
+    const texture = new THREE.DataTexture(data, RAMP_SIZE, 1);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
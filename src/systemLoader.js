@@ -0,0 +1,557 @@
+// Loads a system definition file and builds its bodies generically
+
+import * as THREE from 'three';
+import { validateSystem } from './systemSchema.js';
+import { meanMotion, equatorialToEcliptic, orbitNormal, eclipticToScene, J2000 } from './ephemeris.js';
+import { createSurfaceTexture, createCloudTexture, createRingTexture } from './proceduralTextures.js';
+import { createDayNightMaterial } from './dayNightMaterial.js';
+import { rotationAngle } from './simulationClock.js';
+import { lunarPosition } from './lunarTheory.js';
+
+export const DEFAULT_SYSTEM_URL = 'systems/solar-system.json';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Earth's rotation pole in scene coordinates; equator nodes are measured from it as in the IAU convention
+const CELESTIAL_NORTH = eclipticToScene(equatorialToEcliptic(0, 90), new THREE.Vector3());
+
+const _lunar = {};
+
+// Defaults for optional star settings (the values the Sun used before systems were data-driven)
+const STAR_DEFAULTS = {
+    radiusKm: 695700,
+    mass: 1,
+    temperature: 5772,
+    rotationPeriod: 609.12,
+    primeMeridian: 0,
+    shader: {
+        octaves: 6,
+        lacunarity: 2.0,
+        gain: 0.5,
+        rotationSpeed: 0.001,
+        sunspotIntensity: 1.0
+    },
+    // Solar values per linear sRGB channel; limb darkening is stronger at shorter wavelengths
+    limbDarkening: {
+        linear: [0.40, 0.47, 0.60],
+        quadratic: [0.20, 0.23, 0.20]
+    },
+    corona: {
+        size: 4,
+        intensity: 1.0,
+        pulsationSpeed: 0.5
+    },
+    light: {
+        intensity: 2,
+        distance: 50
+    },
+    activity: {
+        level: 0.5,
+        frequency: 1.0,
+        intensity: 1.0
+    }
+};
+
+// Raised when a system file is unreadable or fails validation; `errors` lists each problem
+export class SystemDefinitionError extends Error {
+    constructor(url, errors) {
+        super(`Invalid system definition "${url}" (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+        this.name = 'SystemDefinitionError';
+        this.url = url;
+        this.errors = errors;
+    }
+}
+
+// Checks that need more than one value at a time
+function checkConsistency(system, errors) {
+    const names = new Set([system.star.name]);
+    const checkName = (name, path) => {
+        if (names.has(name)) errors.push(`${path}.name: duplicate body name "${name}"`);
+        names.add(name);
+    };
+
+    system.bodies.forEach((body, index) => {
+        const path = `system.bodies[${index}]`;
+        checkName(body.name, path);
+
+        const e = body.elements.eccentricity;
+        if ((Array.isArray(e) ? e[0] : e) >= 1) {
+            errors.push(`${path}.elements.eccentricity: must be below 1 (elliptical orbits only)`);
+        }
+        if (body.rings && body.rings.outerRadius <= body.rings.innerRadius) {
+            errors.push(`${path}.rings: outerRadius must be larger than innerRadius`);
+        }
+        (body.moons || []).forEach((moon, moonIndex) => {
+            const moonPath = `${path}.moons[${moonIndex}]`;
+            checkName(moon.name, moonPath);
+            if (moon.ephemeris && (moon.referencePlane !== 'ecliptic' || !moon.orbitalDistanceKm)) {
+                errors.push(`${moonPath}.ephemeris: needs referencePlane "ecliptic" and orbitalDistanceKm`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Spin axis as a unit vector in ecliptic coordinates, from an IAU pole (J2000 right ascension
+// and declination) or an obliquity to the body's orbit. Null when neither is given.
+function spinAxis(def) {
+    if (def.pole) {
+        return equatorialToEcliptic(def.pole.ra, def.pole.dec);
+    }
+    if (def.obliquity === undefined || !def.elements) return null;
+
+    // Tip the orbit normal over by the obliquity, about the orbit's line of nodes.
+    // The obliquity is measured to the spin's angular momentum, which points down the axis for retrograde rotation.
+    const normal = orbitNormal(def.elements, J2000);
+    const node = def.elements.longitudeOfAscendingNode[0] * DEG_TO_RAD;
+    const nodeX = Math.cos(node), nodeY = Math.sin(node);
+    const tilt = (def.rotationPeriod < 0 ? 180 - def.obliquity : def.obliquity) * DEG_TO_RAD;
+    const cos = Math.cos(tilt), sin = Math.sin(tilt);
+    return {
+        x: normal.x * cos + nodeY * normal.z * sin,
+        y: normal.y * cos - nodeX * normal.z * sin,
+        z: normal.z * cos + (nodeX * normal.y - nodeY * normal.x) * sin
+    };
+}
+
+// Obliquity in degrees: the angle between the body's spin angular momentum and its orbit normal.
+// IAU poles point to the north of the ecliptic, so retrograde rotators come out above 90.
+function axialTilt(axis, elements, rotationPeriod) {
+    const normal = orbitNormal(elements, J2000);
+    const { x, y, z } = axis || { x: 0, y: 0, z: 1 };
+    const angle = Math.acos(Math.min(1, Math.max(-1, x * normal.x + y * normal.y + z * normal.z))) / DEG_TO_RAD;
+    return rotationPeriod < 0 ? 180 - angle : angle;
+}
+
+// Fill in defaults and expand single-value orbital elements to [value, rate] pairs
+function normalizeSystem(system) {
+    const star = {
+        ...STAR_DEFAULTS,
+        ...system.star,
+        shader: { ...STAR_DEFAULTS.shader, ...system.star.shader },
+        limbDarkening: { ...STAR_DEFAULTS.limbDarkening, ...system.star.limbDarkening },
+        corona: { ...STAR_DEFAULTS.corona, ...system.star.corona },
+        light: { ...STAR_DEFAULTS.light, ...system.star.light },
+        activity: { ...STAR_DEFAULTS.activity, ...system.star.activity }
+    };
+    star.spinAxis = spinAxis(star);
+
+    const bodies = system.bodies.map(body => {
+        const elements = {};
+        Object.entries(body.elements).forEach(([key, value]) => {
+            elements[key] = Array.isArray(value) ? value : [value, 0];
+        });
+
+        // A bare mean anomaly means "no rate given": derive it from Kepler's third law
+        if (!Array.isArray(body.elements.meanAnomaly)) {
+            elements.meanAnomaly[1] = meanMotion(elements.semiMajorAxis[0], star.mass);
+        }
+
+        const axis = spinAxis({ ...body, elements });
+
+        return {
+            color: '#888888',
+            rotationPeriod: 24,
+            primeMeridian: 0,
+            ...body,
+            spinAxis: axis,
+            axialTilt: axialTilt(axis, elements, body.rotationPeriod ?? 24),
+            elements,
+            clouds: body.clouds ? {
+                altitude: 0.01,
+                opacity: 1,
+                color: '#ffffff',
+                style: 'patchy',
+                rotationPeriod: body.rotationPeriod ?? 24, // Turns with the surface unless specified
+                ...body.clouds
+            } : null,
+            atmosphere: body.atmosphere ? {
+                color: '#6699ff',
+                thickness: 0.025,
+                density: 1,
+                ...body.atmosphere
+            } : null,
+            magnetosphere: body.magnetosphere ? {
+                auroraLatitude: 70,
+                auroraColor: '#5cff8a',
+                ...body.magnetosphere
+            } : null,
+            moons: (body.moons || []).map(moon => ({
+                color: '#888888',
+                rotationPeriod: moon.orbitalPeriod * 24, // Tidally locked unless specified
+                inclination: 0,
+                ascendingNode: 0,
+                phase: 0,
+                referencePlane: 'equator',
+                ...moon
+            }))
+        };
+    });
+
+    return { ...system, star, bodies };
+}
+
+// Orientation of a body's equatorial frame in the scene: local Y along the spin axis and
+// local X towards the ascending node of its equator on Earth's equator, which is where IAU
+// prime meridian angles are measured from. Bodies without a spin axis keep the scene axes.
+export function equatorialFrame(axis, target = new THREE.Quaternion()) {
+    target.identity();
+    if (!axis) return target;
+
+    const y = eclipticToScene(axis, new THREE.Vector3());
+    const x = new THREE.Vector3().crossVectors(CELESTIAL_NORTH, y);
+    if (x.lengthSq() < 1e-12) {
+        // Parallel to Earth's pole: the IAU node for a pole at right ascension 0 is at 90
+        eclipticToScene(equatorialToEcliptic(90, 0), x);
+    } else {
+        x.normalize();
+    }
+    const z = new THREE.Vector3().crossVectors(x, y);
+    return target.setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+}
+
+// Fetch, validate and normalize a system definition
+export async function loadSystem(url = DEFAULT_SYSTEM_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new SystemDefinitionError(url, [`could not load file (${response.status} ${response.statusText})`]);
+    }
+    // Static hosts answer a missing file with the app's index.html, so check what came back
+    const type = response.headers.get('Content-Type') || '';
+    if (!type.includes('json')) {
+        throw new SystemDefinitionError(url, [`not a JSON file (got ${type || 'no content type'})`]);
+    }
+
+    let system;
+    try {
+        system = await response.json();
+    } catch (e) {
+        throw new SystemDefinitionError(url, [`not valid JSON: ${e.message}`]);
+    }
+
+    return parseSystem(system, url);
+}
+
+// Validate and normalize an already parsed definition; `source` names it in error messages
+export function parseSystem(system, source = 'inline definition') {
+    const errors = validateSystem(system);
+    if (errors.length === 0) {
+        checkConsistency(system, errors);
+    }
+    if (errors.length > 0) {
+        throw new SystemDefinitionError(source, errors);
+    }
+
+    return normalizeSystem(system);
+}
+
+// PBR material for a body, with its base texture and any extra maps, or the day/night
+// shader for a body with a night map. With `generated` (or a `surface` style in the definition),
+// a body whose texture is missing or fails to load gets a procedural texture instead of a flat color.
+function createBodyMaterial(def, assets, defaultRoughness, { generated = false } = {}) {
+    const materialDef = def.material || {};
+    if (materialDef.nightMap) return createDayNightMaterial(def, assets);
+
+    const useGenerated = generated || Boolean(def.surface);
+    const material = new THREE.MeshStandardMaterial({
+        color: def.texture || useGenerated ? 0xffffff : def.color,
+        map: !def.texture && useGenerated ? createSurfaceTexture(def) : null,
+        metalness: materialDef.metalness ?? 0.0,
+        roughness: materialDef.roughness ?? defaultRoughness
+    });
+
+    if (def.texture) {
+        material.map = assets.load(def.texture, {
+            owner: def.name,
+            subject: `texture for ${def.name}`,
+            fallback: useGenerated ? 'using a generated texture' : 'using fallback color',
+            onError: texture => {
+                texture.dispose();
+                material.map = useGenerated ? createSurfaceTexture(def) : null;
+                if (!useGenerated) material.color.set(def.color);
+                material.needsUpdate = true;
+            }
+        });
+    }
+
+    // Bump, normal and specular maps are kept aside so the surface detail can be switched off.
+    // A map that fails to load is dropped rather than left black, which would darken the body.
+    const detailMaps = {};
+    const loadMap = (key, url) => {
+        detailMaps[key] = assets.load(url, {
+            owner: def.name,
+            subject: `${key} for ${def.name}`,
+            onError: texture => {
+                if (material[key] === texture) {
+                    material[key] = null;
+                    material.needsUpdate = true;
+                }
+                delete detailMaps[key];
+            }
+        });
+        material[key] = detailMaps[key];
+    };
+
+    if (materialDef.normalMap) {
+        loadMap('normalMap', materialDef.normalMap);
+        const normalScale = materialDef.normalScale ?? 1.0;
+        material.normalScale = new THREE.Vector2(normalScale, normalScale);
+    }
+    if (materialDef.bumpMap) {
+        loadMap('bumpMap', materialDef.bumpMap);
+        material.userData.bumpScale = materialDef.bumpScale ?? 1.0; // At the body's scene radius, see scaleBumpMap
+        material.bumpScale = material.userData.bumpScale;
+    }
+    if (materialDef.specularMap) {
+        loadMap('roughnessMap', materialDef.specularMap);
+        useSpecularMap(material, materialDef.specularRoughness ?? 0.3);
+    } else if (materialDef.roughnessMap) {
+        loadMap('roughnessMap', materialDef.roughnessMap);
+    }
+    if (materialDef.metalnessMap) {
+        material.metalnessMap = assets.load(materialDef.metalnessMap, {
+            owner: def.name,
+            subject: `metalnessMap for ${def.name}`,
+            onError: () => {
+                material.metalnessMap = null;
+                material.needsUpdate = true;
+            }
+        });
+    }
+    material.userData.detailMaps = detailMaps;
+
+    return material;
+}
+
+// Read a specular map (bright where the surface is shiny, such as oceans) through the
+// roughness map slot: roughness runs from the material's value down to `specularRoughness`
+function useSpecularMap(material, specularRoughness) {
+    material.onBeforeCompile = shader => {
+        shader.uniforms.specularRoughness = { value: specularRoughness };
+        shader.fragmentShader = `uniform float specularRoughness;\n${shader.fragmentShader}`.replace(
+            '#include <roughnessmap_fragment>',
+            `float roughnessFactor = roughness;
+            #ifdef USE_ROUGHNESSMAP
+                roughnessFactor = mix(roughness, specularRoughness, texture2D(roughnessMap, vUv).g);
+            #endif`
+        );
+    };
+    material.customProgramCacheKey = () => 'specularMap';
+}
+
+// Switch a body material's bump, normal and specular maps on or off
+export function setDetailMaps(material, enabled) {
+    if (material.uniforms && material.uniforms.u_detailMaps) {
+        material.uniforms.u_detailMaps.value = enabled ? 1 : 0; // Day/night shader
+        return;
+    }
+    Object.entries(material.userData.detailMaps || {}).forEach(([key, texture]) => {
+        material[key] = enabled ? texture : null;
+    });
+    material.needsUpdate = true;
+}
+
+// Bump heights are in world units, so they follow the size the body is drawn at
+export function scaleBumpMap(material, scale) {
+    if (material.userData.bumpScale === undefined) return;
+    const bumpScale = material.userData.bumpScale * scale;
+    if (material.uniforms) {
+        material.uniforms.u_bumpScale.value = bumpScale; // Day/night shader
+    } else {
+        material.bumpScale = bumpScale;
+    }
+}
+
+// Transparent shell just above the surface for a body's cloud layer (or opaque atmosphere).
+// It sits in the equatorial frame next to the body mesh, so it can turn at its own rate.
+function createClouds(def, assets) {
+    const cloudDef = { name: def.name, ...def.clouds };
+    const material = new THREE.MeshStandardMaterial({
+        color: cloudDef.color,
+        transparent: true,
+        opacity: cloudDef.opacity,
+        depthWrite: false,
+        roughness: 1.0,
+        metalness: 0.0
+    });
+
+    if (cloudDef.texture) {
+        const options = {
+            owner: def.name,
+            subject: `cloud texture for ${def.name}`,
+            fallback: 'using a generated texture',
+            onError: () => {
+                if (material.map && material.map.isCanvasTexture) return; // Already replaced
+                [material.map, material.alphaMap].forEach(texture => texture && texture.dispose());
+                material.map = createCloudTexture(cloudDef);
+                material.alphaMap = material.map;
+                material.needsUpdate = true;
+            }
+        };
+        material.map = assets.load(cloudDef.texture, options);
+        if (cloudDef.alphaMap === cloudDef.texture) {
+            material.alphaMap = material.map; // Grayscale clouds are their own alpha
+        } else if (cloudDef.alphaMap) {
+            material.alphaMap = assets.load(cloudDef.alphaMap, { ...options, subject: `cloud alpha map for ${def.name}` });
+        }
+    } else {
+        material.map = createCloudTexture(cloudDef);
+        material.alphaMap = material.map;
+    }
+
+    const clouds = new THREE.Mesh(new THREE.SphereGeometry(def.radius * (1 + cloudDef.altitude), 48, 32), material);
+    clouds.renderOrder = 1; // After the opaque surface beneath
+    return clouds;
+}
+
+// Flat ring system lying in the body's equatorial plane (tilt moves it out of the plane).
+// Textures are radial strips, from the inner edge (u = 0) to the outer edge (u = 1).
+function createRings(ringDef, assets, name) {
+    const geometry = new THREE.RingGeometry(ringDef.innerRadius, ringDef.outerRadius, 128);
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < position.count; i++) {
+        const radius = Math.hypot(position.getX(i), position.getY(i));
+        uv.setXY(i, (radius - ringDef.innerRadius) / (ringDef.outerRadius - ringDef.innerRadius), 0.5);
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+        color: ringDef.texture ? 0xffffff : ringDef.color || 0xA79D7E,
+        transparent: true,
+        opacity: ringDef.opacity ?? 1.0,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        roughness: ringDef.roughness ?? 0.85,
+        metalness: 0.0
+    });
+
+    if (ringDef.texture) {
+        // Without an alpha map the texture carried the ringlets, so generate them instead
+        material.map = assets.load(ringDef.texture, {
+            owner: name,
+            subject: `ring texture for ${name}`,
+            fallback: ringDef.alphaMap ? 'using fallback color' : 'using a generated texture',
+            onError: texture => {
+                texture.dispose();
+                material.map = ringDef.alphaMap ? null : createRingTexture({ name, color: ringDef.color });
+                material.color.set(ringDef.alphaMap ? ringDef.color || 0xA79D7E : 0xffffff);
+                material.needsUpdate = true;
+            }
+        });
+    }
+    if (ringDef.alphaMap) {
+        material.alphaMap = assets.load(ringDef.alphaMap, {
+            owner: name,
+            subject: `ring alpha map for ${name}`,
+            fallback: 'drawing the rings solid',
+            onError: texture => {
+                texture.dispose();
+                material.alphaMap = null;
+                material.needsUpdate = true;
+            }
+        });
+    }
+
+    const ring = new THREE.Mesh(geometry, material);
+    ring.rotation.x = Math.PI / 2 + (ringDef.tilt || 0) * DEG_TO_RAD;
+    return ring;
+}
+
+// Where a moon is at `days` after J2000, relative to its mean orbit: the longitude of the orbit's
+// ascending node (which drifts if the moon has a nodalPeriod) and its inclination, in radians,
+// the moon's angle along the orbit from that node and its latitude above the orbit plane, in
+// radians, and its distance as a fraction of the orbit's radius.
+// On a circular orbit the angle keeps its sidereal rate, so it is measured from the drifting node.
+// A moon with an `ephemeris` follows that theory instead, off its mean orbit and nearer or farther.
+export function moonOrbitAngles(data, days) {
+    const inclination = data.inclination * DEG_TO_RAD;
+    if (data.ephemeris === 'lunar') {
+        const { longitude, latitude, distance, node } = lunarPosition(J2000 + days, _lunar);
+
+        // The Moon's direction in axes along the node, turned into the mean orbit plane
+        const x = Math.cos(latitude) * Math.cos(longitude - node);
+        const y = Math.cos(latitude) * Math.sin(longitude - node);
+        const z = Math.sin(latitude);
+        return {
+            node,
+            inclination,
+            angle: Math.atan2(y * Math.cos(inclination) + z * Math.sin(inclination), x),
+            latitude: Math.asin(z * Math.cos(inclination) - y * Math.sin(inclination)),
+            distance: distance / data.orbitalDistanceKm
+        };
+    }
+
+    const drift = data.nodalPeriod ? rotationAngle(days, data.nodalPeriod * 24) : 0;
+    return {
+        node: data.ascendingNode * DEG_TO_RAD + drift,
+        inclination,
+        angle: data.phase * DEG_TO_RAD + rotationAngle(days, data.orbitalPeriod * 24) - drift,
+        latitude: 0,
+        distance: 1
+    };
+}
+
+// Build meshes for every body, ring, cloud layer and moon in the system and add them to the scene.
+// Each planet gets an equatorial frame (positioned on its orbit and aligned with its spin axis)
+// holding the spinning mesh, its clouds, its rings and its moons' orbits.
+// Returns entries of { object, frame, clouds, rings, data } for planets (clouds and rings are null
+// when the body has none) and { object, orbit, frame, parentData, data } for moons, where `frame` is the planet's frame and `orbit` the pivot the moon circles its planet on.
+// The pivot sits in an orbit plane object (orbit.parent) tilted by the moon's inclination.
+// Each planet comes just before its moons.
+// Textures come through `assets` (an AssetLoader), with each planet or moon as their owner.
+export function createBodies(system, scene, assets) {
+    const bodies = [];
+
+    system.bodies.forEach(data => {
+        const frame = new THREE.Group();
+        equatorialFrame(data.spinAxis, frame.quaternion);
+        scene.add(frame);
+
+        const planet = new THREE.Mesh(
+            new THREE.SphereGeometry(data.radius, 32, 32),
+            createBodyMaterial(data, assets, 0.7)
+        );
+        frame.add(planet);
+
+        const clouds = data.clouds ? createClouds(data, assets) : null;
+        if (clouds) frame.add(clouds);
+
+        const rings = data.rings ? createRings(data.rings, assets, data.name) : null;
+        if (rings) frame.add(rings);
+
+        bodies.push({ object: planet, frame, clouds, rings, data });
+
+        data.moons.forEach(moonData => {
+            const moon = new THREE.Mesh(
+                new THREE.SphereGeometry(moonData.radius, 24, 24),
+                createBodyMaterial(moonData, assets, 0.9, { generated: true })
+            );
+
+            // Orbit plane in the planet's equatorial frame (or the ecliptic), tilted about its line of nodes
+            const orbitPlane = new THREE.Object3D();
+            orbitPlane.rotation.order = 'YXZ';
+            orbitPlane.rotation.set(moonData.inclination * DEG_TO_RAD, moonData.ascendingNode * DEG_TO_RAD, 0);
+            if (moonData.referencePlane === 'ecliptic') {
+                // Undo the frame's tilt, leaving the scene (ecliptic) axes
+                const ecliptic = new THREE.Object3D();
+                ecliptic.quaternion.copy(frame.quaternion).invert();
+                ecliptic.add(orbitPlane);
+                frame.add(ecliptic);
+            } else {
+                frame.add(orbitPlane);
+            }
+
+            // Pivot object the moon orbits on
+            const moonOrbit = new THREE.Object3D();
+            moonOrbit.add(moon);
+            moon.position.x = moonData.orbitalRadius;
+            orbitPlane.add(moonOrbit);
+
+            bodies.push({ object: moon, orbit: moonOrbit, frame, parentData: data, data: moonData });
+        });
+    });
+
+    console.log(`Created ${bodies.length} bodies for ${system.name}`);
+    return bodies;
+}
@@ -0,0 +1,249 @@
+// Schema and validator for system definition files (public/systems/*.json)
+//
+// The schema is a small declarative tree of node descriptions rather than full JSON
+// Schema, which keeps the error messages short and readable in the loading overlay.
+
+import { SURFACE_STYLES, CLOUD_STYLES } from './proceduralTextures.js';
+
+const number = (options = {}) => ({ type: 'number', ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const object = (properties, required = [], options = {}) => ({ type: 'object', properties, required, ...options });
+const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+
+// "#RRGGBB" string or 0xRRGGBB number
+const color = { type: 'color' };
+// [r, g, b] with components in 0..1
+const vec3 = { type: 'vec3' };
+// A single value (no drift) or a [value at J2000, rate per century] pair
+const element = { type: 'element' };
+
+const materialSchema = object({
+    roughness: number({ min: 0, max: 1 }),
+    metalness: number({ min: 0, max: 1 }),
+    normalMap: string(),
+    normalScale: number(),
+    bumpMap: string(),
+    bumpScale: number(), // Bump height at the body's scene radius
+    roughnessMap: string(),
+    specularMap: string(), // Bright where the surface is shiny, e.g. oceans; replaces roughnessMap
+    specularRoughness: number({ min: 0, max: 1 }), // Roughness where the specular map is white
+    nightMap: string(), // City lights; switches the body to the day/night shader
+    nightIntensity: number({ min: 0 }),
+    metalnessMap: string()
+});
+
+const ringSchema = object({
+    innerRadius: number({ min: 0 }),
+    outerRadius: number({ min: 0 }),
+    tilt: number(), // Degrees out of the equatorial plane
+    color: color,
+    texture: string(),
+    alphaMap: string(),
+    opacity: number({ min: 0, max: 1 }),
+    roughness: number({ min: 0, max: 1 })
+}, ['innerRadius', 'outerRadius']);
+
+// Cloud layer or opaque atmosphere on a shell above the surface
+const cloudSchema = object({
+    texture: string(),
+    alphaMap: string(),
+    color: color,
+    opacity: number({ min: 0, max: 1 }),
+    altitude: number({ min: 0 }), // Height above the surface as a fraction of the radius
+    rotationPeriod: number({ nonZero: true }), // Hours, negative for retrograde
+    style: string({ oneOf: CLOUD_STYLES }) // Look of the generated texture used without a texture file
+});
+
+// Scattering shell drawn around a planet
+const atmosphereSchema = object({
+    color: color, // Rayleigh scattering color; sunsets take the complementary hue
+    thickness: number({ min: 0, exclusiveMin: true }), // Shell height as a fraction of the radius
+    density: number({ min: 0 })
+});
+
+// Bow shock and magnetopause on the side facing the star, and the auroral ovals at the poles.
+// Standoff distances are from the planet's center, in scene units (and in km for true scale).
+const magnetosphereSchema = object({
+    standoff: number({ min: 0, exclusiveMin: true }), // Magnetopause
+    standoffKm: number({ min: 0 }),
+    bowShock: number({ min: 0, exclusiveMin: true }),
+    bowShockKm: number({ min: 0 }),
+    auroraLatitude: number({ min: 0, max: 90 }), // Degrees from the equator to the middle of the oval
+    auroraColor: color
+}, ['standoff', 'bowShock']);
+
+// IAU rotation pole: J2000 right ascension and declination in degrees
+const poleSchema = object({
+    ra: number(),
+    dec: number({ min: -90, max: 90 })
+}, ['ra', 'dec']);
+
+// Look of the generated texture used when a body has no texture file
+const surface = string({ oneOf: SURFACE_STYLES });
+
+const moonSchema = object({
+    name: string(),
+    radius: number({ min: 0, exclusiveMin: true }),
+    radiusKm: number({ min: 0 }),
+    orbitalRadius: number({ min: 0, exclusiveMin: true }),
+    orbitalDistanceKm: number({ min: 0 }),
+    orbitalPeriod: number({ nonZero: true }), // Days, negative for retrograde
+    inclination: number({ min: 0, max: 180 }), // Degrees to the reference plane, above 90 for retrograde
+    ascendingNode: number(), // Degrees
+    phase: number(), // Angle along the orbit from the ascending node at J2000, degrees
+    referencePlane: string({ oneOf: ['equator', 'ecliptic'] }), // What the three angles above are measured from
+    nodalPeriod: number({ nonZero: true }), // Days for the node to go around, negative when it regresses
+    ephemeris: string({ oneOf: ['lunar'] }), // Theory placing the moon instead of its circular orbit: 'lunar' for Earth's Moon
+    rotationPeriod: number({ nonZero: true }), // Hours, negative for retrograde
+    color: color,
+    texture: string(),
+    surface: surface,
+    material: materialSchema
+}, ['name', 'radius', 'orbitalRadius', 'orbitalPeriod']);
+
+const elementsSchema = object({
+    semiMajorAxis: element,
+    eccentricity: element,
+    inclination: element,
+    longitudeOfAscendingNode: element,
+    argumentOfPerihelion: element,
+    meanAnomaly: element
+}, ['semiMajorAxis', 'eccentricity', 'inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion', 'meanAnomaly']);
+
+const bodySchema = object({
+    name: string(),
+    radius: number({ min: 0, exclusiveMin: true }),
+    radiusKm: number({ min: 0 }),
+    orbitalRadius: number({ min: 0, exclusiveMin: true }),
+    color: color,
+    rotationPeriod: number({ nonZero: true }), // Sidereal, hours, negative for retrograde
+    pole: poleSchema,
+    obliquity: number({ min: 0, max: 180 }), // Axial tilt to the orbit in degrees, used when there is no pole
+    primeMeridian: number(), // Rotation angle at J2000 from the equator's node, degrees
+    texture: string(),
+    surface: surface,
+    elements: elementsSchema,
+    material: materialSchema,
+    clouds: cloudSchema,
+    atmosphere: atmosphereSchema,
+    magnetosphere: magnetosphereSchema,
+    rings: ringSchema,
+    moons: arrayOf(moonSchema)
+}, ['name', 'radius', 'orbitalRadius', 'elements']);
+
+const starSchema = object({
+    name: string(),
+    radius: number({ min: 0, exclusiveMin: true }),
+    radiusKm: number({ min: 0 }),
+    mass: number({ min: 0, exclusiveMin: true }), // Solar masses
+    temperature: number({ min: 1000, max: 15000 }), // Effective temperature in kelvin; sets the colors of the surface, light and corona
+    // Quadratic limb darkening coefficients per color channel: I(mu) = 1 - linear (1 - mu) - quadratic (1 - mu)^2
+    limbDarkening: object({
+        linear: vec3,
+        quadratic: vec3
+    }),
+    rotationPeriod: number({ nonZero: true }),
+    pole: poleSchema,
+    primeMeridian: number(),
+    shader: object({
+        octaves: number({ min: 1, max: 10 }),
+        lacunarity: number(),
+        gain: number(),
+        rotationSpeed: number(),
+        sunspotIntensity: number({ min: 0, max: 1 })
+    }),
+    corona: object({
+        size: number({ min: 1, exclusiveMin: true }), // Outer edge in star radii
+        intensity: number({ min: 0 }),
+        pulsationSpeed: number({ min: 0 }) // Speed of the outflow along the streamers
+    }),
+    light: object({
+        intensity: number({ min: 0 }),
+        distance: number({ min: 0 })
+    }),
+    // Prominences, flares and CMEs: level 0 is the activity minimum, 1 the maximum
+    activity: object({
+        level: number({ min: 0, max: 1 }),
+        frequency: number({ min: 0 }),
+        intensity: number({ min: 0 })
+    })
+}, ['name', 'radius']);
+
+export const systemSchema = object({
+    name: string(),
+    description: string(),
+    star: starSchema,
+    bodies: arrayOf(bodySchema, { minItems: 1 })
+}, ['name', 'star', 'bodies']);
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Validate `value` against `schema`; returns a list of "path: problem" strings
+export function validateSystem(value, schema = systemSchema, path = 'system', errors = []) {
+    switch (schema.type) {
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: expected an object`);
+                break;
+            }
+            schema.required.forEach(key => {
+                if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+            });
+            Object.keys(value).forEach(key => {
+                if (!schema.properties[key]) {
+                    errors.push(`${path}: unknown property "${key}"`);
+                } else {
+                    validateSystem(value[key], schema.properties[key], `${path}.${key}`, errors);
+                }
+            });
+            break;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected an array`);
+                break;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, index) => validateSystem(item, schema.items, `${path}[${index}]`, errors));
+            break;
+        }
+        case 'number': {
+            if (!isNumber(value)) {
+                errors.push(`${path}: expected a number`);
+            } else if (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) {
+                errors.push(`${path}: must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                errors.push(`${path}: must be at most ${schema.max}`);
+            } else if (schema.nonZero && value === 0) {
+                errors.push(`${path}: must not be zero`);
+            }
+            break;
+        }
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: expected a string`);
+            } else if (schema.oneOf && !schema.oneOf.includes(value)) {
+                errors.push(`${path}: must be one of ${schema.oneOf.map(option => `"${option}"`).join(', ')}`);
+            }
+            break;
+        case 'color':
+            if (!(typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) && !(Number.isInteger(value) && value >= 0 && value <= 0xffffff)) {
+                errors.push(`${path}: expected a "#RRGGBB" color`);
+            }
+            break;
+        case 'vec3':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(isNumber)) {
+                errors.push(`${path}: expected an [r, g, b] array of numbers`);
+            }
+            break;
+        case 'element':
+            if (!isNumber(value) && !(Array.isArray(value) && value.length === 2 && value.every(isNumber))) {
+                errors.push(`${path}: expected a number or a [value, ratePerCentury] pair`);
+            }
+            break;
+    }
+
+    return errors;
+}
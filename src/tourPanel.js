@@ -0,0 +1,167 @@
+// lil-gui folder for playing and editing camera tours
+
+import { EASINGS } from './cameraTour.js';
+import { downloadJson, chooseJsonFile } from './fileUtils.js';
+
+export function createTourFolder(gui, tour) {
+    const folder = gui.addFolder('Tour');
+
+    const playback = {
+        get playing() {
+            return tour.playing;
+        },
+        set playing(value) {
+            if (value) {
+                tour.play();
+            } else {
+                tour.pause();
+            }
+        },
+        get position() {
+            return tour.time;
+        },
+        set position(value) {
+            tour.seek(value);
+        },
+        get loop() {
+            return tour.tour.loop;
+        },
+        set loop(value) {
+            tour.tour.loop = value;
+        },
+        stop: () => tour.stop()
+    };
+
+    // Fields of the keyframe being edited
+    const editor = {
+        keyframe: 0,
+        time: 0,
+        caption: '',
+        easing: 'easeInOutCubic',
+        recordDate: false,
+        recordTimeRate: false,
+
+        // Add a keyframe from the current view, a few seconds after the last one
+        add: () => {
+            const time = tour.tour.keyframes.length ? tour.duration + 5 : 0;
+            const keyframe = tour.captureKeyframe(time, editor);
+            if (time > 0) keyframe.easing = editor.easing;
+            if (editor.caption) keyframe.caption = editor.caption;
+            tour.setKeyframe(keyframe);
+            refresh(tour.tour.keyframes.findIndex(k => k.time === time));
+        },
+        // Replace the selected keyframe's view with the current one
+        update: () => {
+            const current = tour.tour.keyframes[editor.keyframe];
+            if (!current) return;
+            const keyframe = tour.captureKeyframe(editor.time, editor);
+            ['caption', 'easing', ...(editor.recordDate ? [] : ['date']), ...(editor.recordTimeRate ? [] : ['timeRate'])]
+                .forEach(key => {
+                    if (current[key] !== undefined && keyframe[key] === undefined) keyframe[key] = current[key];
+                });
+            tour.removeKeyframe(editor.keyframe);
+            tour.setKeyframe(keyframe);
+            refresh(tour.tour.keyframes.findIndex(k => k.time === keyframe.time));
+        },
+        goTo: () => {
+            const keyframe = tour.tour.keyframes[editor.keyframe];
+            if (!keyframe) return;
+            if (!tour.active) {
+                tour.play();
+                tour.pause();
+            }
+            tour.seek(keyframe.time);
+        },
+        remove: () => {
+            tour.removeKeyframe(editor.keyframe);
+            refresh(Math.min(editor.keyframe, tour.tour.keyframes.length - 1));
+        },
+        newTour: () => {
+            tour.clear();
+            refresh(0);
+        },
+        save: () => downloadJson(tour.toJSON(), tour.tour.name),
+        load: async () => {
+            try {
+                const file = await chooseJsonFile();
+                if (!file) return;
+                tour.load(file.value);
+                refresh(0);
+                console.log(`Tour "${tour.tour.name}" loaded from ${file.name}`);
+            } catch (e) {
+                console.warn('Could not load tour:', e.message, e.errors || '');
+            }
+        }
+    };
+
+    folder.add(playback, 'playing').name('Play').listen();
+    folder.add(playback, 'stop').name('Stop (Free Camera)');
+    const positionController = folder.add(playback, 'position', 0, Math.max(1, tour.duration), 0.1).name('Position (s)').listen();
+    folder.add(playback, 'loop').name('Loop').listen();
+
+    const keyframeFolder = folder.addFolder('Keyframes');
+    let keyframeController = keyframeFolder.add(editor, 'keyframe', {}).name('Keyframe').onChange(showKeyframe);
+    keyframeFolder.add(editor, 'time', 0, 3600, 0.5).name('Time (s)').onFinishChange(value => {
+        const keyframe = tour.tour.keyframes[editor.keyframe];
+        if (!keyframe) return;
+        // Moving a keyframe can change its place in the list
+        tour.removeKeyframe(editor.keyframe);
+        tour.setKeyframe({ ...keyframe, time: value });
+        refresh(tour.tour.keyframes.findIndex(k => k.time === value));
+    });
+    keyframeFolder.add(editor, 'caption').name('Caption').onFinishChange(value => {
+        const keyframe = tour.tour.keyframes[editor.keyframe];
+        if (!keyframe) return;
+        if (value) {
+            keyframe.caption = value;
+        } else {
+            delete keyframe.caption;
+        }
+    });
+    keyframeFolder.add(editor, 'easing', Object.keys(EASINGS)).name('Easing In').onChange(value => {
+        const keyframe = tour.tour.keyframes[editor.keyframe];
+        if (keyframe) keyframe.easing = value;
+    });
+    keyframeFolder.add(editor, 'recordDate').name('Record Date');
+    keyframeFolder.add(editor, 'recordTimeRate').name('Record Time Rate');
+    keyframeFolder.add(editor, 'add').name('Add From Current View');
+    keyframeFolder.add(editor, 'update').name('Update From Current View');
+    keyframeFolder.add(editor, 'goTo').name('Go To Keyframe');
+    keyframeFolder.add(editor, 'remove').name('Delete Keyframe');
+    keyframeFolder.close();
+
+    const fileFolder = folder.addFolder('File');
+    fileFolder.add(editor, 'newTour').name('New Tour');
+    fileFolder.add(editor, 'save').name('Save to File');
+    fileFolder.add(editor, 'load').name('Load from File');
+    fileFolder.close();
+
+    // Load the fields of keyframe `index` into the editor
+    function showKeyframe(index) {
+        const keyframe = tour.tour.keyframes[index];
+        editor.keyframe = index;
+        editor.time = keyframe ? keyframe.time : 0;
+        editor.caption = keyframe && keyframe.caption ? keyframe.caption : '';
+        editor.easing = keyframe && keyframe.easing ? keyframe.easing : 'easeInOutCubic';
+        keyframeFolder.controllers.forEach(controller => controller.updateDisplay());
+    }
+
+    // Rebuild the keyframe list after edits and select `index`
+    function refresh(index) {
+        const options = {};
+        tour.tour.keyframes.forEach((keyframe, i) => {
+            options[`${i + 1}: ${keyframe.time}s${keyframe.focus ? ` ${keyframe.focus}` : ''}`] = i;
+        });
+
+        // options() recreates the dropdown at the end of the folder, so move it back to the top
+        keyframeController = keyframeController.options(options).onChange(showKeyframe);
+        keyframeFolder.$children.prepend(keyframeController.domElement);
+        positionController.max(Math.max(1, tour.duration));
+        showKeyframe(Math.max(0, index));
+    }
+
+    refresh(0);
+
+    folder.close();
+    return folder;
+}
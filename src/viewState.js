@@ -0,0 +1,254 @@
+// View state sharing: URL hash encoding and named presets
+//
+// A hash looks like
+//   #date=2024-04-08T18:00:00.000Z&camera=0,3,8,0,0,0,75&focus=Earth&bloomStrength=2&visibility.Mars=0
+// Only parameters that differ from their defaults are written, so links stay short.
+
+import { downloadJson, chooseJsonFile } from './fileUtils.js';
+
+const PRESET_STORAGE_KEY = 'sunSimulation.presets';
+const PRESET_VERSION = 1;
+
+// { a: { b: 1 }, c: [1, 2] } -> { 'a.b': 1, c: [1, 2] }
+export function flattenParams(params, prefix = '', flat = {}) {
+    Object.entries(params).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flattenParams(value, path, flat);
+        } else if (typeof value !== 'function') {
+            flat[path] = value;
+        }
+    });
+    return flat;
+}
+
+// Keep numbers in links short without visibly changing anything
+const round = value => Number(value.toPrecision(6));
+
+function formatValue(value) {
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'number') return String(round(value));
+    if (Array.isArray(value)) return value.map(round).join(',');
+    return String(value);
+}
+
+// Parse a hash value using the type of the parameter's default; undefined when it isn't a
+// number (or a list of numbers) where one is expected
+function parseValue(text, defaultValue) {
+    if (typeof defaultValue === 'boolean') return text === '1' || text === 'true';
+    if (typeof defaultValue === 'number') {
+        const number = text.trim() === '' ? NaN : Number(text);
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (Array.isArray(defaultValue)) {
+        const numbers = text.split(',').map(Number);
+        return numbers.every(Number.isFinite) ? numbers : undefined;
+    }
+    return text;
+}
+
+// Hash fragments may contain ':' and ',' unescaped, which keeps dates and vectors readable
+const encode = text => encodeURIComponent(text).replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+
+// Encode a SolarSystem#getState() snapshot as a hash string (without the leading '#')
+export function encodeState(state, defaultParams) {
+    const entries = [];
+
+    if (state.date) entries.push(['date', state.date]);
+    if (state.camera) {
+        const { position, target, fov } = state.camera;
+        entries.push(['camera', formatValue([...position, ...target, fov])]);
+    }
+    if (state.selected) entries.push(['focus', state.selected]);
+
+    const defaults = flattenParams(defaultParams);
+    Object.entries(flattenParams(state.params)).forEach(([path, value]) => {
+        if (path in defaults && formatValue(value) !== formatValue(defaults[path])) {
+            entries.push([path, formatValue(value)]);
+        }
+    });
+
+    return entries.map(([key, value]) => `${key}=${encode(value)}`).join('&');
+}
+
+// Decode a hash string into a partial state for SolarSystem#setState(); returns null for an empty hash
+export function decodeState(hash, defaultParams) {
+    const text = hash.replace(/^#/, '');
+    if (!text) return null;
+
+    const defaults = flattenParams(defaultParams);
+    const state = { params: {} };
+
+    text.split('&').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator < 0) return;
+        let key, value;
+        try {
+            key = decodeURIComponent(pair.slice(0, separator));
+            value = decodeURIComponent(pair.slice(separator + 1));
+        } catch (e) {
+            // A stray '%' or a cut-off escape in a hand-edited link
+            console.warn(`Ignoring malformed "${pair}" in URL`);
+            return;
+        }
+
+        if (key === 'date') {
+            state.date = value;
+        } else if (key === 'camera') {
+            const numbers = value.split(',').map(Number);
+            if (numbers.length === 7 && numbers.every(Number.isFinite)) {
+                state.camera = { position: numbers.slice(0, 3), target: numbers.slice(3, 6), fov: numbers[6] };
+            } else {
+                console.warn(`Ignoring malformed camera "${value}" in URL`);
+            }
+        } else if (key === 'focus') {
+            state.selected = value;
+        } else if (key in defaults) {
+            // Rebuild the nested params object from the dotted path
+            const parsed = parseValue(value, defaults[key]);
+            if (parsed === undefined) {
+                console.warn(`Ignoring malformed value "${value}" for "${key}" in URL`);
+                return;
+            }
+            const keys = key.split('.');
+            const last = keys.pop();
+            const target = keys.reduce((object, part) => (object[part] = object[part] || {}), state.params);
+            target[last] = parsed;
+        } else {
+            console.warn(`Ignoring unknown setting "${key}" in URL`);
+        }
+    });
+
+    return state;
+}
+
+// Keep the page URL in step with a SolarSystem so the address can be shared.
+// The hash is applied once on binding and again whenever it's edited by hand.
+// Returns a function that stops syncing; disposing the SolarSystem also stops it.
+export function bindUrlHash(solarSystem, { delay = 500 } = {}) {
+    let timer = null;
+    let applying = false;
+
+    const write = () => {
+        timer = null;
+        const hash = encodeState(solarSystem.getState(), solarSystem.defaultParams);
+        // replaceState doesn't add history entries or fire hashchange
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+    };
+    const schedule = () => {
+        if (applying) return;
+        clearTimeout(timer);
+        timer = setTimeout(write, delay);
+    };
+    const apply = () => {
+        const state = decodeState(window.location.hash, solarSystem.defaultParams);
+        if (!state) return;
+        applying = true;
+        try {
+            solarSystem.setState(state);
+        } finally {
+            applying = false;
+        }
+    };
+
+    apply();
+
+    const unsubscribers = ['change', 'time', 'select'].map(event => solarSystem.on(event, schedule));
+    solarSystem.controls.addEventListener('end', schedule);
+    window.addEventListener('hashchange', apply);
+
+    const unbind = () => {
+        clearTimeout(timer);
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        solarSystem.controls.removeEventListener('end', schedule);
+        window.removeEventListener('hashchange', apply);
+    };
+    unsubscribers.push(solarSystem.on('dispose', unbind));
+    return unbind;
+}
+
+// Raised when an imported preset file can't be used
+export class PresetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PresetError';
+    }
+}
+
+// Check the shape of a preset read from storage or a file
+export function validatePreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new PresetError('Preset must be a JSON object');
+    }
+    if (typeof preset.name !== 'string' || !preset.name.trim()) {
+        throw new PresetError('Preset is missing a name');
+    }
+    if (preset.version !== undefined && preset.version > PRESET_VERSION) {
+        throw new PresetError(`Preset version ${preset.version} is newer than this app supports`);
+    }
+    if (preset.gui && (typeof preset.gui !== 'object' || !preset.gui.controllers)) {
+        throw new PresetError('Preset "gui" section is not a lil-gui save() object');
+    }
+    return preset;
+}
+
+// Named presets in localStorage. A preset is
+//   { name, version, gui: <lil-gui save()>, view: { camera, date, selected } }
+export class PresetStore {
+    constructor(storageKey = PRESET_STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    _read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.warn('Could not read saved presets', e);
+            return {};
+        }
+    }
+
+    _write(presets) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(presets));
+        } catch (e) {
+            console.warn('Could not save presets', e);
+        }
+    }
+
+    names() {
+        return Object.keys(this._read()).sort();
+    }
+
+    get(name) {
+        return this._read()[name] || null;
+    }
+
+    save(preset) {
+        const presets = this._read();
+        presets[preset.name] = { version: PRESET_VERSION, ...preset };
+        this._write(presets);
+    }
+
+    remove(name) {
+        const presets = this._read();
+        delete presets[name];
+        this._write(presets);
+    }
+}
+
+// Offer a preset as a .json download
+export function downloadPreset(preset) {
+    downloadJson({ version: PRESET_VERSION, ...preset }, preset.name);
+}
+
+// Ask the user for a preset file; resolves with the checked preset, or null if cancelled
+export async function choosePresetFile() {
+    let file;
+    try {
+        file = await chooseJsonFile();
+    } catch (e) {
+        throw new PresetError(e.message);
+    }
+    return file && validatePreset(file.value);
+}
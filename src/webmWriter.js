@@ -0,0 +1,131 @@
+// Minimal WebM muxer for WebCodecs VideoEncoder output (one video track)
+//
+// The whole file is assembled in memory when finalize() is called, so every element
+// size is known and no seeking or patching is needed. Only the elements players need
+// are written: EBML header, Info, Tracks and Clusters of SimpleBlocks.
+
+const TIMECODE_SCALE = 1000000; // Block timecodes in milliseconds
+const MAX_CLUSTER_SPAN = 30000; // SimpleBlock timecodes are signed 16-bit offsets from the cluster
+
+const textEncoder = new TextEncoder();
+
+// Element IDs are written with their length marker bits included, e.g. 0x1A45DFA3
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xff);
+    }
+    return Uint8Array.from(bytes);
+}
+
+// Sizes always use the 8-byte form, which covers anything this writer produces
+function sizeBytes(size) {
+    const bytes = new Uint8Array(8);
+    bytes[0] = 0x01;
+    for (let i = 7, value = size; i > 0; i--, value = Math.floor(value / 256)) {
+        bytes[i] = value & 0xff;
+    }
+    return bytes;
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return Uint8Array.from(bytes);
+}
+
+function floatBytes(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+const byteLength = parts => parts.reduce((total, part) => total + part.byteLength, 0);
+
+// An element is a list of byte arrays: ID, size, then the payload parts
+function element(id, payload) {
+    const parts = Array.isArray(payload) ? payload.flat() : [payload];
+    return [idBytes(id), sizeBytes(byteLength(parts)), ...parts];
+}
+
+const uintElement = (id, value) => element(id, uintBytes(value));
+const stringElement = (id, value) => element(id, textEncoder.encode(value));
+
+export class WebmWriter {
+    // codec is the WebCodecs codec string the encoder was configured with, e.g. 'vp09.00.10.08' or 'vp8'
+    constructor({ codec, width, height }) {
+        this.codecId = codec.startsWith('vp09') ? 'V_VP9' : codec.startsWith('av01') ? 'V_AV1' : 'V_VP8';
+        this.width = width;
+        this.height = height;
+        this.clusters = [];
+        this.cluster = null;
+        this.duration = 0;
+    }
+
+    // Add an EncodedVideoChunk (timestamps and durations are in microseconds)
+    addChunk(chunk) {
+        const time = Math.round(chunk.timestamp / 1000);
+        const keyFrame = chunk.type === 'key';
+
+        // Start a new cluster on key frames and before the 16-bit block offset overflows
+        if (!this.cluster || keyFrame || time - this.cluster.time > MAX_CLUSTER_SPAN) {
+            this.cluster = { time, blocks: [] };
+            this.clusters.push(this.cluster);
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const header = new Uint8Array(4);
+        header[0] = 0x81; // Track number 1 as a one-byte vint
+        new DataView(header.buffer).setInt16(1, time - this.cluster.time);
+        header[3] = keyFrame ? 0x80 : 0x00;
+        this.cluster.blocks.push(element(0xA3, [header, data]));
+
+        this.duration = Math.max(this.duration, time + Math.round((chunk.duration || 0) / 1000));
+    }
+
+    // Assemble the file; returns a Blob
+    finalize() {
+        const header = element(0x1A45DFA3, [
+            uintElement(0x4286, 1), // EBMLVersion
+            uintElement(0x42F7, 1), // EBMLReadVersion
+            uintElement(0x42F2, 4), // EBMLMaxIDLength
+            uintElement(0x42F3, 8), // EBMLMaxSizeLength
+            stringElement(0x4282, 'webm'), // DocType
+            uintElement(0x4287, 2), // DocTypeVersion
+            uintElement(0x4285, 2) // DocTypeReadVersion
+        ]);
+
+        const info = element(0x1549A966, [
+            uintElement(0x2AD7B1, TIMECODE_SCALE),
+            stringElement(0x4D80, 'sun-simulation'), // MuxingApp
+            stringElement(0x5741, 'sun-simulation'), // WritingApp
+            element(0x4489, floatBytes(this.duration)) // Duration
+        ]);
+
+        const tracks = element(0x1654AE6B, [
+            element(0xAE, [
+                uintElement(0xD7, 1), // TrackNumber
+                uintElement(0x73C5, 1), // TrackUID
+                uintElement(0x83, 1), // TrackType: video
+                stringElement(0x86, this.codecId),
+                element(0xE0, [
+                    uintElement(0xB0, this.width),
+                    uintElement(0xBA, this.height)
+                ])
+            ])
+        ]);
+
+        const clusters = this.clusters.map(cluster => element(0x1F43B675, [
+            uintElement(0xE7, cluster.time), // Cluster timecode
+            ...cluster.blocks
+        ]));
+
+        const segment = element(0x18538067, [info, tracks, ...clusters]);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+}
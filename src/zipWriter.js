@@ -0,0 +1,110 @@
+// Minimal uncompressed (stored) ZIP writer.
+// PNG frames are already compressed, so storing them as-is is as small as deflating them.
+// There is no ZIP64 support, so an archive holds at most 65535 files and 4 GiB.
+
+const textEncoder = new TextEncoder();
+
+const MAX_ENTRIES = 0xFFFF;
+const MAX_OFFSET = 0xFFFFFFFF;
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.directorySize = 0; // Central directory bytes for the files so far
+    }
+
+    addFile(name, data, modified = new Date()) {
+        const nameBytes = textEncoder.encode(name);
+        // The central directory and its end record have to fit within 4 GiB as well
+        const size = 30 + nameBytes.length + data.length + 46 + nameBytes.length;
+        if (this.entries.length >= MAX_ENTRIES || this.offset + this.directorySize + size + 22 > MAX_OFFSET) {
+            throw new Error('ZIP archive is full (no ZIP64 support): at most 65535 files and 4 GiB');
+        }
+        const crc = crc32(data);
+        const { time, date } = dosDateTime(modified);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(new Uint8Array(header.buffer), nameBytes, data);
+        this.entries.push({ nameBytes, crc, size: data.length, time, date, offset: this.offset });
+        this.offset += 30 + nameBytes.length + data.length;
+        this.directorySize += 46 + nameBytes.length;
+    }
+
+    // Append the central directory; returns a Blob
+    finalize() {
+        const directoryStart = this.offset;
+        let directorySize = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true); // Central directory header signature
+            header.setUint16(4, 20, true); // Version made by
+            header.setUint16(6, 20, true); // Version needed to extract
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true);
+
+            this.parts.push(new Uint8Array(header.buffer), entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryStart, true);
+        this.parts.push(new Uint8Array(end.buffer));
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}